@@ -0,0 +1,34 @@
+/**
+ * Thresholds for the anti-cheat stage that screens every score submission.
+ * Only unusually high scores are flagged; low outliers cannot lift a player.
+ */
+
+// Shortest plausible match; a player's submissions closer together are flagged
+const MIN_MATCH_SECONDS = parseInt(process.env.ANTI_CHEAT_MIN_MATCH_SECONDS) || 60;
+
+// Recent sessions of the same player and mode used as their baseline
+const PLAYER_HISTORY_SIZE = 50;
+const PLAYER_MIN_HISTORY = 10;
+const PLAYER_Z_THRESHOLD = parseFloat(process.env.ANTI_CHEAT_PLAYER_Z) || 4;
+
+// Sessions of the whole mode over this many days form the mode's distribution
+const MODE_SAMPLE_DAYS = 7;
+const MODE_MIN_SAMPLES = 100;
+const MODE_Z_THRESHOLD = parseFloat(process.env.ANTI_CHEAT_MODE_Z) || 5;
+const MODE_STATS_TTL = 300;
+
+// Floor for the standard deviation, as a share of the mean, so very consistent
+// histories do not turn every modest improvement into an outlier
+const MIN_STDDEV_RATIO = 0.1;
+
+module.exports = {
+  MIN_MATCH_SECONDS,
+  PLAYER_HISTORY_SIZE,
+  PLAYER_MIN_HISTORY,
+  PLAYER_Z_THRESHOLD,
+  MODE_SAMPLE_DAYS,
+  MODE_MIN_SAMPLES,
+  MODE_Z_THRESHOLD,
+  MODE_STATS_TTL,
+  MIN_STDDEV_RATIO,
+};
@@ -0,0 +1,62 @@
+/**
+ * Credentials accepted by the API. Game servers call with signed API keys;
+ * players read with short-lived JWTs that a game server requests for them.
+ */
+const logger = require('./logger');
+
+const SCOPES = {
+  SUBMIT: 'submit',
+  READ: 'read',
+  ISSUE_TOKENS: 'tokens',
+  ADMIN: 'admin',
+};
+
+/**
+ * Parse API_KEYS, a comma-separated list of `keyId:secret:scope|scope` entries
+ * @param {string} [value]
+ * @returns {Map<string, Object>} - keyId -> { keyId, secret, scopes }
+ */
+function parseApiKeys(value = '') {
+  const keys = new Map();
+
+  for (const entry of value.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const parts = entry.split(':');
+    if (parts.length < 3) {
+      logger.warn('Ignoring malformed API_KEYS entry', { keyId: parts[0] });
+      continue;
+    }
+
+    const keyId = parts[0];
+    const scopes = parts.pop().split('|').filter(Boolean);
+    const secret = parts.slice(1).join(':');
+    keys.set(keyId, { keyId, secret, scopes });
+  }
+
+  return keys;
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_ISSUER = 'gamearena-leaderboard';
+const JWT_TTL_SECONDS = parseInt(process.env.JWT_TTL_SECONDS) || 900;
+// How long a player may keep refreshing a token before a game server must issue a new one
+const JWT_SESSION_SECONDS = parseInt(process.env.JWT_SESSION_SECONDS) || 24 * 60 * 60;
+
+// Signed requests older or newer than this are rejected; nonces are kept twice as long
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+if (API_KEYS.size === 0) {
+  logger.warn('No API_KEYS configured; score submission and admin endpoints will reject every request');
+}
+
+module.exports = {
+  SCOPES,
+  API_KEYS,
+  JWT_SECRET,
+  JWT_ISSUER,
+  JWT_TTL_SECONDS,
+  JWT_SESSION_SECONDS,
+  SIGNATURE_TOLERANCE_SECONDS,
+  parseApiKeys,
+};
@@ -0,0 +1,12 @@
+/**
+ * The social graph: players follow each other, and two players following each
+ * other are mutual friends. The friends board ranks a player among the
+ * players they follow.
+ */
+
+// Players one player may follow; also bounds the size of a friends board
+const MAX_FOLLOWING = parseInt(process.env.MAX_FOLLOWING) || 500;
+
+module.exports = {
+  MAX_FOLLOWING,
+};
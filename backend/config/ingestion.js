@@ -0,0 +1,37 @@
+/**
+ * Asynchronous score ingestion: submissions are appended to a Redis Stream and
+ * applied in micro-batches by a consumer group, so spikes queue up in Redis
+ * instead of piling onto Postgres.
+ */
+
+// 'async' acknowledges every submission with 202 and a tracking id; in 'sync'
+// mode a request opts in with a `Prefer: respond-async` header
+const INGESTION_MODE = process.env.INGESTION_MODE === 'async' ? 'async' : 'sync';
+
+const INGESTION_STREAM = 'ingest:scores';
+const INGESTION_GROUP = 'score-appliers';
+
+// Entries read per micro-batch, and how long a read waits for new entries
+const INGEST_BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE) || 200;
+const INGEST_BLOCK_MS = 2000;
+
+// Entries a consumer has held unacknowledged this long are taken over by
+// another one; covers consumers that crashed mid-batch
+const INGEST_CLAIM_IDLE_MS = 60000;
+
+// Submissions waiting in the stream before new ones are refused with 503
+const INGEST_MAX_BACKLOG = parseInt(process.env.INGEST_MAX_BACKLOG) || 100000;
+
+// How long a submission's status can be looked up
+const INGEST_STATUS_TTL = parseInt(process.env.INGEST_STATUS_TTL) || 24 * 60 * 60;
+
+module.exports = {
+  INGESTION_MODE,
+  INGESTION_STREAM,
+  INGESTION_GROUP,
+  INGEST_BATCH_SIZE,
+  INGEST_BLOCK_MS,
+  INGEST_CLAIM_IDLE_MS,
+  INGEST_MAX_BACKLOG,
+  INGEST_STATUS_TTL,
+};
@@ -0,0 +1,34 @@
+/**
+ * Leaderboard dimensions shared by the API, services and background jobs.
+ */
+
+// Pseudo game mode holding each player's combined standing across every mode
+const ALL_MODES = 'all';
+
+// Every board exists once per window; periodic windows reset at local midnight
+const TIME_WINDOWS = ['alltime', 'daily', 'weekly', 'monthly'];
+
+const DEFAULT_TIME_WINDOW = 'alltime';
+
+// Window of the seasons' boards, whose periods are scheduled instead of following
+// the calendar. Requests default to it while a season is running.
+const SEASON_WINDOW = 'season';
+
+// Every window a board can be read in
+const BOARD_WINDOWS = [...TIME_WINDOWS, SEASON_WINDOW];
+
+// IANA timezone in which daily, weekly (Monday start) and monthly periods roll over
+const LEADERBOARD_TIMEZONE = process.env.LEADERBOARD_TIMEZONE || 'UTC';
+
+// Sizes a socket can subscribe to with a top-N subscription
+const TOP_SUBSCRIPTION_SIZES = [10, 50, 100];
+
+module.exports = {
+  ALL_MODES,
+  TIME_WINDOWS,
+  DEFAULT_TIME_WINDOW,
+  SEASON_WINDOW,
+  BOARD_WINDOWS,
+  LEADERBOARD_TIMEZONE,
+  TOP_SUBSCRIPTION_SIZES,
+};
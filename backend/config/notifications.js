@@ -0,0 +1,30 @@
+/**
+ * Rank-change notifications: after scores are applied, players who were passed
+ * and players who reached the top are told through their socket room and a
+ * Postgres inbox.
+ */
+const { BOARD_WINDOWS } = require('./leaderboards');
+
+const NOTIFICATION_TYPES = {
+  PASSED: 'passed',
+  ENTERED_TOP: 'entered_top',
+};
+
+// Rank a player has to reach for an entered_top notification
+const NOTIFY_TOP_RANK = parseInt(process.env.NOTIFY_TOP_RANK) || 100;
+
+// Windows whose boards notify; shorter windows reshuffle too often to be worth a message
+const NOTIFY_WINDOWS = (process.env.NOTIFY_WINDOWS || 'alltime')
+  .split(',')
+  .map((window) => window.trim())
+  .filter((window) => BOARD_WINDOWS.includes(window));
+
+// Players told they were passed by one score, nearest to the new total first
+const NOTIFY_MAX_PASSED = parseInt(process.env.NOTIFY_MAX_PASSED) || 10;
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFY_TOP_RANK,
+  NOTIFY_WINDOWS,
+  NOTIFY_MAX_PASSED,
+};
@@ -0,0 +1,66 @@
+/**
+ * Player profile rules. The username is the name shown on every board, so it
+ * is unique regardless of case and screened against a profanity blocklist.
+ */
+
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 24;
+
+// Letters, digits, '_', '.' and '-', starting and ending with a letter, digit or '_'
+const USERNAME_PATTERN = /^[A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_])?$/;
+
+// Names given to players created implicitly by a submission; nobody may claim
+// another player's, or that player's first score could not create them
+const GENERATED_USERNAME_PATTERN = /^user_\d+$/i;
+
+// Matched against each word of a name after folding case and look-alike digits:
+// a word starting or ending with an entry is blocked, so compounds are caught
+// while words that only contain one in the middle (Scunthorpe) pass
+const DEFAULT_BLOCKLIST = [
+  'asshole',
+  'bitch',
+  'cunt',
+  'faggot',
+  'fuck',
+  'nigger',
+  'retard',
+  'shit',
+  'slut',
+  'whore',
+];
+
+// Extra comma-separated words, e.g. for other languages
+const USERNAME_BLOCKLIST = [
+  ...DEFAULT_BLOCKLIST,
+  ...(process.env.USERNAME_BLOCKLIST || '').split(',').map((word) => word.trim().toLowerCase()),
+].filter(Boolean);
+
+// Innocent words that start or end with a blocked one
+const DEFAULT_ALLOWLIST = [
+  'mishit',
+  'retardant',
+  'retarder',
+  'shitake',
+];
+
+// Extra comma-separated words to let through
+const USERNAME_ALLOWLIST = [
+  ...DEFAULT_ALLOWLIST,
+  ...(process.env.USERNAME_ALLOWLIST || '').split(',').map((word) => word.trim().toLowerCase()),
+].filter(Boolean);
+
+// ISO 3166-1 alpha-2
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+const AVATAR_URL_MAX_LENGTH = 2048;
+
+module.exports = {
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+  USERNAME_PATTERN,
+  GENERATED_USERNAME_PATTERN,
+  USERNAME_BLOCKLIST,
+  USERNAME_ALLOWLIST,
+  COUNTRY_PATTERN,
+  AVATAR_URL_MAX_LENGTH,
+};
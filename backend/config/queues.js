@@ -1,6 +1,9 @@
 const { Queue, Worker } = require('bullmq');
 const { getRedisClient } = require('./redis');
 const logger = require('./logger');
+const { LEADERBOARD_TIMEZONE } = require('./leaderboards');
+const { RANK_SNAPSHOT_CRON } = require('./snapshots');
+const { SEASON_CRON } = require('./seasons');
 
 const connection = {
   host: process.env.REDIS_HOST || 'localhost',
@@ -8,6 +11,10 @@ const connection = {
   password: process.env.REDIS_PASSWORD || undefined,
 };
 
+// Incremental rank updates for a player wait this long, absorbing a burst of
+// submissions into one job
+const RANK_UPDATE_DELAY_MS = parseInt(process.env.RANK_UPDATE_DELAY_MS, 10) || 2000;
+
 const rankRecalculationQueue = new Queue('rank-recalculation', {
   connection,
   defaultJobOptions: {
@@ -34,17 +41,89 @@ const cacheWarmingQueue = new Queue('cache-warming', {
   },
 });
 
+const periodClosingQueue = new Queue('period-closing', {
+  connection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000,
+    },
+    removeOnComplete: 50,
+    removeOnFail: 20,
+  },
+});
+
+const rankingSyncQueue = new Queue('ranking-sync', {
+  connection,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: {
+      type: 'fixed',
+      delay: 10000,
+    },
+    removeOnComplete: 20,
+    removeOnFail: 20,
+  },
+});
+
+const reconciliationQueue = new Queue('total-reconciliation', {
+  connection,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: {
+      type: 'fixed',
+      delay: 60000,
+    },
+    removeOnComplete: 20,
+    removeOnFail: 20,
+  },
+});
+
+const rankSnapshotQueue = new Queue('rank-snapshots', {
+  connection,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: {
+      type: 'fixed',
+      delay: 30000,
+    },
+    removeOnComplete: 20,
+    removeOnFail: 20,
+  },
+});
+
+const seasonQueue = new Queue('season-lifecycle', {
+  connection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000,
+    },
+    removeOnComplete: 50,
+    removeOnFail: 20,
+  },
+});
+
 /**
  * Add a rank recalculation job
  * @param {Object} data - Job data
  * @param {number} data.userId - Optional specific user to recalculate
  * @param {boolean} data.fullRecalculation - Whether to recalculate all ranks
+ * @param {boolean} data.incremental - Update only the given user's rows
  */
 async function addRankRecalculationJob(data = {}) {
   try {
-    const job = await rankRecalculationQueue.add('recalculate-ranks', data, {
-      priority: data.fullRecalculation ? 1 : 10,
-    });
+    const options = { priority: data.fullRecalculation ? 1 : 10 };
+    if (data.incremental) {
+      // Jobs for the same player are dropped while one is still delayed; the
+      // worker reads the totals when it runs, so it applies them all
+      options.delay = RANK_UPDATE_DELAY_MS;
+      options.deduplication = { id: `rank:${data.userId}`, ttl: RANK_UPDATE_DELAY_MS };
+    }
+
+    const job = await rankRecalculationQueue.add('recalculate-ranks', data, options);
     logger.info(`Rank recalculation job added: ${job.id}`, data);
     return job;
   } catch (error) {
@@ -67,10 +146,168 @@ async function addCacheWarmingJob() {
 }
 
 
+/**
+ * Add a job that rebuilds or verifies the Redis ranking sets
+ * @param {Object} data - Job data
+ * @param {string} data.action - 'rebuild' or 'verify'
+ * @param {boolean} data.onlyMissing - Rebuild only sets that do not exist yet
+ * @param {boolean} data.repair - Fix differences found while verifying
+ */
+async function addRankingSyncJob(data) {
+  try {
+    // A rebuild of missing sets is requested by every read that falls back to
+    // Postgres, so only one may be queued at a time
+    const options = data.action === 'rebuild' && data.onlyMissing
+      ? { jobId: 'rebuild-missing', removeOnComplete: true, removeOnFail: true }
+      : {};
+    const job = await rankingSyncQueue.add(data.action, data, options);
+    logger.debug(`Ranking sync job added: ${job.id}`, data);
+    return job;
+  } catch (error) {
+    logger.error('Failed to add ranking sync job', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a job that re-aggregates sessions and compares them with the stored totals
+ * @param {Object} data - Job data
+ * @param {boolean} data.repair - Rewrite totals that drifted
+ */
+async function addReconciliationJob(data) {
+  try {
+    const job = await reconciliationQueue.add('reconcile-totals', data);
+    logger.info(`Total reconciliation job added: ${job.id}`, data);
+    return job;
+  } catch (error) {
+    logger.error('Failed to add total reconciliation job', error);
+    throw error;
+  }
+}
+
+/**
+ * Register the repeatable reconciliation of stored totals against the sessions
+ */
+async function scheduleReconciliationJob() {
+  try {
+    const job = await reconciliationQueue.add('reconcile-totals', { repair: true }, {
+      repeat: {
+        pattern: process.env.RECONCILE_CRON || '30 3 * * *',
+        tz: LEADERBOARD_TIMEZONE,
+      },
+    });
+    logger.info(`Total reconciliation job scheduled: ${job.id}`);
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule total reconciliation job', error);
+    throw error;
+  }
+}
+
+/**
+ * Register the repeatable consistency check between the ranking sets and Postgres
+ */
+async function scheduleRankingVerificationJob() {
+  try {
+    const job = await rankingSyncQueue.add('verify', { action: 'verify', repair: true }, {
+      repeat: {
+        pattern: process.env.RANKING_VERIFY_CRON || '0 * * * *',
+      },
+    });
+    logger.info(`Ranking verification job scheduled: ${job.id}`);
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule ranking verification job', error);
+    throw error;
+  }
+}
+
+/**
+ * Register the repeatable job that archives finished daily, weekly and monthly
+ * periods. Re-registering on every boot is a no-op for an unchanged schedule.
+ */
+async function schedulePeriodClosingJob() {
+  try {
+    const job = await periodClosingQueue.add('close-periods', {}, {
+      repeat: {
+        pattern: process.env.PERIOD_CLOSING_CRON || '*/15 * * * *',
+        tz: LEADERBOARD_TIMEZONE,
+      },
+    });
+    logger.info(`Period closing job scheduled: ${job.id}`);
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule period closing job', error);
+    throw error;
+  }
+}
+
+/**
+ * Register the repeatable job that records the top of every current board
+ */
+async function scheduleRankSnapshotJob() {
+  try {
+    const job = await rankSnapshotQueue.add('take-snapshots', {}, {
+      repeat: {
+        pattern: RANK_SNAPSHOT_CRON,
+        tz: LEADERBOARD_TIMEZONE,
+      },
+    });
+    logger.info(`Rank snapshot job scheduled: ${job.id}`);
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule rank snapshot job', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a job that starts and archives the seasons that are due, e.g. right
+ * after one was started or ended early
+ */
+async function addSeasonJob() {
+  try {
+    const job = await seasonQueue.add('advance-seasons', {});
+    logger.info(`Season job added: ${job.id}`);
+    return job;
+  } catch (error) {
+    logger.error('Failed to add season job', error);
+    throw error;
+  }
+}
+
+/**
+ * Register the repeatable job that starts and archives seasons on time
+ */
+async function scheduleSeasonJob() {
+  try {
+    const job = await seasonQueue.add('advance-seasons', {}, {
+      repeat: {
+        pattern: SEASON_CRON,
+        tz: LEADERBOARD_TIMEZONE,
+      },
+    });
+    logger.info(`Season job scheduled: ${job.id}`);
+    return job;
+  } catch (error) {
+    logger.error('Failed to schedule season job', error);
+    throw error;
+  }
+}
+
+
+const queuesByName = {
+  'rank-recalculation': rankRecalculationQueue,
+  'cache-warming': cacheWarmingQueue,
+  'period-closing': periodClosingQueue,
+  'ranking-sync': rankingSyncQueue,
+  'total-reconciliation': reconciliationQueue,
+  'rank-snapshots': rankSnapshotQueue,
+  'season-lifecycle': seasonQueue,
+};
+
 async function getQueueStats(queueName) {
-  const queue = queueName === 'rank-recalculation' 
-    ? rankRecalculationQueue 
-    : cacheWarmingQueue;
+  const queue = queuesByName[queueName] || cacheWarmingQueue;
     
   try {
     const [waiting, active, completed, failed] = await Promise.all([
@@ -91,14 +328,32 @@ async function getQueueStats(queueName) {
 async function closeQueues() {
   await rankRecalculationQueue.close();
   await cacheWarmingQueue.close();
+  await periodClosingQueue.close();
+  await rankingSyncQueue.close();
+  await reconciliationQueue.close();
+  await rankSnapshotQueue.close();
+  await seasonQueue.close();
   logger.info('All queues closed');
 }
 
 module.exports = {
   rankRecalculationQueue,
   cacheWarmingQueue,
+  periodClosingQueue,
+  rankingSyncQueue,
+  reconciliationQueue,
+  rankSnapshotQueue,
+  seasonQueue,
   addRankRecalculationJob,
   addCacheWarmingJob,
+  addRankingSyncJob,
+  addReconciliationJob,
+  addSeasonJob,
+  schedulePeriodClosingJob,
+  scheduleRankingVerificationJob,
+  scheduleReconciliationJob,
+  scheduleRankSnapshotJob,
+  scheduleSeasonJob,
   getQueueStats,
   closeQueues,
 };
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const Redis = require('ioredis');
 const logger = require('./logger');
 
@@ -5,17 +6,41 @@ let redisClient = null;
 
 
 const CACHE_KEYS = {
-  TOP_LEADERBOARD: 'leaderboard:top10',
-  USER_RANK: (userId) => `leaderboard:rank:${userId}`,
+  LEADERBOARD_PAGE: (boardKey, generation, page) => `leaderboard:page:${boardKey}:${generation}:${page}`,
+  BOARD_GENERATION: (boardKey) => `leaderboard:generation:${boardKey}`,
+  GLOBAL_GENERATION: 'leaderboard:generation:global',
+  USER_RANK: (userId, boardKey, generation) => `leaderboard:rank:${userId}:${boardKey}:${generation}`,
+  REGIONAL_RANK: (userId, boardKey, region, generation) => `leaderboard:rank:${userId}:${boardKey}:${region}:${generation}`,
+  TEAM_PAGE: (boardKey, generation, page) => `leaderboard:teams:page:${boardKey}:${generation}:${page}`,
+  TEAM_RANK: (teamId, boardKey, generation) => `leaderboard:teams:rank:${teamId}:${boardKey}:${generation}`,
+  // Bumped whenever a team's membership changes
+  TEAM_GENERATION: 'leaderboard:generation:teams',
   USER_SCORE: (userId) => `leaderboard:score:${userId}`,
+  // Hash of user id -> profile JSON, written through on every profile change
+  USER_PROFILES: 'leaderboard:profiles',
+  LOCK: (key) => `leaderboard:lock:${key}`,
+  // Score rules the stored standings were last reconciled under
+  SCORE_RULES: 'leaderboard:score-rules',
+  STATS: 'leaderboard:cache:stats',
 };
 
 
+// LEADERBOARD and RANK are soft TTLs: past them an entry is still served for
+// STALE more seconds while a single caller refreshes it in the background.
+// Writes move a board to a new generation instead, so boards taking scores
+// miss and rely on single-flight loading rather than on stale entries.
 const CACHE_TTL = {
   LEADERBOARD: parseInt(process.env.LEADERBOARD_CACHE_TTL) || 60,
   RANK: parseInt(process.env.RANK_CACHE_TTL) || 30,
+  STALE: parseInt(process.env.CACHE_STALE_TTL) || 120,
 };
 
+// How long a loader may hold a key before other callers stop waiting for it
+const CACHE_LOCK_TIMEOUT_MS = parseInt(process.env.CACHE_LOCK_TIMEOUT_MS) || 5000;
+const CACHE_LOCK_POLL_MS = 50;
+
+const CACHE_EVENTS = ['hits', 'stale', 'misses', 'coalesced'];
+
 
 function getRedisClient() {
   if (!redisClient) {
@@ -72,20 +97,238 @@ function getRedisClient() {
 }
 
 
-async function invalidateLeaderboardCache() {
+// Generation counters outlive the page keys they version by a wide margin
+const GENERATION_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Current cache generation of a board. Page keys embed it, so bumping the
+ * counter invalidates every cached page of the board without scanning for keys.
+ * @param {string} boardKey
+ * @returns {Promise<string>}
+ */
+async function getBoardGeneration(boardKey) {
   const client = getRedisClient();
+  const [globalGeneration, boardGeneration] = await client.mget(
+    CACHE_KEYS.GLOBAL_GENERATION,
+    CACHE_KEYS.BOARD_GENERATION(boardKey)
+  );
+  return `${globalGeneration || 0}.${boardGeneration || 0}`;
+}
+
+/**
+ * Cache generation of the team standings on a board. They follow the board's
+ * scores and the team memberships, so both counters are embedded.
+ * @param {string} boardKey
+ * @returns {Promise<string>}
+ */
+async function getTeamBoardGeneration(boardKey) {
+  const [boardGeneration, teamGeneration] = await Promise.all([
+    getBoardGeneration(boardKey),
+    getRedisClient().get(CACHE_KEYS.TEAM_GENERATION),
+  ]);
+  return `${boardGeneration}.${teamGeneration || 0}`;
+}
+
+async function invalidateTeamCache() {
   try {
-    await client.del(CACHE_KEYS.TOP_LEADERBOARD);
-    logger.info('Leaderboard cache invalidated');
+    await getRedisClient().incr(CACHE_KEYS.TEAM_GENERATION);
+    logger.info('Team standings cache invalidated');
+  } catch (error) {
+    logger.error('Failed to invalidate team standings cache', error);
+  }
+}
+
+/**
+ * @param {string[]} [boardKeys] - Boards to invalidate; every board when omitted
+ */
+async function invalidateLeaderboardCache(boardKeys) {
+  const client = getRedisClient();
+  try {
+    if (boardKeys) {
+      const pipeline = client.pipeline();
+      for (const boardKey of boardKeys) {
+        pipeline.incr(CACHE_KEYS.BOARD_GENERATION(boardKey));
+        pipeline.expire(CACHE_KEYS.BOARD_GENERATION(boardKey), GENERATION_TTL);
+      }
+      await pipeline.exec();
+    } else {
+      await client.incr(CACHE_KEYS.GLOBAL_GENERATION);
+    }
+    logger.info('Leaderboard cache invalidated', { boards: boardKeys || 'all' });
   } catch (error) {
     logger.error('Failed to invalidate leaderboard cache', error);
   }
 }
 
+function recordCacheEvent(namespace, event) {
+  getRedisClient()
+    .hincrby(CACHE_KEYS.STATS, `${namespace}:${event}`, 1)
+    .catch((error) => logger.warn('Failed to record cache event', { error: error.message }));
+}
+
+async function readEntry(key) {
+  const raw = await getRedisClient().get(key);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function writeEntry(key, ttl, value) {
+  const entry = { value, freshUntil: Date.now() + ttl * 1000 };
+  await getRedisClient().set(key, JSON.stringify(entry), 'EX', ttl + CACHE_TTL.STALE);
+}
+
+// Deletes the lock only while it still holds our token, so a loader that
+// overran its timeout cannot release a lock another caller has since taken
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+// Stops early when the lock disappears without an entry, i.e. the load failed
+async function waitForEntry(key, lockKey) {
+  const deadline = Date.now() + CACHE_LOCK_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, CACHE_LOCK_POLL_MS));
+    const [[, raw], [, locked]] = await getRedisClient().pipeline()
+      .get(key)
+      .exists(lockKey)
+      .exec();
+    if (raw) return JSON.parse(raw);
+    if (!locked) return null;
+  }
+  return null;
+}
+
+// Loads in flight in this process, so concurrent callers share one promise.
+// Background refreshes give up with null when another instance holds the lock,
+// so they are kept apart from the loads of callers that need a value.
+const inflightLoads = new Map();
+const inflightRefreshes = new Map();
+
+/**
+ * Run the loader for a key at most once across every instance: the caller
+ * holding the Redis lock loads and stores, the rest wait for its result.
+ * @param {string} namespace
+ * @param {string} key
+ * @param {number} ttl
+ * @param {Function} loader
+ * @param {boolean} wait - Wait for another instance's load instead of returning null
+ * @returns {Promise<*>}
+ */
+function loadOnce(namespace, key, ttl, loader, wait) {
+  if (inflightLoads.has(key)) {
+    if (wait) recordCacheEvent(namespace, 'coalesced');
+    return inflightLoads.get(key);
+  }
+  if (!wait && inflightRefreshes.has(key)) {
+    return inflightRefreshes.get(key);
+  }
+
+  const load = (async () => {
+    const client = getRedisClient();
+    const lockKey = CACHE_KEYS.LOCK(key);
+    const token = crypto.randomUUID();
+    const acquired = await client.set(lockKey, token, 'PX', CACHE_LOCK_TIMEOUT_MS, 'NX');
+
+    if (!acquired) {
+      if (!wait) return null;
+      const entry = await waitForEntry(key, lockKey);
+      if (entry) {
+        recordCacheEvent(namespace, 'coalesced');
+        return entry.value;
+      }
+      logger.debug('No cache entry from concurrent load, loading directly', { key });
+    }
+
+    try {
+      const value = await loader();
+      await writeEntry(key, ttl, value);
+      return value;
+    } finally {
+      if (acquired) {
+        await client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+      }
+    }
+  })();
+
+  const inflight = wait ? inflightLoads : inflightRefreshes;
+  inflight.set(key, load);
+  load.then(
+    () => inflight.delete(key),
+    () => inflight.delete(key)
+  );
+  return load;
+}
+
+/**
+ * Read-through cache with stampede protection and stale-while-revalidate.
+ * Fresh entries are returned as is; stale ones are returned while one caller
+ * refreshes them in the background; misses are loaded once and shared. Keys
+ * versioned by board generation only go stale while their board takes no writes.
+ * @param {string} namespace - Counter group reported by getCacheStats, e.g. 'page'
+ * @param {string} key
+ * @param {number} ttl - Seconds the entry counts as fresh
+ * @param {Function} loader - Async function producing the value on a miss
+ * @returns {Promise<*>}
+ */
+async function getOrLoad(namespace, key, ttl, loader) {
+  let entry;
+  try {
+    entry = await readEntry(key);
+  } catch (error) {
+    logger.warn('Cache read failed, loading directly', { key, error: error.message });
+    return loader();
+  }
+
+  if (entry && entry.freshUntil > Date.now()) {
+    recordCacheEvent(namespace, 'hits');
+    return entry.value;
+  }
+
+  if (entry) {
+    recordCacheEvent(namespace, 'stale');
+    loadOnce(namespace, key, ttl, loader, false).catch((error) => {
+      logger.warn('Background cache refresh failed', { key, error: error.message });
+    });
+    return entry.value;
+  }
+
+  recordCacheEvent(namespace, 'misses');
+  return loadOnce(namespace, key, ttl, loader, true);
+}
+
+/**
+ * Hit/miss counters per cache namespace, summed across every instance
+ * @returns {Promise<Object>}
+ */
+async function getCacheStats() {
+  const counters = await getRedisClient().hgetall(CACHE_KEYS.STATS);
+  const stats = {};
+
+  for (const [field, count] of Object.entries(counters)) {
+    const [namespace, event] = field.split(':');
+    stats[namespace] = stats[namespace] || Object.fromEntries(CACHE_EVENTS.map((name) => [name, 0]));
+    stats[namespace][event] = Number(count);
+  }
+
+  // Coalesced lookups are misses that waited for another caller's load
+  for (const counts of Object.values(stats)) {
+    const served = counts.hits + counts.stale;
+    const lookups = served + counts.misses;
+    counts.hitRate = lookups > 0 ? Math.round((served / lookups) * 1000) / 1000 : 0;
+  }
+
+  return stats;
+}
+
+/**
+ * Cached ranks are keyed by board generation and retired with the board's pages
+ * @param {number} userId
+ */
 async function invalidateUserCache(userId) {
   const client = getRedisClient();
   try {
-    await client.del(CACHE_KEYS.USER_RANK(userId));
     await client.del(CACHE_KEYS.USER_SCORE(userId));
     logger.info(`User cache invalidated for userId: ${userId}`);
   } catch (error) {
@@ -105,7 +348,12 @@ module.exports = {
   getRedisClient,
   CACHE_KEYS,
   CACHE_TTL,
+  getBoardGeneration,
+  getTeamBoardGeneration,
+  getOrLoad,
+  getCacheStats,
   invalidateLeaderboardCache,
   invalidateUserCache,
+  invalidateTeamCache,
   disconnectRedis,
 };
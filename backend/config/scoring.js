@@ -0,0 +1,101 @@
+/**
+ * Score rules: how a game mode's boards turn a player's sessions into their
+ * standing, and which standings rank first. Modes without a rule, the combined
+ * board included, add up every session and rank higher totals first.
+ */
+
+// sum: every session; best: the single best session; average: the mean of the
+// last `count` sessions, rounded; top: the sum of the `count` best sessions
+const SCORE_AGGREGATIONS = ['sum', 'best', 'average', 'top'];
+
+// Sessions counted by average and top when a rule names no count
+const DEFAULT_SCORE_COUNT = 10;
+
+const DEFAULT_SCORE_RULE = Object.freeze({
+  aggregation: 'sum',
+  count: null,
+  // Lower standings rank first, e.g. completion times
+  lowerIsBetter: false,
+  // Equal standings are ordered by who reached them first instead of sharing a rank
+  earliestFirst: false,
+});
+
+/**
+ * Parse rules such as 'solo:best,ranked:average:20,speedrun:best:lower:earliest':
+ * a mode and its aggregation, then optionally a count and the flags lower and earliest
+ * @param {string} spec
+ * @returns {Map<string, Object>}
+ */
+function parseScoreRules(spec) {
+  const rules = new Map();
+
+  for (const item of spec.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const [mode, aggregation, ...options] = item.split(':');
+    if (!mode || !SCORE_AGGREGATIONS.includes(aggregation)) {
+      throw new Error(`Invalid score rule '${item}': expected <mode>:<${SCORE_AGGREGATIONS.join('|')}>[:<count>][:lower][:earliest]`);
+    }
+
+    const counted = aggregation === 'average' || aggregation === 'top';
+    const rule = { ...DEFAULT_SCORE_RULE, aggregation, count: counted ? DEFAULT_SCORE_COUNT : null };
+    for (const option of options) {
+      if (option === 'lower') {
+        rule.lowerIsBetter = true;
+      } else if (option === 'earliest') {
+        rule.earliestFirst = true;
+      } else if (counted && /^[1-9]\d*$/.test(option)) {
+        rule.count = Number(option);
+      } else {
+        throw new Error(`Invalid score rule '${item}': unexpected '${option}'`);
+      }
+    }
+    rules.set(mode, Object.freeze(rule));
+  }
+
+  return rules;
+}
+
+const SCORE_RULES = parseScoreRules(process.env.LEADERBOARD_SCORE_RULES || '');
+
+/**
+ * @param {string} mode
+ * @returns {Object} - { aggregation, count, lowerIsBetter, earliestFirst }
+ */
+function getScoreRule(mode) {
+  return SCORE_RULES.get(mode) ?? DEFAULT_SCORE_RULE;
+}
+
+/**
+ * The configured rules in a canonical form, to tell whether they changed
+ * @returns {string}
+ */
+function describeScoreRules() {
+  return JSON.stringify([...SCORE_RULES].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Whether sessions under a rule count towards the combined board. It adds them
+ * up with higher totals first, which standings where lower is better cannot join.
+ * @param {Object} rule
+ * @returns {boolean}
+ */
+function countsTowardCombined(rule) {
+  return !rule.lowerIsBetter;
+}
+
+/**
+ * Modes given a rule that matches; every other mode follows DEFAULT_SCORE_RULE
+ * @param {Function} predicate
+ * @returns {string[]}
+ */
+function getModesWhere(predicate) {
+  return [...SCORE_RULES].filter(([, rule]) => predicate(rule)).map(([mode]) => mode);
+}
+
+module.exports = {
+  SCORE_AGGREGATIONS,
+  DEFAULT_SCORE_RULE,
+  getScoreRule,
+  getModesWhere,
+  countsTowardCombined,
+  describeScoreRules,
+};
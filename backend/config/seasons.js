@@ -0,0 +1,19 @@
+/**
+ * Seasons: boards with a scheduled start and end. An ended season is archived
+ * with its final ranks frozen; the next one may start players off with part of
+ * their total from it (a soft reset).
+ */
+
+const SEASON_NAME_MAX_LENGTH = 100;
+
+// Starts and closes seasons that are due
+const SEASON_CRON = process.env.SEASON_CRON || '* * * * *';
+
+// Every process reads the schedule from memory, and reloads it this often
+const SEASON_REFRESH_SECONDS = parseInt(process.env.SEASON_REFRESH_SECONDS) || 30;
+
+module.exports = {
+  SEASON_NAME_MAX_LENGTH,
+  SEASON_CRON,
+  SEASON_REFRESH_SECONDS,
+};
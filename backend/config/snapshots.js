@@ -0,0 +1,25 @@
+/**
+ * Rank snapshots: a scheduled job records the top of every current board so
+ * rank changes can be reported against earlier standings.
+ */
+
+// Ranks stored per board and snapshot; players below it have no recorded rank
+const RANK_SNAPSHOT_DEPTH = parseInt(process.env.RANK_SNAPSHOT_DEPTH) || 10000;
+
+// Snapshots older than this are deleted; must exceed the longest horizon
+const RANK_SNAPSHOT_RETENTION_DAYS = parseInt(process.env.RANK_SNAPSHOT_RETENTION_DAYS) || 8;
+
+const RANK_SNAPSHOT_CRON = process.env.RANK_SNAPSHOT_CRON || '0 * * * *';
+
+// Look-backs reported next to the change since the latest snapshot
+const RANK_CHANGE_HORIZONS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+module.exports = {
+  RANK_SNAPSHOT_DEPTH,
+  RANK_SNAPSHOT_RETENTION_DAYS,
+  RANK_SNAPSHOT_CRON,
+  RANK_CHANGE_HORIZONS,
+};
@@ -0,0 +1,59 @@
+const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const logger = require('./logger');
+const { getRedisClient } = require('./redis');
+
+// Prefix of the pub/sub channels API instances relay broadcasts through
+const SOCKET_ADAPTER_KEY = process.env.SOCKET_ADAPTER_KEY || 'socket.io';
+
+// Set on the handshake so a load balancer can keep a polling session on one instance
+const SOCKET_STICKY_COOKIE = process.env.SOCKET_STICKY_COOKIE || 'io';
+
+let adapterClients = [];
+
+/**
+ * Socket.IO server whose broadcasts reach the clients of every API instance:
+ * the Redis adapter publishes each room emit and every instance delivers it
+ * to its own sockets
+ * @param {http.Server} httpServer
+ * @returns {Server}
+ */
+function createSocketServer(httpServer) {
+  // A subscribed connection cannot run other commands, so neither shares the cache client
+  const pubClient = getRedisClient().duplicate();
+  const subClient = pubClient.duplicate();
+  adapterClients = [pubClient, subClient];
+
+  for (const client of adapterClients) {
+    client.on('error', (err) => {
+      logger.error('Socket.IO adapter Redis error', err);
+    });
+  }
+
+  return new Server(httpServer, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
+      methods: ['GET', 'POST'],
+      credentials: true,
+    },
+    transports: ['websocket', 'polling'],
+    cookie: {
+      name: SOCKET_STICKY_COOKIE,
+      path: '/',
+      httpOnly: true,
+      sameSite: 'lax',
+    },
+    adapter: createAdapter(pubClient, subClient, { key: SOCKET_ADAPTER_KEY }),
+  });
+}
+
+async function disconnectSocketAdapter() {
+  await Promise.all(adapterClients.map((client) => client.quit()));
+  adapterClients = [];
+  logger.info('Socket.IO adapter disconnected');
+}
+
+module.exports = {
+  createSocketServer,
+  disconnectSocketAdapter,
+};
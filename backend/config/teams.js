@@ -0,0 +1,30 @@
+/**
+ * Teams (clans): players belong to at most one team, and a team's standing on
+ * a board is aggregated from its current members' totals on that board.
+ */
+
+const TEAM_NAME_MIN_LENGTH = 3;
+const TEAM_NAME_MAX_LENGTH = 32;
+
+// Letters, digits, spaces, '_', '.' and '-', starting and ending with a letter or digit
+const TEAM_NAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9 _.-]*[A-Za-z0-9])?$/;
+
+const TEAM_MAX_MEMBERS = parseInt(process.env.TEAM_MAX_MEMBERS) || 50;
+
+// sum: every member's total; average: the mean over all members, so inactive
+// members pull it down; top: the sum of the TEAM_TOP_K best members
+const TEAM_SCORE_RULES = ['sum', 'average', 'top'];
+const TEAM_SCORE_RULE = TEAM_SCORE_RULES.includes(process.env.TEAM_SCORE_RULE)
+  ? process.env.TEAM_SCORE_RULE
+  : 'sum';
+const TEAM_TOP_K = parseInt(process.env.TEAM_TOP_K) || 5;
+
+module.exports = {
+  TEAM_NAME_MIN_LENGTH,
+  TEAM_NAME_MAX_LENGTH,
+  TEAM_NAME_PATTERN,
+  TEAM_MAX_MEMBERS,
+  TEAM_SCORE_RULES,
+  TEAM_SCORE_RULE,
+  TEAM_TOP_K,
+};
@@ -0,0 +1,30 @@
+const authService = require('../services/authService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+
+const createPlayerToken = asyncHandler(async (req, res) => {
+  const { user_id } = req.body;
+
+  const token = authService.issuePlayerToken(user_id, req.auth.keyId);
+
+  res.status(201).json({
+    success: true,
+    data: token,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+const refreshPlayerToken = asyncHandler(async (req, res) => {
+  const token = authService.refreshPlayerToken(req.auth);
+
+  res.status(201).json({
+    success: true,
+    data: token,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createPlayerToken,
+  refreshPlayerToken,
+};
@@ -0,0 +1,66 @@
+const followService = require('../services/followService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+
+const follow = asyncHandler(async (req, res) => {
+  const { userId, targetId } = req.params;
+
+  const result = await followService.follow(userId, targetId);
+
+  res.status(result.created ? 201 : 200).json({
+    success: true,
+    message: result.created ? 'Player followed' : 'Already following this player',
+    data: result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const unfollow = asyncHandler(async (req, res) => {
+  const { userId, targetId } = req.params;
+
+  await followService.unfollow(userId, targetId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Player unfollowed',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getFollowing = asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+
+  const following = await followService.getFollowing(req.params.userId, { limit, offset });
+
+  res.status(200).json({
+    success: true,
+    data: following,
+    count: following.length,
+    pagination: { limit, offset },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getFollowers = asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+
+  const followers = await followService.getFollowers(req.params.userId, { limit, offset });
+
+  res.status(200).json({
+    success: true,
+    data: followers,
+    count: followers.length,
+    pagination: { limit, offset },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  follow,
+  unfollow,
+  getFollowing,
+  getFollowers,
+};
@@ -1,49 +1,189 @@
 const leaderboardService = require('../services/leaderboardService');
-const { asyncHandler } = require('../middleware/errorHandler');
-const logger = require('../config/logger');
-
-let io = null;
-
-function setSocketIO(socketIO) {
-  io = socketIO;
-}
+const ingestionService = require('../services/ingestionService');
+const playerStatsService = require('../services/playerStatsService');
+const snapshotService = require('../services/snapshotService');
+const { broadcastScores, broadcastOutcomes, publishTopDiffs } = require('../services/realtimeService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { getCacheStats } = require('../config/redis');
+const { ALL_MODES } = require('../config/leaderboards');
+const { getScoreRule } = require('../config/scoring');
+const { INGESTION_MODE } = require('../config/ingestion');
+const { resolveBoard, getSubmissionBoards } = require('../utils/boards');
 
 
 const submitScore = asyncHandler(async (req, res) => {
-  const { user_id, score, game_mode } = req.body;
+  const { user_id, score, game_mode, match_id } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key');
 
-  const result = await leaderboardService.submitScore(user_id, score, game_mode);
+  if (idempotencyKey && idempotencyKey.length > 128) {
+    throw new AppError('Idempotency-Key must be at most 128 characters', 400);
+  }
+  if (idempotencyKey && match_id && idempotencyKey !== match_id) {
+    throw new AppError('match_id and Idempotency-Key differ', 400);
+  }
 
-  if (io) {
-    io.emit('leaderboard:updated', {
+  if (INGESTION_MODE === 'async' || /\brespond-async\b/.test(req.get('Prefer') || '')) {
+    const queued = await ingestionService.enqueueSubmission({
       userId: user_id,
       score,
-      timestamp: new Date().toISOString(),
+      gameMode: game_mode,
+      matchId: match_id ?? idempotencyKey ?? null,
+    });
+
+    if (queued.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    res.set('Location', `${req.baseUrl}/submissions/${queued.trackingId}`);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Score queued for processing',
+      data: formatSubmissionStatus(queued),
     });
-    logger.debug('Real-time leaderboard update emitted');
   }
 
+  const result = await leaderboardService.submitScore(
+    user_id,
+    score,
+    game_mode,
+    match_id ?? idempotencyKey ?? null
+  );
+
+  if (result.replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+
+  if (result.status === 'quarantined') {
+    return res.status(202).json({
+      success: true,
+      message: 'Score held for review',
+      data: formatSubmission(result),
+    });
+  }
+
+  await broadcastOutcomes([{ result }]);
+
   res.status(200).json({
     success: true,
     message: 'Score submitted successfully',
-    data: {
-      userId: result.userId,
-      totalScore: result.totalScore,
-      submittedAt: new Date().toISOString(),
+    data: formatSubmission(result),
+  });
+});
+
+
+const submitScoreBatch = asyncHandler(async (req, res) => {
+  const outcomes = await leaderboardService.submitScoreBatch(
+    req.body.scores.map(({ user_id, score, game_mode, match_id }) => ({
+      userId: user_id,
+      score,
+      gameMode: game_mode,
+      matchId: match_id ?? null,
+    }))
+  );
+
+  const results = outcomes.map(({ result, error }, index) => {
+    if (error) {
+      return {
+        index,
+        success: false,
+        status: error.statusCode || 500,
+        error: error instanceof AppError ? error.message : 'Failed to submit score. Please try again.',
+      };
+    }
+    return { index, success: true, data: formatSubmission(result) };
+  });
+
+  await broadcastOutcomes(outcomes);
+
+  const count = (predicate) => results.filter(predicate).length;
+
+  res.status(200).json({
+    success: true,
+    message: 'Score batch processed',
+    summary: {
+      total: results.length,
+      accepted: count((item) => item.data?.status === 'accepted'),
+      quarantined: count((item) => item.data?.status === 'quarantined'),
+      replayed: count((item) => item.data?.replayed),
+      failed: count((item) => !item.success),
     },
+    data: results,
+    timestamp: new Date().toISOString(),
   });
 });
 
 
+const getSubmissionStatus = asyncHandler(async (req, res) => {
+  const status = await ingestionService.getSubmissionStatus(req.params.trackingId);
+  if (!status) {
+    throw new AppError('Submission not found or its status has expired', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatSubmissionStatus(status),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+function formatSubmissionStatus(status) {
+  return {
+    trackingId: status.trackingId,
+    state: status.state,
+    receivedAt: status.receivedAt,
+    processedAt: status.processedAt ?? null,
+    ...(status.result && { result: formatSubmission(status.result) }),
+    ...(status.error && { error: status.error }),
+    replayed: Boolean(status.replayed),
+  };
+}
+
+
+function formatSubmission(result) {
+  const data = {
+    userId: result.userId,
+    gameMode: result.gameMode,
+    status: result.status,
+  };
+
+  if (result.status === 'quarantined') {
+    data.flaggedScoreId = result.flaggedScoreId;
+    data.reasons = result.reasons;
+  } else {
+    data.totalScore = result.totalScore;
+    data.modeScore = result.modeScore;
+  }
+
+  data.submittedAt = result.submittedAt;
+  data.replayed = Boolean(result.replayed);
+  return data;
+}
+
+
 const getTopPlayers = asyncHandler(async (req, res) => {
-  const limit = parseInt(req.query.limit) || 10;
+  const { limit, offset, cursor, region } = req.query;
+  const board = resolveBoard(req.query);
 
-  const topPlayers = await leaderboardService.getTopPlayers(limit);
+  const { entries, pagination } = await leaderboardService.getLeaderboardPage(board, {
+    limit,
+    offset,
+    cursor,
+    region,
+  });
 
   res.status(200).json({
     success: true,
-    data: topPlayers,
-    count: topPlayers.length,
+    mode: board.mode,
+    window: board.window,
+    periodStart: board.periodStart.toISOString(),
+    periodEnd: board.periodEnd?.toISOString() ?? null,
+    season: board.season ?? null,
+    region: region ?? null,
+    scoring: getScoreRule(board.mode),
+    data: entries,
+    count: entries.length,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -51,12 +191,117 @@ const getTopPlayers = asyncHandler(async (req, res) => {
 
 const getPlayerRank = asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  const board = resolveBoard(req.query);
 
-  const rankData = await leaderboardService.getPlayerRank(parseInt(userId));
+  const rankData = await leaderboardService.getPlayerRank(parseInt(userId), board, {
+    region: req.query.region,
+  });
 
   res.status(200).json({
     success: true,
-    data: rankData,
+    data: {
+      ...rankData,
+      periodStart: board.periodStart.toISOString(),
+      periodEnd: board.periodEnd?.toISOString() ?? null,
+      season: board.season ?? null,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getPlayersAround = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { radius } = req.query;
+  const board = resolveBoard(req.query);
+
+  const around = await leaderboardService.getPlayersAround(parseInt(userId), radius, board);
+
+  res.status(200).json({
+    success: true,
+    data: around,
+    count: around.entries.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getFriendsLeaderboard = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const board = resolveBoard(req.query);
+
+  const friends = await leaderboardService.getFriendsLeaderboard(userId, board, {
+    mutualOnly: req.query.mutual,
+  });
+
+  res.status(200).json({
+    success: true,
+    mode: board.mode,
+    window: board.window,
+    periodStart: board.periodStart.toISOString(),
+    periodEnd: board.periodEnd?.toISOString() ?? null,
+    season: board.season ?? null,
+    scoring: getScoreRule(board.mode),
+    mutual: req.query.mutual,
+    data: friends,
+    count: friends.entries.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getTopClimbers = asyncHandler(async (req, res) => {
+  const { mode, window, since, limit } = req.query;
+  const board = resolveBoard({ mode, window });
+
+  const { from, to, entries } = await snapshotService.getTopClimbers(board, since, limit);
+
+  res.status(200).json({
+    success: true,
+    mode: board.mode,
+    window: board.window,
+    periodStart: board.periodStart.toISOString(),
+    since,
+    from,
+    to,
+    data: entries,
+    count: entries.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getScoreHistory = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { mode, from, to, limit, cursor } = req.query;
+
+  const { entries, pagination } = await playerStatsService.getScoreHistory(userId, {
+    mode,
+    from,
+    to,
+    limit,
+    cursor,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    count: entries.length,
+    pagination,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getPlayerStats = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { mode, window, periods } = req.query;
+
+  const stats = await playerStatsService.getPlayerStats(userId, { mode, window, periods });
+
+  res.status(200).json({
+    success: true,
+    data: stats,
     timestamp: new Date().toISOString(),
   });
 });
@@ -75,34 +320,139 @@ const triggerRankRecalculation = asyncHandler(async (req, res) => {
 });
 
 
+const triggerReconciliation = asyncHandler(async (req, res) => {
+  const { addReconciliationJob } = require('../config/queues');
+
+  const job = await addReconciliationJob({ repair: req.body.repair });
+
+  res.status(202).json({
+    success: true,
+    message: 'Total reconciliation job queued',
+    jobId: job.id,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const triggerRankingSync = (action) => asyncHandler(async (req, res) => {
+  const { addRankingSyncJob } = require('../config/queues');
+
+  const job = await addRankingSyncJob({ action, onlyMissing: false, repair: true });
+
+  res.status(202).json({
+    success: true,
+    message: `Ranking ${action} job queued`,
+    jobId: job.id,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
 const getStats = asyncHandler(async (req, res) => {
   const { getPrismaClient } = require('../config/database');
   const prisma = getPrismaClient();
+  const { mode } = req.query;
+  const sessionFilter = mode === ALL_MODES ? {} : { gameMode: mode };
 
-  const [totalUsers, totalSessions, avgScore] = await Promise.all([
-    prisma.user.count(),
-    prisma.gameSession.count(),
+  const [totalUsers, totalSessions, avgScore, cache] = await Promise.all([
+    mode === ALL_MODES
+      ? prisma.user.count()
+      : prisma.leaderboards.count({ where: { gameMode: mode, timeWindow: 'alltime' } }),
+    prisma.gameSession.count({ where: sessionFilter }),
     prisma.gameSession.aggregate({
+      where: sessionFilter,
       _avg: { score: true },
     }),
+    getCacheStats(),
   ]);
 
   res.status(200).json({
     success: true,
     data: {
+      gameMode: mode,
       totalUsers,
       totalSessions,
       averageScore: Math.round(avgScore._avg.score || 0),
+      cache,
     },
     timestamp: new Date().toISOString(),
   });
 });
 
+const getArchivedPeriods = asyncHandler(async (req, res) => {
+  const { window, limit } = req.query;
+
+  const periods = await leaderboardService.getArchivedPeriods(window, limit);
+
+  res.status(200).json({
+    success: true,
+    data: periods,
+    count: periods.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+const getFlaggedScores = asyncHandler(async (req, res) => {
+  const { status, limit, offset } = req.query;
+
+  const { entries, total } = await leaderboardService.getFlaggedScores({ status, limit, offset });
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    count: entries.length,
+    total,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const reviewFlaggedScore = (decision) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const reviewed = await leaderboardService.reviewFlaggedScore(id, decision, {
+    reviewer: req.auth.keyId,
+    note: req.body.note,
+  });
+
+  if (decision === 'approved') {
+    await broadcastScores([{
+      userId: reviewed.userId,
+      score: reviewed.score,
+      gameMode: reviewed.gameMode,
+      playedAt: new Date(reviewed.playedAt),
+    }]);
+  } else {
+    // A rejected score that had been approved leaves the boards again
+    await publishTopDiffs(getSubmissionBoards(reviewed.gameMode, new Date(reviewed.playedAt)));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Flagged score ${decision}`,
+    data: reviewed,
+    timestamp: new Date().toISOString(),
+  });
+});
+
 module.exports = {
-  setSocketIO,
   submitScore,
+  submitScoreBatch,
+  getSubmissionStatus,
   getTopPlayers,
   getPlayerRank,
+  getPlayersAround,
+  getFriendsLeaderboard,
+  getTopClimbers,
+  getScoreHistory,
+  getPlayerStats,
   triggerRankRecalculation,
+  triggerReconciliation,
+  triggerRankingRebuild: triggerRankingSync('rebuild'),
+  triggerRankingVerification: triggerRankingSync('verify'),
   getStats,
+  getArchivedPeriods,
+  getFlaggedScores,
+  approveFlaggedScore: reviewFlaggedScore('approved'),
+  rejectFlaggedScore: reviewFlaggedScore('rejected'),
 };
@@ -0,0 +1,37 @@
+const notificationService = require('../services/notificationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+
+const getNotifications = asyncHandler(async (req, res) => {
+  const { unread, limit, before } = req.query;
+
+  const { entries, unreadCount, nextBefore } = await notificationService.getNotifications(req.auth.userId, {
+    unreadOnly: unread,
+    limit,
+    before,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    unreadCount,
+    pagination: { limit, nextBefore },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const markNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await notificationService.markNotificationsRead(req.auth.userId, req.body.ids);
+
+  res.status(200).json({
+    success: true,
+    data: { updated },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead,
+};
@@ -0,0 +1,78 @@
+const seasonService = require('../services/seasonService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+
+const listSeasons = asyncHandler(async (req, res) => {
+  const seasons = await seasonService.listSeasons({ limit: req.query.limit });
+
+  res.status(200).json({
+    success: true,
+    data: seasons,
+    count: seasons.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getCurrentSeason = asyncHandler(async (req, res) => {
+  const season = await seasonService.getCurrentSeason();
+
+  res.status(200).json({
+    success: true,
+    data: season,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getSeason = asyncHandler(async (req, res) => {
+  const season = await seasonService.getSeason(req.params.seasonId);
+
+  res.status(200).json({
+    success: true,
+    data: season,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const createSeason = asyncHandler(async (req, res) => {
+  const { name, starts_at, ends_at, carry_over_percent } = req.body;
+
+  const season = await seasonService.createSeason({
+    name,
+    startsAt: starts_at,
+    endsAt: ends_at,
+    carryOverPercent: carry_over_percent,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Season created',
+    data: season,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const changeSeason = (action) => asyncHandler(async (req, res) => {
+  const season = action === 'start'
+    ? await seasonService.startSeason(req.params.seasonId)
+    : await seasonService.endSeason(req.params.seasonId);
+
+  res.status(200).json({
+    success: true,
+    message: action === 'start' ? 'Season started' : 'Season ended; archiving queued',
+    data: season,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  listSeasons,
+  getCurrentSeason,
+  getSeason,
+  createSeason,
+  startSeason: changeSeason('start'),
+  endSeason: changeSeason('end'),
+};
@@ -0,0 +1,113 @@
+const teamService = require('../services/teamService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { TEAM_SCORE_RULE } = require('../config/teams');
+const { resolveBoard } = require('../utils/boards');
+
+
+function describeBoard(board) {
+  return {
+    mode: board.mode,
+    window: board.window,
+    periodStart: board.periodStart.toISOString(),
+    periodEnd: board.periodEnd?.toISOString() ?? null,
+    season: board.season ?? null,
+  };
+}
+
+
+const createTeam = asyncHandler(async (req, res) => {
+  const team = await teamService.createTeam({ name: req.body.name });
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created',
+    data: team,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const joinTeam = asyncHandler(async (req, res) => {
+  const { teamId, userId } = req.params;
+
+  const membership = await teamService.joinTeam(teamId, userId);
+
+  res.status(membership.joined ? 201 : 200).json({
+    success: true,
+    message: membership.joined ? 'Joined team' : 'Already a member of this team',
+    data: membership,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const leaveTeam = asyncHandler(async (req, res) => {
+  const { teamId, userId } = req.params;
+
+  await teamService.leaveTeam(teamId, userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Left team',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getTopTeams = asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+  const board = resolveBoard(req.query);
+
+  const { entries, pagination } = await teamService.getTeamLeaderboardPage(board, { limit, offset });
+
+  res.status(200).json({
+    success: true,
+    ...describeBoard(board),
+    rule: TEAM_SCORE_RULE,
+    data: entries,
+    count: entries.length,
+    pagination,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getTeamRank = asyncHandler(async (req, res) => {
+  const board = resolveBoard(req.query);
+
+  const rankData = await teamService.getTeamRank(req.params.teamId, board);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...rankData,
+      periodStart: board.periodStart.toISOString(),
+      periodEnd: board.periodEnd?.toISOString() ?? null,
+      season: board.season ?? null,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getTeam = asyncHandler(async (req, res) => {
+  const board = resolveBoard(req.query);
+
+  const team = await teamService.getTeamDetail(req.params.teamId, board);
+
+  res.status(200).json({
+    success: true,
+    board: describeBoard(board),
+    data: team,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  getTopTeams,
+  getTeamRank,
+  getTeam,
+};
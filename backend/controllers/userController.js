@@ -0,0 +1,57 @@
+const profileService = require('../services/profileService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+
+const createProfile = asyncHandler(async (req, res) => {
+  const { user_id, username, avatar_url, country, join_date } = req.body;
+
+  const profile = await profileService.createProfile({
+    userId: user_id,
+    username,
+    avatarUrl: avatar_url,
+    country,
+    joinDate: join_date,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Profile created',
+    data: profile,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const getProfile = asyncHandler(async (req, res) => {
+  const profile = await profileService.getProfile(req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    data: profile,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+const updateProfile = asyncHandler(async (req, res) => {
+  const { username, avatar_url, country } = req.body;
+
+  const profile = await profileService.updateProfile(req.params.userId, {
+    ...(username !== undefined && { username }),
+    ...(avatar_url !== undefined && { avatarUrl: avatar_url }),
+    ...(country !== undefined && { country }),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated',
+    data: profile,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createProfile,
+  getProfile,
+  updateProfile,
+};
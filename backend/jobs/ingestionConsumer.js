@@ -0,0 +1,126 @@
+const os = require('os');
+const { getRedisClient } = require('../config/redis');
+const { submitScoreBatch } = require('../services/leaderboardService');
+const { parseEntries, completeSubmissions } = require('../services/ingestionService');
+const logger = require('../config/logger');
+const {
+  INGESTION_STREAM,
+  INGESTION_GROUP,
+  INGEST_BATCH_SIZE,
+  INGEST_BLOCK_MS,
+  INGEST_CLAIM_IDLE_MS,
+} = require('../config/ingestion');
+
+const CONSUMER_NAME = `${os.hostname()}-${process.pid}`;
+const RETRY_DELAY_MS = 1000;
+
+let connection = null;
+let running = false;
+let loop = null;
+let claimCursor = '0-0';
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function ensureGroup() {
+  try {
+    // Start at the beginning so submissions queued before the first consumer are applied
+    await connection.xgroup('CREATE', INGESTION_STREAM, INGESTION_GROUP, '0', 'MKSTREAM');
+  } catch (error) {
+    if (!error.message.includes('BUSYGROUP')) throw error;
+  }
+}
+
+/**
+ * Next micro-batch: entries abandoned by another consumer first, then new ones
+ * @returns {Promise<Array>} - Raw stream entries
+ */
+async function readEntries() {
+  const [nextCursor, claimed] = await connection.xautoclaim(
+    INGESTION_STREAM, INGESTION_GROUP, CONSUMER_NAME,
+    INGEST_CLAIM_IDLE_MS, claimCursor, 'COUNT', INGEST_BATCH_SIZE
+  );
+  claimCursor = nextCursor;
+  if (claimed.length > 0) {
+    // Their batch may have been committed before the consumer stopped; only
+    // submissions with a match id are recognised and not counted twice
+    logger.warn('Reclaimed abandoned ingestion entries', { entries: claimed.length });
+    return claimed;
+  }
+
+  const streams = await connection.xreadgroup(
+    'GROUP', INGESTION_GROUP, CONSUMER_NAME,
+    'COUNT', INGEST_BATCH_SIZE,
+    'BLOCK', INGEST_BLOCK_MS,
+    'STREAMS', INGESTION_STREAM, '>'
+  );
+  return streams ? streams[0][1] : [];
+}
+
+async function applyEntries(entries, onApplied) {
+  const submissions = parseEntries(entries);
+  const outcomes = submissions.length > 0 ? await submitScoreBatch(submissions) : [];
+
+  await completeSubmissions(submissions, outcomes, entries.map(([entryId]) => entryId));
+
+  logger.info('Applied ingestion batch', {
+    entries: entries.length,
+    failed: outcomes.filter((outcome) => outcome.error).length,
+  });
+
+  if (onApplied && outcomes.length > 0) {
+    try {
+      await onApplied(outcomes);
+    } catch (error) {
+      // The batch is already acknowledged; retrying it would apply the scores again
+      logger.error('Failed to handle applied ingestion batch', { error: error.message });
+    }
+  }
+}
+
+async function consume(onApplied) {
+  while (running) {
+    try {
+      const entries = await readEntries();
+      if (entries.length > 0) {
+        await applyEntries(entries, onApplied);
+      }
+    } catch (error) {
+      // Unacknowledged entries stay pending and are reclaimed after INGEST_CLAIM_IDLE_MS
+      logger.error('Ingestion consumer failed to apply a batch', { error: error.message });
+      await sleep(RETRY_DELAY_MS);
+    }
+  }
+}
+
+/**
+ * Start applying queued submissions in this process
+ * @param {Object} [options]
+ * @param {Function} [options.onApplied] - Called with the outcomes of each applied batch
+ */
+async function startIngestionConsumer({ onApplied } = {}) {
+  if (running) return;
+
+  // XREADGROUP blocks its connection, so it cannot share the cache client
+  connection = getRedisClient().duplicate();
+  await ensureGroup();
+
+  running = true;
+  loop = consume(onApplied);
+  logger.info(`Ingestion consumer ${CONSUMER_NAME} started`);
+}
+
+async function stopIngestionConsumer() {
+  if (!running) return;
+
+  running = false;
+  await loop;
+  connection.disconnect();
+  logger.info('Ingestion consumer stopped');
+}
+
+module.exports = {
+  startIngestionConsumer,
+  stopIngestionConsumer,
+};
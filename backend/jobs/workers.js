@@ -1,7 +1,11 @@
 const { Worker } = require('bullmq');
 const IORedis = require('ioredis');
-const { recalculateAllRanks } = require('../services/leaderboardService');
+const { recalculateAllRanks, closeFinishedPeriods } = require('../services/leaderboardService');
 const { getTopPlayers } = require('../services/leaderboardService');
+const { rebuildAllBoards, verifyAllBoards } = require('../services/rankingService');
+const { reconcileTotals, updateStoredRanks } = require('../services/standingsService');
+const { takeSnapshots } = require('../services/snapshotService');
+const { advanceSeasons } = require('../services/seasonService');
 const logger = require('../config/logger');
 
 const connection = process.env.REDIS_URL
@@ -27,7 +31,9 @@ const rankRecalculationWorker = new Worker(
         await recalculateAllRanks();
         logger.info(`Full rank recalculation completed for job ${job.id}`);
       } else if (incremental && userId) {
-        logger.info(`Incremental rank update for user ${userId}`);
+        const updated = await updateStoredRanks(userId);
+        logger.info(`Incremental rank update for user ${userId}`, { boards: updated });
+        return { success: true, boards: updated, processedAt: new Date().toISOString() };
       }
 
       return { success: true, processedAt: new Date().toISOString() };
@@ -69,6 +75,115 @@ const cacheWarmingWorker = new Worker(
   }
 );
 
+const periodClosingWorker = new Worker(
+  'period-closing',
+  async (job) => {
+    logger.info(`Processing period closing job ${job.id}`);
+
+    try {
+      const archived = await closeFinishedPeriods();
+
+      logger.info(`Period closing completed for job ${job.id}`, { archived: archived.length });
+      return { success: true, archived: archived.length, processedAt: new Date().toISOString() };
+    } catch (error) {
+      logger.error(`Period closing job ${job.id} failed`, error);
+      throw error;
+    }
+  },
+  {
+    ...connection,
+    concurrency: 1,
+  }
+);
+
+const rankingSyncWorker = new Worker(
+  'ranking-sync',
+  async (job) => {
+    const { action, onlyMissing, repair } = job.data;
+
+    logger.info(`Processing ranking sync job ${job.id}`, job.data);
+
+    try {
+      if (action === 'rebuild') {
+        const rebuilt = await rebuildAllBoards({ onlyMissing });
+        return { success: true, rebuilt, processedAt: new Date().toISOString() };
+      }
+
+      const reports = await verifyAllBoards({ repair });
+      const drifted = reports.filter((report) => report.missing + report.mismatched + report.extra > 0);
+      logger.info(`Ranking verification completed for job ${job.id}`, {
+        boards: reports.length,
+        drifted: drifted.length,
+      });
+      return { success: true, reports: drifted, processedAt: new Date().toISOString() };
+    } catch (error) {
+      logger.error(`Ranking sync job ${job.id} failed`, error);
+      throw error;
+    }
+  },
+  {
+    ...connection,
+    concurrency: 1,
+  }
+);
+
+const reconciliationWorker = new Worker(
+  'total-reconciliation',
+  async (job) => {
+    logger.info(`Processing total reconciliation job ${job.id}`, job.data);
+
+    try {
+      const report = await reconcileTotals({ repair: job.data.repair });
+      return { success: true, ...report, processedAt: new Date().toISOString() };
+    } catch (error) {
+      logger.error(`Total reconciliation job ${job.id} failed`, error);
+      throw error;
+    }
+  },
+  {
+    ...connection,
+    concurrency: 1,
+  }
+);
+
+const rankSnapshotWorker = new Worker(
+  'rank-snapshots',
+  async (job) => {
+    logger.info(`Processing rank snapshot job ${job.id}`);
+
+    try {
+      const report = await takeSnapshots();
+      return { success: true, ...report, processedAt: new Date().toISOString() };
+    } catch (error) {
+      logger.error(`Rank snapshot job ${job.id} failed`, error);
+      throw error;
+    }
+  },
+  {
+    ...connection,
+    concurrency: 1,
+  }
+);
+
+const seasonWorker = new Worker(
+  'season-lifecycle',
+  async (job) => {
+    logger.info(`Processing season job ${job.id}`);
+
+    try {
+      const report = await advanceSeasons();
+      return { success: true, ...report, processedAt: new Date().toISOString() };
+    } catch (error) {
+      logger.error(`Season job ${job.id} failed`, error);
+      throw error;
+    }
+  },
+  {
+    ...connection,
+    concurrency: 1,
+  }
+);
+
 rankRecalculationWorker.on('completed', (job) => {
   logger.info(`Rank recalculation job ${job.id} completed`);
 });
@@ -85,15 +200,45 @@ cacheWarmingWorker.on('failed', (job, err) => {
   logger.error(`Cache warming job ${job?.id} failed`, err);
 });
 
+periodClosingWorker.on('failed', (job, err) => {
+  logger.error(`Period closing job ${job?.id} failed`, err);
+});
+
+rankingSyncWorker.on('failed', (job, err) => {
+  logger.error(`Ranking sync job ${job?.id} failed`, err);
+});
+
+reconciliationWorker.on('failed', (job, err) => {
+  logger.error(`Total reconciliation job ${job?.id} failed`, err);
+});
+
+rankSnapshotWorker.on('failed', (job, err) => {
+  logger.error(`Rank snapshot job ${job?.id} failed`, err);
+});
+
+seasonWorker.on('failed', (job, err) => {
+  logger.error(`Season job ${job?.id} failed`, err);
+});
+
 
 async function closeWorkers() {
   await rankRecalculationWorker.close();
   await cacheWarmingWorker.close();
+  await periodClosingWorker.close();
+  await rankingSyncWorker.close();
+  await reconciliationWorker.close();
+  await rankSnapshotWorker.close();
+  await seasonWorker.close();
   logger.info('All workers closed');
 }
 
 module.exports = {
   rankRecalculationWorker,
   cacheWarmingWorker,
+  periodClosingWorker,
+  rankingSyncWorker,
+  reconciliationWorker,
+  rankSnapshotWorker,
+  seasonWorker,
   closeWorkers,
 };
@@ -0,0 +1,176 @@
+const jwt = require('jsonwebtoken');
+const { getRedisClient } = require('../config/redis');
+const {
+  API_KEYS,
+  JWT_SECRET,
+  JWT_ISSUER,
+  SIGNATURE_TOLERANCE_SECONDS,
+} = require('../config/auth');
+const { verifySignature } = require('../utils/signatures');
+const {
+  AuthenticationError,
+  AuthorizationError,
+  asyncHandler,
+} = require('./errorHandler');
+
+const AUTH_KEYS = {
+  NONCE: (keyId, nonce) => `auth:nonce:${keyId}:${nonce}`,
+};
+
+const MAX_NONCE_LENGTH = 128;
+
+/**
+ * Verify a game server request signed with its API key
+ * @param {Object} req
+ * @returns {Promise<Object>} - Auth context
+ */
+async function authenticateApiKey(req) {
+  const keyId = req.get('X-Api-Key');
+  const timestamp = req.get('X-Timestamp');
+  const nonce = req.get('X-Nonce');
+  const signature = req.get('X-Signature');
+
+  const apiKey = API_KEYS.get(keyId);
+  if (!apiKey) {
+    throw new AuthenticationError('Unknown API key');
+  }
+  if (!timestamp || !nonce || !signature) {
+    throw new AuthenticationError('Signed requests need X-Timestamp, X-Nonce and X-Signature headers');
+  }
+  if (nonce.length > MAX_NONCE_LENGTH) {
+    throw new AuthenticationError('Nonce is too long');
+  }
+
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(skew) || skew > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new AuthenticationError('Request timestamp is outside the allowed window');
+  }
+
+  const signed = {
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString('utf8') : '',
+  };
+  if (!verifySignature(apiKey.secret, signed, signature)) {
+    throw new AuthenticationError('Invalid request signature');
+  }
+
+  // Checked after the signature so unsigned garbage cannot burn real nonces
+  const fresh = await getRedisClient().set(
+    AUTH_KEYS.NONCE(keyId, nonce),
+    '1',
+    'EX',
+    SIGNATURE_TOLERANCE_SECONDS * 2,
+    'NX'
+  );
+  if (!fresh) {
+    throw new AuthenticationError('Nonce has already been used');
+  }
+
+  return { type: 'apiKey', keyId, scopes: apiKey.scopes };
+}
+
+/**
+ * @param {string} token - Player JWT from the Authorization header
+ * @returns {Object} - Auth context
+ */
+function authenticatePlayer(token) {
+  if (!JWT_SECRET) {
+    throw new AuthenticationError('Player tokens are not enabled');
+  }
+
+  const claims = jwt.verify(token, JWT_SECRET, {
+    algorithms: ['HS256'],
+    issuer: JWT_ISSUER,
+  });
+
+  return {
+    type: 'player',
+    userId: Number(claims.sub),
+    scopes: String(claims.scope || '').split(' ').filter(Boolean),
+    // When a game server issued the first token of this session
+    authTime: Number(claims.auth_time ?? claims.iat),
+  };
+}
+
+/**
+ * Attach req.auth from an API key signature or a player bearer token.
+ * Requests without credentials continue anonymously; requireScope decides.
+ */
+const authenticate = asyncHandler(async (req, res, next) => {
+  req.auth = null;
+
+  if (req.get('X-Api-Key')) {
+    req.auth = await authenticateApiKey(req);
+  } else if (req.get('Authorization')) {
+    const [scheme, token] = req.get('Authorization').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new AuthenticationError('Authorization header must be a Bearer token');
+    }
+    req.auth = authenticatePlayer(token);
+  }
+
+  next();
+});
+
+/**
+ * @param {string} scope - One of SCOPES
+ * @returns {Function} - Middleware rejecting anonymous (401) or unscoped (403) callers
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return next(new AuthenticationError());
+    }
+    if (!req.auth.scopes.includes(scope)) {
+      return next(new AuthorizationError(`Missing required scope: ${scope}`));
+    }
+    next();
+  };
+}
+
+/**
+ * Rejects callers that are not a player; for routes acting on the caller's own data
+ * @returns {Function}
+ */
+function requirePlayer() {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return next(new AuthenticationError());
+    }
+    if (req.auth.type !== 'player') {
+      return next(new AuthorizationError('A player token is required'));
+    }
+    next();
+  };
+}
+
+/**
+ * For routes on one player's data: players may act on their own :userId,
+ * other callers need the scope. Runs after the params are validated.
+ * @param {string} scope - One of SCOPES
+ * @returns {Function}
+ */
+function requireSelfOrScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return next(new AuthenticationError());
+    }
+    if (req.auth.type === 'player') {
+      return req.auth.userId === req.params.userId
+        ? next()
+        : next(new AuthorizationError('Players may only act on their own account'));
+    }
+    return requireScope(scope)(req, res, next);
+  };
+}
+
+module.exports = {
+  authenticate,
+  authenticatePlayer,
+  requireScope,
+  requirePlayer,
+  requireSelfOrScope,
+};
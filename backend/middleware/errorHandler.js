@@ -10,6 +10,18 @@ class AppError extends Error {
   }
 }
 
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+  }
+}
+
+class AuthorizationError extends AppError {
+  constructor(message = 'Insufficient permissions') {
+    super(message, 403);
+  }
+}
+
 const asyncHandler = (fn) => {
   return (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
@@ -47,9 +59,19 @@ const errorHandler = (err, req, res, next) => {
     error = new AppError(err.message, 400);
   }
 
+  if (err.name === 'TokenExpiredError') {
+    error = new AuthenticationError('Token expired');
+  } else if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') {
+    error = new AuthenticationError('Invalid token');
+  }
+
   const statusCode = error.statusCode || 500;
   const isOperational = error.isOperational !== undefined ? error.isOperational : false;
 
+  if (statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="leaderboard"');
+  }
+
   res.status(statusCode).json({
     success: false,
     error: error.message || 'Internal server error',
@@ -74,6 +96,8 @@ const notFoundHandler = (req, res, next) => {
 
 module.exports = {
   AppError,
+  AuthenticationError,
+  AuthorizationError,
   asyncHandler,
   errorHandler,
   notFoundHandler,
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "leaderboards" ADD COLUMN "game_mode" VARCHAR(50) NOT NULL DEFAULT 'all';
+
+-- DropIndex
+DROP INDEX "leaderboards_user_id_key";
+
+-- DropIndex
+DROP INDEX "leaderboards_total_score_user_id_idx";
+
+-- DropIndex
+DROP INDEX "leaderboards_rank_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leaderboards_user_id_game_mode_key" ON "leaderboards"("user_id", "game_mode");
+
+-- CreateIndex
+CREATE INDEX "leaderboards_game_mode_total_score_user_id_idx" ON "leaderboards"("game_mode", "total_score" DESC, "user_id");
+
+-- CreateIndex
+CREATE INDEX "leaderboards_game_mode_rank_idx" ON "leaderboards"("game_mode", "rank");
+
+-- Backfill per-mode standings from existing sessions
+INSERT INTO "leaderboards" ("user_id", "game_mode", "total_score")
+SELECT "user_id", "game_mode", SUM("score")
+FROM "game_sessions"
+GROUP BY "user_id", "game_mode"
+ON CONFLICT ("user_id", "game_mode") DO UPDATE
+SET "total_score" = EXCLUDED."total_score";
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "leaderboards" ADD COLUMN "time_window" VARCHAR(20) NOT NULL DEFAULT 'alltime',
+ADD COLUMN "period_start" TIMESTAMP(3) NOT NULL DEFAULT '1970-01-01 00:00:00';
+
+ALTER TABLE "leaderboards" ALTER COLUMN "period_start" DROP DEFAULT;
+
+-- DropIndex
+DROP INDEX "leaderboards_user_id_game_mode_key";
+
+-- DropIndex
+DROP INDEX "leaderboards_game_mode_total_score_user_id_idx";
+
+-- DropIndex
+DROP INDEX "leaderboards_game_mode_rank_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leaderboards_board_entry_key" ON "leaderboards"("user_id", "game_mode", "time_window", "period_start");
+
+-- CreateIndex
+CREATE INDEX "leaderboards_board_score_idx" ON "leaderboards"("game_mode", "time_window", "period_start", "total_score" DESC, "user_id");
+
+-- CreateIndex
+CREATE INDEX "leaderboards_board_rank_idx" ON "leaderboards"("game_mode", "time_window", "period_start", "rank");
+
+-- CreateTable
+CREATE TABLE "leaderboard_periods" (
+    "id" SERIAL NOT NULL,
+    "time_window" VARCHAR(20) NOT NULL,
+    "period_start" TIMESTAMP(3) NOT NULL,
+    "period_end" TIMESTAMP(3) NOT NULL,
+    "player_count" INTEGER NOT NULL,
+    "closed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "leaderboard_periods_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leaderboard_periods_time_window_period_start_key" ON "leaderboard_periods"("time_window", "period_start");
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "flagged_scores" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "score" INTEGER NOT NULL,
+    "game_mode" VARCHAR(50) NOT NULL,
+    "played_at" TIMESTAMP(3) NOT NULL,
+    "reasons" JSONB NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "game_session_id" INTEGER,
+    "reviewed_by" VARCHAR(100),
+    "review_note" VARCHAR(500),
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "flagged_scores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "flagged_scores_game_session_id_key" ON "flagged_scores"("game_session_id");
+
+-- CreateIndex
+CREATE INDEX "flagged_scores_status_created_at_idx" ON "flagged_scores"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "flagged_scores_user_id_idx" ON "flagged_scores"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "flagged_scores" ADD CONSTRAINT "flagged_scores_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "flagged_scores" ADD CONSTRAINT "flagged_scores_game_session_id_fkey" FOREIGN KEY ("game_session_id") REFERENCES "game_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
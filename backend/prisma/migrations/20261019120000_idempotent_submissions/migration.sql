@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN "match_id" VARCHAR(128);
+
+-- AlterTable
+ALTER TABLE "flagged_scores" ADD COLUMN "match_id" VARCHAR(128);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_sessions_user_match_key" ON "game_sessions"("user_id", "match_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "flagged_scores_user_match_key" ON "flagged_scores"("user_id", "match_id");
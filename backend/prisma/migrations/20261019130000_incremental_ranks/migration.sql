@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "leaderboards" ADD COLUMN "ranked_score" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "leaderboards_board_ranked_score_idx" ON "leaderboards"("game_mode", "time_window", "period_start", "ranked_score");
+
+-- Rank every board that has not been archived, so incremental updates start
+-- from ranks that agree with ranked_score
+UPDATE "leaderboards"
+SET "rank" = ranked."rank", "ranked_score" = ranked."total_score"
+FROM (
+  SELECT
+    l."id",
+    l."total_score",
+    RANK() OVER (
+      PARTITION BY l."game_mode", l."time_window", l."period_start"
+      ORDER BY l."total_score" DESC
+    ) AS "rank"
+  FROM "leaderboards" l
+  WHERE NOT EXISTS (
+    SELECT 1 FROM "leaderboard_periods" p
+    WHERE p."time_window" = l."time_window" AND p."period_start" = l."period_start"
+  )
+) AS ranked
+WHERE "leaderboards"."id" = ranked."id";
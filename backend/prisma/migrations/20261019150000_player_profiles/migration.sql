@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "avatar_url" VARCHAR(2048),
+ADD COLUMN     "country" CHAR(2),
+ADD COLUMN     "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Usernames are unique regardless of case; Prisma cannot express this index
+CREATE UNIQUE INDEX "users_username_lower_key" ON "users"(LOWER("username"));
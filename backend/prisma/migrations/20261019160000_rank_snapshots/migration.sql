@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "rank_snapshots" (
+    "id" SERIAL NOT NULL,
+    "game_mode" VARCHAR(50) NOT NULL,
+    "time_window" VARCHAR(20) NOT NULL,
+    "period_start" TIMESTAMP(3) NOT NULL,
+    "taken_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "player_count" INTEGER NOT NULL,
+    "user_ids" INTEGER[],
+    "ranks" INTEGER[],
+
+    CONSTRAINT "rank_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rank_snapshots_board_taken_at_idx" ON "rank_snapshots"("game_mode", "time_window", "period_start", "taken_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "rank_snapshots_taken_at_idx" ON "rank_snapshots"("taken_at");
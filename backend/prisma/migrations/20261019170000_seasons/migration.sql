@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "leaderboards" ADD COLUMN "carried_score" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "seasons" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "starts_at" TIMESTAMP(3) NOT NULL,
+    "ends_at" TIMESTAMP(3) NOT NULL,
+    "carry_over_percent" INTEGER NOT NULL DEFAULT 0,
+    "started_at" TIMESTAMP(3),
+    "archived_at" TIMESTAMP(3),
+    "player_count" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "seasons_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "seasons_period_check" CHECK ("ends_at" > "starts_at"),
+    CONSTRAINT "seasons_carry_over_percent_check" CHECK ("carry_over_percent" BETWEEN 0 AND 100)
+);
+
+-- CreateIndex
+CREATE INDEX "seasons_starts_at_idx" ON "seasons"("starts_at");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "follows" (
+    "follower_id" INTEGER NOT NULL,
+    "followee_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "follows_pkey" PRIMARY KEY ("follower_id","followee_id"),
+    CONSTRAINT "follows_not_self_check" CHECK ("follower_id" <> "followee_id")
+);
+
+-- CreateIndex
+CREATE INDEX "follows_followee_id_idx" ON "follows"("followee_id");
+
+-- AddForeignKey
+ALTER TABLE "follows" ADD CONSTRAINT "follows_follower_id_fkey" FOREIGN KEY ("follower_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "follows" ADD CONSTRAINT "follows_followee_id_fkey" FOREIGN KEY ("followee_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
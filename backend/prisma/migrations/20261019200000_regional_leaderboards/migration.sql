@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "leaderboards" ADD COLUMN "country" CHAR(2);
+
+-- Backfill from the players' profiles
+UPDATE "leaderboards" l
+SET "country" = u."country"
+FROM "users" u
+WHERE u."id" = l."user_id"
+  AND u."country" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "leaderboards_board_country_score_idx" ON "leaderboards"("game_mode", "time_window", "period_start", "country", "total_score" DESC, "user_id");
+
+-- Every path that writes standings inserts rows without a country; new rows
+-- take the player's, so regional boards need no changes to the writers
+CREATE FUNCTION "leaderboards_set_country"() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW."country" IS NULL THEN
+        SELECT "country" INTO NEW."country" FROM "users" WHERE "id" = NEW."user_id";
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "leaderboards_set_country"
+BEFORE INSERT ON "leaderboards"
+FOR EACH ROW EXECUTE FUNCTION "leaderboards_set_country"();
+
+-- A player who changes country moves to the new country's boards, past ones included
+CREATE FUNCTION "users_propagate_country"() RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE "leaderboards" SET "country" = NEW."country" WHERE "user_id" = NEW."id";
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "users_propagate_country"
+AFTER UPDATE OF "country" ON "users"
+FOR EACH ROW
+WHEN (OLD."country" IS DISTINCT FROM NEW."country")
+EXECUTE FUNCTION "users_propagate_country"();
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "leaderboards" ADD COLUMN "achieved_at" TIMESTAMP(3);
+
+-- Backfill with each player's latest scoring session on the board since its
+-- period started: when a sum reached its total. Until now every board summed;
+-- whenever LEADERBOARD_SCORE_RULES differs from the rules last reconciled
+-- under, this first start included, the server queues a reconciliation that
+-- recomputes total_score and achieved_at on the current periods from the
+-- sessions. Closed periods keep their frozen ranks.
+UPDATE "leaderboards" l
+SET "achieved_at" = COALESCE((
+    SELECT MAX(s."timestamp")
+    FROM "game_sessions" s
+    WHERE s."user_id" = l."user_id"
+      AND (l."game_mode" = 'all' OR s."game_mode" = l."game_mode")
+      AND s."timestamp" >= l."period_start"
+      AND s."score" <> 0
+), l."period_start");
+
+ALTER TABLE "leaderboards" ALTER COLUMN "achieved_at" SET NOT NULL,
+ALTER COLUMN "achieved_at" SET DEFAULT CURRENT_TIMESTAMP;
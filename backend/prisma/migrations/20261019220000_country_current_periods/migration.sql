@@ -0,0 +1,16 @@
+-- A player who changes country moves to the new country's boards for the
+-- running periods only; archived periods keep the country they were closed with
+CREATE OR REPLACE FUNCTION "users_propagate_country"() RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE "leaderboards" l
+    SET "country" = NEW."country"
+    WHERE l."user_id" = NEW."id"
+      AND NOT EXISTS (
+          SELECT 1
+          FROM "leaderboard_periods" p
+          WHERE p."time_window" = l."time_window"
+            AND p."period_start" = l."period_start"
+      );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireScope, requirePlayer } = require('../middleware/auth');
+const { SCOPES } = require('../config/auth');
+const { validateRequest, playerTokenSchema } = require('../utils/validation');
+
+
+router.post(
+  '/token',
+  requireScope(SCOPES.ISSUE_TOKENS),
+  validateRequest(playerTokenSchema, 'body'),
+  authController.createPlayerToken
+);
+
+
+router.post(
+  '/token/refresh',
+  requirePlayer(),
+  authController.refreshPlayerToken
+);
+
+module.exports = router;
@@ -1,38 +1,179 @@
 const express = require('express');
 const router = express.Router();
 const leaderboardController = require('../controllers/leaderboardController');
-const { validateRequest, submitScoreSchema, userIdParamSchema } = require('../utils/validation');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../config/auth');
+const {
+  validateRequest,
+  submitScoreSchema,
+  submitScoreBatchSchema,
+  userIdParamSchema,
+  trackingIdParamSchema,
+  boardQuerySchema,
+  rankQuerySchema,
+  aroundQuerySchema,
+  climbersQuerySchema,
+  friendsQuerySchema,
+  playerHistoryQuerySchema,
+  playerStatsQuerySchema,
+  periodsQuerySchema,
+  leaderboardPageQuerySchema,
+  reconcileTotalsSchema,
+  flaggedScoresQuerySchema,
+  flaggedScoreIdParamSchema,
+  reviewFlaggedScoreSchema,
+} = require('../utils/validation');
 
 
 router.post(
   '/submit',
+  requireScope(SCOPES.SUBMIT),
   validateRequest(submitScoreSchema, 'body'),
   leaderboardController.submitScore
 );
 
 
+router.post(
+  '/submit/batch',
+  requireScope(SCOPES.SUBMIT),
+  validateRequest(submitScoreBatchSchema, 'body'),
+  leaderboardController.submitScoreBatch
+);
+
+
+router.get(
+  '/submissions/:trackingId',
+  requireScope(SCOPES.SUBMIT),
+  validateRequest(trackingIdParamSchema, 'params'),
+  leaderboardController.getSubmissionStatus
+);
+
+
 router.get(
   '/top',
+  validateRequest(leaderboardPageQuerySchema, 'query'),
   leaderboardController.getTopPlayers
 );
 
 
 router.get(
   '/rank/:userId',
+  requireScope(SCOPES.READ),
   validateRequest(userIdParamSchema, 'params'),
+  validateRequest(rankQuerySchema, 'query'),
   leaderboardController.getPlayerRank
 );
 
 
+router.get(
+  '/rank/:userId/around',
+  requireScope(SCOPES.READ),
+  validateRequest(userIdParamSchema, 'params'),
+  validateRequest(aroundQuerySchema, 'query'),
+  leaderboardController.getPlayersAround
+);
+
+
+router.get(
+  '/friends/:userId',
+  requireScope(SCOPES.READ),
+  validateRequest(userIdParamSchema, 'params'),
+  validateRequest(friendsQuerySchema, 'query'),
+  leaderboardController.getFriendsLeaderboard
+);
+
+
+router.get(
+  '/climbers',
+  validateRequest(climbersQuerySchema, 'query'),
+  leaderboardController.getTopClimbers
+);
+
+
+router.get(
+  '/players/:userId/history',
+  requireScope(SCOPES.READ),
+  validateRequest(userIdParamSchema, 'params'),
+  validateRequest(playerHistoryQuerySchema, 'query'),
+  leaderboardController.getScoreHistory
+);
+
+
+router.get(
+  '/players/:userId/stats',
+  requireScope(SCOPES.READ),
+  validateRequest(userIdParamSchema, 'params'),
+  validateRequest(playerStatsQuerySchema, 'query'),
+  leaderboardController.getPlayerStats
+);
+
+
 router.get(
   '/stats',
+  validateRequest(boardQuerySchema, 'query'),
   leaderboardController.getStats
 );
 
 
+router.get(
+  '/periods',
+  validateRequest(periodsQuerySchema, 'query'),
+  leaderboardController.getArchivedPeriods
+);
+
+
 router.post(
   '/recalculate',
+  requireScope(SCOPES.ADMIN),
   leaderboardController.triggerRankRecalculation
 );
 
+
+router.post(
+  '/rankings/rebuild',
+  requireScope(SCOPES.ADMIN),
+  leaderboardController.triggerRankingRebuild
+);
+
+
+router.post(
+  '/rankings/verify',
+  requireScope(SCOPES.ADMIN),
+  leaderboardController.triggerRankingVerification
+);
+
+
+router.post(
+  '/totals/reconcile',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(reconcileTotalsSchema, 'body'),
+  leaderboardController.triggerReconciliation
+);
+
+
+router.get(
+  '/flagged',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(flaggedScoresQuerySchema, 'query'),
+  leaderboardController.getFlaggedScores
+);
+
+
+router.post(
+  '/flagged/:id/approve',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(flaggedScoreIdParamSchema, 'params'),
+  validateRequest(reviewFlaggedScoreSchema, 'body'),
+  leaderboardController.approveFlaggedScore
+);
+
+
+router.post(
+  '/flagged/:id/reject',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(flaggedScoreIdParamSchema, 'params'),
+  validateRequest(reviewFlaggedScoreSchema, 'body'),
+  leaderboardController.rejectFlaggedScore
+);
+
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { requireScope, requirePlayer } = require('../middleware/auth');
+const { SCOPES } = require('../config/auth');
+const {
+  validateRequest,
+  notificationsQuerySchema,
+  markNotificationsReadSchema,
+} = require('../utils/validation');
+
+
+router.get(
+  '/',
+  requirePlayer(),
+  requireScope(SCOPES.READ),
+  validateRequest(notificationsQuerySchema, 'query'),
+  notificationController.getNotifications
+);
+
+
+router.post(
+  '/read',
+  requirePlayer(),
+  requireScope(SCOPES.READ),
+  validateRequest(markNotificationsReadSchema, 'body'),
+  notificationController.markNotificationsRead
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const seasonController = require('../controllers/seasonController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../config/auth');
+const {
+  validateRequest,
+  seasonIdParamSchema,
+  seasonsQuerySchema,
+  createSeasonSchema,
+} = require('../utils/validation');
+
+
+router.get(
+  '/',
+  validateRequest(seasonsQuerySchema, 'query'),
+  seasonController.listSeasons
+);
+
+
+router.get(
+  '/current',
+  seasonController.getCurrentSeason
+);
+
+
+router.get(
+  '/:seasonId',
+  validateRequest(seasonIdParamSchema, 'params'),
+  seasonController.getSeason
+);
+
+
+router.post(
+  '/',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(createSeasonSchema, 'body'),
+  seasonController.createSeason
+);
+
+
+router.post(
+  '/:seasonId/start',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(seasonIdParamSchema, 'params'),
+  seasonController.startSeason
+);
+
+
+router.post(
+  '/:seasonId/end',
+  requireScope(SCOPES.ADMIN),
+  validateRequest(seasonIdParamSchema, 'params'),
+  seasonController.endSeason
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/teamController');
+const { requireScope, requireSelfOrScope } = require('../middleware/auth');
+const { SCOPES } = require('../config/auth');
+const {
+  validateRequest,
+  boardQuerySchema,
+  teamIdParamSchema,
+  teamMemberParamSchema,
+  createTeamSchema,
+  teamLeaderboardQuerySchema,
+} = require('../utils/validation');
+
+
+router.post(
+  '/',
+  requireScope(SCOPES.SUBMIT),
+  validateRequest(createTeamSchema, 'body'),
+  teamController.createTeam
+);
+
+
+router.get(
+  '/top',
+  validateRequest(teamLeaderboardQuerySchema, 'query'),
+  teamController.getTopTeams
+);
+
+
+router.get(
+  '/:teamId',
+  requireScope(SCOPES.READ),
+  validateRequest(teamIdParamSchema, 'params'),
+  validateRequest(boardQuerySchema, 'query'),
+  teamController.getTeam
+);
+
+
+router.get(
+  '/:teamId/rank',
+  requireScope(SCOPES.READ),
+  validateRequest(teamIdParamSchema, 'params'),
+  validateRequest(boardQuerySchema, 'query'),
+  teamController.getTeamRank
+);
+
+
+router.put(
+  '/:teamId/members/:userId',
+  validateRequest(teamMemberParamSchema, 'params'),
+  requireSelfOrScope(SCOPES.SUBMIT),
+  teamController.joinTeam
+);
+
+
+router.delete(
+  '/:teamId/members/:userId',
+  validateRequest(teamMemberParamSchema, 'params'),
+  requireSelfOrScope(SCOPES.SUBMIT),
+  teamController.leaveTeam
+);
+
+module.exports = router;
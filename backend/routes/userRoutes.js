@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const followController = require('../controllers/followController');
+const { requireScope, requireSelfOrScope } = require('../middleware/auth');
+const { SCOPES } = require('../config/auth');
+const {
+  validateRequest,
+  userIdParamSchema,
+  createProfileSchema,
+  updateProfileSchema,
+  followParamSchema,
+  paginationSchema,
+} = require('../utils/validation');
+
+
+router.post(
+  '/',
+  requireScope(SCOPES.SUBMIT),
+  validateRequest(createProfileSchema, 'body'),
+  userController.createProfile
+);
+
+
+router.get(
+  '/:userId',
+  validateRequest(userIdParamSchema, 'params'),
+  userController.getProfile
+);
+
+
+router.patch(
+  '/:userId',
+  validateRequest(userIdParamSchema, 'params'),
+  requireSelfOrScope(SCOPES.SUBMIT),
+  validateRequest(updateProfileSchema, 'body'),
+  userController.updateProfile
+);
+
+
+router.get(
+  '/:userId/following',
+  requireScope(SCOPES.READ),
+  validateRequest(userIdParamSchema, 'params'),
+  validateRequest(paginationSchema, 'query'),
+  followController.getFollowing
+);
+
+
+router.get(
+  '/:userId/followers',
+  requireScope(SCOPES.READ),
+  validateRequest(userIdParamSchema, 'params'),
+  validateRequest(paginationSchema, 'query'),
+  followController.getFollowers
+);
+
+
+router.put(
+  '/:userId/following/:targetId',
+  validateRequest(followParamSchema, 'params'),
+  requireSelfOrScope(SCOPES.SUBMIT),
+  followController.follow
+);
+
+
+router.delete(
+  '/:userId/following/:targetId',
+  validateRequest(followParamSchema, 'params'),
+  requireSelfOrScope(SCOPES.SUBMIT),
+  followController.unfollow
+);
+
+module.exports = router;
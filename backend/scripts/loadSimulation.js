@@ -1,7 +1,15 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const { signRequest } = require('../utils/signatures');
 
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:8000/api/leaderboard';
+const AUTH_BASE_URL = process.env.AUTH_BASE_URL || API_BASE_URL.replace(/\/leaderboard$/, '/auth');
+// Simulated game server key; needs the submit and tokens scopes
+const API_KEY_ID = process.env.SIM_API_KEY_ID;
+const API_KEY_SECRET = process.env.SIM_API_KEY_SECRET;
 const MAX_USER_ID = parseInt(process.env.MAX_USER_ID) || 1000000;
+// Players per simulated match submitted through /submit/batch
+const MATCH_SIZE = parseInt(process.env.MATCH_SIZE) || 8;
 const MIN_SCORE = 100;
 const MAX_SCORE = 10000;
 const MIN_DELAY = 500; 
@@ -63,15 +71,48 @@ function printStats() {
   console.log(`Requests/sec: ${(stats.totalRequests / (runtime || 1)).toFixed(2)}`);
 }
 
+// POST a body signed the way a game server does
+function signedPost(url, body) {
+  const raw = JSON.stringify(body);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  const { pathname, search } = new URL(url);
+  const signature = signRequest(API_KEY_SECRET, {
+    timestamp,
+    nonce,
+    method: 'POST',
+    path: pathname + search,
+    body: raw,
+  });
+
+  return axios.post(url, raw, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Api-Key': API_KEY_ID,
+      'X-Timestamp': timestamp,
+      'X-Nonce': nonce,
+      'X-Signature': signature,
+    },
+  });
+}
+
+
+async function getPlayerToken(userId) {
+  const response = await signedPost(`${AUTH_BASE_URL}/token`, { user_id: userId });
+  return response.data.data.token;
+}
+
+
 async function submitScore(userId) {
   const score = randomInt(MIN_SCORE, MAX_SCORE);
   const startTime = Date.now();
 
   try {
-    const response = await axios.post(`${API_BASE_URL}/submit`, {
+    const response = await signedPost(`${API_BASE_URL}/submit`, {
       user_id: userId,
       score: score,
       game_mode: Math.random() > 0.5 ? 'solo' : 'team',
+      match_id: crypto.randomUUID(),
     });
 
     const latency = Date.now() - startTime;
@@ -88,6 +129,41 @@ async function submitScore(userId) {
 }
 
 
+// One request for every player of a match, as a match server would send it
+async function submitMatch(userId) {
+  const gameMode = Math.random() > 0.5 ? 'solo' : 'team';
+  const matchId = crypto.randomUUID();
+  const players = new Set([userId]);
+  while (players.size < MATCH_SIZE) {
+    players.add(randomInt(1, MAX_USER_ID));
+  }
+  const startTime = Date.now();
+
+  try {
+    const response = await signedPost(`${API_BASE_URL}/submit/batch`, {
+      scores: [...players].map((player) => ({
+        user_id: player,
+        score: randomInt(MIN_SCORE, MAX_SCORE),
+        game_mode: gameMode,
+        match_id: matchId,
+      })),
+    });
+
+    const latency = Date.now() - startTime;
+    updateStats(true, latency);
+
+    const { accepted, quarantined, failed } = response.data.summary;
+    console.log(`✓ [${latency}ms] Match submitted - ${accepted} accepted, ${quarantined} quarantined, ${failed} failed`);
+    return response.data;
+  } catch (error) {
+    const latency = Date.now() - startTime;
+    updateStats(false, latency);
+    console.error(`✗ [${latency}ms] Failed to submit match:`, error.message);
+    return null;
+  }
+}
+
+
 async function getTopPlayers() {
   const startTime = Date.now();
 
@@ -111,7 +187,10 @@ async function getUserRank(userId) {
   const startTime = Date.now();
 
   try {
-    const response = await axios.get(`${API_BASE_URL}/rank/${userId}`);
+    const token = await getPlayerToken(userId);
+    const response = await axios.get(`${API_BASE_URL}/rank/${userId}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
     const latency = Date.now() - startTime;
     updateStats(true, latency);
     
@@ -135,13 +214,22 @@ async function runSimulation() {
   console.log(`Delay Range: ${MIN_DELAY}ms - ${MAX_DELAY}ms`);
   console.log('Press Ctrl+C to stop\n');
 
+  if (!API_KEY_ID || !API_KEY_SECRET) {
+    console.error('Set SIM_API_KEY_ID and SIM_API_KEY_SECRET to a game server key from API_KEYS');
+    process.exit(1);
+  }
+
   const statsInterval = setInterval(printStats, 10000);
 
   try {
     while (true) {
       const userId = randomInt(1, MAX_USER_ID);
 
-      await submitScore(userId);
+      if (Math.random() > 0.5) {
+        await submitScore(userId);
+      } else {
+        await submitMatch(userId);
+      }
       await sleep(randomDelay() / 2);
       
       await getTopPlayers();
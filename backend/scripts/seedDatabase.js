@@ -1,9 +1,14 @@
 require('dotenv').config();
 const { getPrismaClient } = require('../config/database');
 const logger = require('../config/logger');
+const { TIME_WINDOWS } = require('../config/leaderboards');
+const { getPeriodStart } = require('../utils/periods');
 
 const prisma = getPrismaClient();
 
+// Countries given to seeded players, spread evenly; every tenth player has none
+const SEED_COUNTRIES = ['US', 'BR', 'DE', 'GB', 'FR', 'IN', 'JP', 'KR', 'SE', 'CA', 'AU', 'MX', 'PL', 'TR', 'ID'];
+
 async function seedDatabase() {
   try {
     logger.info('Starting database seeding...');
@@ -11,18 +16,38 @@ async function seedDatabase() {
 
     logger.info('Truncating tables...');
     await prisma.$executeRaw`TRUNCATE TABLE leaderboards RESTART IDENTITY CASCADE`;
+    await prisma.$executeRaw`TRUNCATE TABLE leaderboard_periods RESTART IDENTITY CASCADE`;
     await prisma.$executeRaw`TRUNCATE TABLE game_sessions RESTART IDENTITY CASCADE`;
     await prisma.$executeRaw`TRUNCATE TABLE users RESTART IDENTITY CASCADE`;
+    await prisma.$executeRaw`TRUNCATE TABLE teams RESTART IDENTITY CASCADE`;
     logger.info('✓ Tables truncated');
 
     logger.info('Seeding users table...');
+    // Leaderboard rows take the player's country on insert, for the regional boards
     await prisma.$executeRaw`
-      INSERT INTO users (id, username)
-      SELECT s, 'user_' || s
+      INSERT INTO users (id, username, country)
+      SELECT
+        s,
+        'user_' || s,
+        CASE WHEN s % 10 = 0 THEN NULL ELSE (${SEED_COUNTRIES}::text[])[1 + s % ${SEED_COUNTRIES.length}] END
       FROM generate_series(1, 1000000) AS s
     `;
     logger.info('✓ Users table seeded');
 
+    logger.info('Seeding teams...');
+    await prisma.$executeRaw`
+      INSERT INTO teams (name)
+      SELECT 'Team ' || s
+      FROM generate_series(1, 10000) AS s
+    `;
+    // The first 200,000 players, 20 to a team
+    await prisma.$executeRaw`
+      INSERT INTO team_members (user_id, team_id)
+      SELECT s, (s - 1) % 10000 + 1
+      FROM generate_series(1, 200000) AS s
+    `;
+    logger.info('✓ Teams seeded');
+
     const batchSize = 100000;
     const totalSessions = 5000000;
     logger.info(`Seeding ${totalSessions} game sessions in batches of ${batchSize}...`);
@@ -42,19 +67,41 @@ async function seedDatabase() {
 
     logger.info('Aggregating scores for leaderboard in batches...');
     const totalUsers = 1000000;
-    for (let i = 1; i <= totalUsers; i += batchSize) {
-      await prisma.$executeRaw`
-        INSERT INTO leaderboards (user_id, total_score)
-        SELECT 
-          user_id, 
-          SUM(score) as total_score
-        FROM game_sessions
-        WHERE user_id BETWEEN ${i} AND ${i + batchSize - 1}
-        GROUP BY user_id
-        ON CONFLICT (user_id) DO UPDATE
-        SET total_score = EXCLUDED.total_score
-      `;
-      logger.info(`✓ Aggregated scores for users ${i} to ${i + batchSize - 1}`);
+    for (const window of TIME_WINDOWS) {
+      const periodStart = getPeriodStart(window);
+      for (let i = 1; i <= totalUsers; i += batchSize) {
+        await prisma.$executeRaw`
+          INSERT INTO leaderboards (user_id, game_mode, time_window, period_start, total_score)
+          SELECT 
+            user_id, 
+            'all',
+            ${window},
+            ${periodStart},
+            SUM(score) as total_score
+          FROM game_sessions
+          WHERE user_id BETWEEN ${i} AND ${i + batchSize - 1}
+            AND "timestamp" >= ${periodStart}
+          GROUP BY user_id
+          ON CONFLICT (user_id, game_mode, time_window, period_start) DO UPDATE
+          SET total_score = EXCLUDED.total_score
+        `;
+        await prisma.$executeRaw`
+          INSERT INTO leaderboards (user_id, game_mode, time_window, period_start, total_score)
+          SELECT 
+            user_id, 
+            game_mode,
+            ${window},
+            ${periodStart},
+            SUM(score) as total_score
+          FROM game_sessions
+          WHERE user_id BETWEEN ${i} AND ${i + batchSize - 1}
+            AND "timestamp" >= ${periodStart}
+          GROUP BY user_id, game_mode
+          ON CONFLICT (user_id, game_mode, time_window, period_start) DO UPDATE
+          SET total_score = EXCLUDED.total_score
+        `;
+        logger.info(`✓ Aggregated ${window} scores for users ${i} to ${i + batchSize - 1}`);
+      }
     }
     
     logger.info('Recalculating all ranks...');
@@ -63,11 +110,14 @@ async function seedDatabase() {
       SET rank = ranked.rank
       FROM (
         SELECT 
-          user_id,
-          RANK() OVER (ORDER BY total_score DESC) as rank
+          id,
+          RANK() OVER (
+            PARTITION BY game_mode, time_window, period_start
+            ORDER BY total_score DESC
+          ) as rank
         FROM leaderboards
       ) AS ranked
-      WHERE leaderboards.user_id = ranked.user_id
+      WHERE leaderboards.id = ranked.id
     `;
     logger.info('✓ Leaderboard table populated and ranks calculated');
 
@@ -82,20 +132,23 @@ async function seedDatabase() {
     `;
     await prisma.$executeRaw`
       CREATE INDEX IF NOT EXISTS idx_leaderboards_total_score 
-      ON leaderboards(total_score DESC, user_id)
+      ON leaderboards(game_mode, time_window, period_start, total_score DESC, user_id)
     `;
     logger.info('✓ Indexes created');
 
     const userCount = await prisma.user.count();
     const sessionCount = await prisma.gameSession.count();
     const leaderboardCount = await prisma.leaderboards.count();
+    const teamCount = await prisma.team.count();
+    const regionalCount = await prisma.leaderboards.count({ where: { country: { not: null } } });
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     logger.info('Database seeding completed successfully!');
     logger.info(`Total Users: ${userCount.toLocaleString()}`);
     logger.info(`Total Game Sessions: ${sessionCount.toLocaleString()}`);
-    logger.info(`Leaderboard Entries: ${leaderboardCount.toLocaleString()}`);
+    logger.info(`Leaderboard Entries: ${leaderboardCount.toLocaleString()} (${regionalCount.toLocaleString()} on regional boards)`);
+    logger.info(`Teams: ${teamCount.toLocaleString()}`);
     logger.info(`Time Taken: ${duration} seconds`);
 
   } catch (error) {
@@ -6,7 +6,6 @@ require('dotenv').config();
 
 const express = require('express');
 const http = require('http');
-const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -15,25 +14,36 @@ const rateLimit = require('express-rate-limit');
 const logger = require('./config/logger');
 const { getPrismaClient, disconnectPrisma } = require('./config/database');
 const { getRedisClient, disconnectRedis } = require('./config/redis');
-const { closeQueues } = require('./config/queues');
+const { createSocketServer, disconnectSocketAdapter } = require('./config/socket');
+const {
+  closeQueues,
+  schedulePeriodClosingJob,
+  scheduleRankingVerificationJob,
+  scheduleReconciliationJob,
+  scheduleRankSnapshotJob,
+  scheduleSeasonJob,
+  addRankingSyncJob,
+} = require('./config/queues');
 const { closeWorkers } = require('./jobs/workers');
+const { startSeasonRefresh, stopSeasonRefresh } = require('./services/seasonService');
+const { reconcileOnRuleChange } = require('./services/standingsService');
+const { startIngestionConsumer, stopIngestionConsumer } = require('./jobs/ingestionConsumer');
 const leaderboardRoutes = require('./routes/leaderboardRoutes');
-const leaderboardController = require('./controllers/leaderboardController');
+const authRoutes = require('./routes/authRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const userRoutes = require('./routes/userRoutes');
+const seasonRoutes = require('./routes/seasonRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const { authenticate } = require('./middleware/auth');
+const { attachSocketServer, broadcastOutcomes } = require('./services/realtimeService');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 const app = express();
 const server = http.createServer(app);
 
-const io = new Server(server, {
-  cors: {
-    origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-    methods: ['GET', 'POST'],
-    credentials: true,
-  },
-  transports: ['websocket', 'polling'],
-});
+const io = createSocketServer(server);
 
-leaderboardController.setSocketIO(io);
+attachSocketServer(io);
 
 app.use(helmet());
 app.use(compression());
@@ -41,7 +51,14 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
 }));
-app.use(express.json());
+// Keep the raw body: game server signatures cover the exact bytes sent
+app.use(express.json({
+  // Large enough for a full score batch
+  limit: process.env.JSON_BODY_LIMIT || '2mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 const limiter = rateLimit({
@@ -81,33 +98,17 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/auth', authenticate, authRoutes);
+app.use('/api/leaderboard', authenticate, leaderboardRoutes);
+app.use('/api/notifications', authenticate, notificationRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/seasons', authenticate, seasonRoutes);
+app.use('/api/teams', authenticate, teamRoutes);
 
 app.use(notFoundHandler);
 
 app.use(errorHandler);
 
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-
-  socket.join('leaderboard');
-
-  socket.on('disconnect', () => {
-    logger.info(`Client disconnected: ${socket.id}`);
-  });
-
-  socket.on('leaderboard:request', async () => {
-    try {
-      const { getTopPlayers } = require('./services/leaderboardService');
-      const topPlayers = await getTopPlayers(10);
-      socket.emit('leaderboard:data', topPlayers);
-    } catch (error) {
-      logger.error('Failed to send leaderboard data', error);
-      socket.emit('leaderboard:error', { message: 'Failed to fetch leaderboard' });
-    }
-  });
-});
-
 async function initializeApp() {
   try {
     const prisma = getPrismaClient();
@@ -118,9 +119,23 @@ async function initializeApp() {
     await redis.ping();
     logger.info('Redis connected successfully');
 
+    // Every board resolved from here on needs to know the running season
+    await startSeasonRefresh();
+    logger.info('Season schedule loaded');
+
     require('./jobs/workers');
     logger.info('Background workers started');
 
+    await startIngestionConsumer({ onApplied: broadcastOutcomes });
+
+    await schedulePeriodClosingJob();
+    await scheduleRankingVerificationJob();
+    await scheduleReconciliationJob();
+    await reconcileOnRuleChange();
+    await scheduleRankSnapshotJob();
+    await scheduleSeasonJob();
+    await addRankingSyncJob({ action: 'rebuild', onlyMissing: true });
+
     logger.info('Application initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize application', error);
@@ -136,8 +151,11 @@ async function gracefulShutdown(signal) {
   });
 
   try {
+    await stopIngestionConsumer();
+    stopSeasonRefresh();
     await closeWorkers();
     await closeQueues();
+    await disconnectSocketAdapter();
     await disconnectRedis();
     await disconnectPrisma();
     logger.info('All connections closed successfully');
@@ -0,0 +1,134 @@
+const { getPrismaClient } = require('../config/database');
+const { getRedisClient, getOrLoad } = require('../config/redis');
+const logger = require('../config/logger');
+const {
+  MIN_MATCH_SECONDS,
+  PLAYER_HISTORY_SIZE,
+  PLAYER_MIN_HISTORY,
+  PLAYER_Z_THRESHOLD,
+  MODE_SAMPLE_DAYS,
+  MODE_MIN_SAMPLES,
+  MODE_Z_THRESHOLD,
+  MODE_STATS_TTL,
+  MIN_STDDEV_RATIO,
+} = require('../config/antiCheat');
+
+const prisma = getPrismaClient();
+const redis = getRedisClient();
+
+const ANTI_CHEAT_KEYS = {
+  PACE: (userId) => `anticheat:pace:${userId}`,
+  MODE_STATS: (gameMode) => `anticheat:mode-stats:${gameMode}`,
+};
+
+function toDistribution(row) {
+  return {
+    samples: Number(row.samples),
+    mean: Number(row.mean || 0),
+    stddev: Number(row.stddev || 0),
+  };
+}
+
+/**
+ * How many standard deviations a score sits above a distribution's mean
+ * @param {number} score
+ * @param {Object} distribution - { mean, stddev }
+ * @returns {number}
+ */
+function zScore(score, { mean, stddev }) {
+  const spread = Math.max(stddev, mean * MIN_STDDEV_RATIO, 1);
+  return (score - mean) / spread;
+}
+
+/**
+ * Flag a player submitting again before a match could have been played.
+ * The marker is set atomically, so concurrent submissions cannot all pass.
+ */
+async function checkPace(userId) {
+  const first = await redis.set(ANTI_CHEAT_KEYS.PACE(userId), Date.now(), 'PX', MIN_MATCH_SECONDS * 1000, 'NX');
+  if (first) return null;
+
+  return {
+    check: 'pace',
+    detail: `Submitted within ${MIN_MATCH_SECONDS}s of the player's previous match`,
+  };
+}
+
+async function checkPlayerHistory(userId, score, gameMode) {
+  const [row] = await prisma.$queryRaw`
+    SELECT COUNT(*) as samples, AVG(score) as mean, STDDEV_SAMP(score) as stddev
+    FROM (
+      SELECT score
+      FROM game_sessions
+      WHERE user_id = ${userId}
+        AND game_mode = ${gameMode}
+      ORDER BY timestamp DESC
+      LIMIT ${PLAYER_HISTORY_SIZE}
+    ) recent
+  `;
+  const history = toDistribution(row);
+  if (history.samples < PLAYER_MIN_HISTORY) return null;
+
+  const z = zScore(score, history);
+  if (z <= PLAYER_Z_THRESHOLD) return null;
+
+  return {
+    check: 'player_outlier',
+    detail: `Score is ${z.toFixed(1)} standard deviations above the player's recent average of ${Math.round(history.mean)}`,
+    zScore: Number(z.toFixed(2)),
+  };
+}
+
+async function checkModeDistribution(score, gameMode) {
+  const distribution = await getOrLoad('anticheat', ANTI_CHEAT_KEYS.MODE_STATS(gameMode), MODE_STATS_TTL, async () => {
+    const since = new Date(Date.now() - MODE_SAMPLE_DAYS * 24 * 60 * 60 * 1000);
+    const [row] = await prisma.$queryRaw`
+      SELECT COUNT(*) as samples, AVG(score) as mean, STDDEV_SAMP(score) as stddev
+      FROM game_sessions
+      WHERE game_mode = ${gameMode}
+        AND timestamp >= ${since}
+    `;
+    return toDistribution(row);
+  });
+  if (distribution.samples < MODE_MIN_SAMPLES) return null;
+
+  const z = zScore(score, distribution);
+  if (z <= MODE_Z_THRESHOLD) return null;
+
+  return {
+    check: 'mode_outlier',
+    detail: `Score is ${z.toFixed(1)} standard deviations above the ${gameMode} average of ${Math.round(distribution.mean)}`,
+    zScore: Number(z.toFixed(2)),
+  };
+}
+
+/**
+ * Run every anti-cheat check against a submission before anything is written
+ * @param {number} userId
+ * @param {number} score
+ * @param {string} gameMode
+ * @returns {Promise<Object>} - { flagged, reasons }
+ */
+async function screenSubmission(userId, score, gameMode) {
+  const results = await Promise.all([
+    checkPace(userId),
+    checkPlayerHistory(userId, score, gameMode),
+    checkModeDistribution(score, gameMode),
+  ]);
+  const reasons = results.filter(Boolean);
+
+  if (reasons.length > 0) {
+    logger.warn('Submission flagged by anti-cheat', {
+      userId,
+      score,
+      gameMode,
+      checks: reasons.map((reason) => reason.check),
+    });
+  }
+
+  return { flagged: reasons.length > 0, reasons };
+}
+
+module.exports = {
+  screenSubmission,
+};
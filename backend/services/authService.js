@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const {
+  SCOPES,
+  JWT_SECRET,
+  JWT_ISSUER,
+  JWT_TTL_SECONDS,
+  JWT_SESSION_SECONDS,
+} = require('../config/auth');
+const logger = require('../config/logger');
+const { AppError, AuthenticationError } = require('../middleware/errorHandler');
+
+/**
+ * Mint a short-lived read token for a player
+ * @param {number} userId
+ * @param {string} issuedBy - API key id of the requesting game server
+ * @param {number} [authTime] - Unix seconds the session started; now for a new one
+ * @returns {Object} - { token, tokenType, expiresIn }
+ */
+function issuePlayerToken(userId, issuedBy, authTime = Math.floor(Date.now() / 1000)) {
+  if (!JWT_SECRET) {
+    throw new AppError('Player tokens are not enabled', 503);
+  }
+
+  const token = jwt.sign({ scope: SCOPES.READ, auth_time: authTime }, JWT_SECRET, {
+    algorithm: 'HS256',
+    subject: String(userId),
+    issuer: JWT_ISSUER,
+    expiresIn: JWT_TTL_SECONDS,
+  });
+
+  logger.info(`Issued player token for user ${userId}`, { issuedBy });
+  return { token, tokenType: 'Bearer', expiresIn: JWT_TTL_SECONDS };
+}
+
+/**
+ * Replace a player's still valid token with a fresh one of the same session,
+ * so dashboards stay signed in without going back to the game server
+ * @param {Object} auth - Player auth context of the request
+ * @returns {Object} - { token, tokenType, expiresIn }
+ */
+function refreshPlayerToken(auth) {
+  const sessionAge = Math.floor(Date.now() / 1000) - auth.authTime;
+  if (!(sessionAge < JWT_SESSION_SECONDS)) {
+    throw new AuthenticationError('Session has expired; request a new token from the game server');
+  }
+
+  return issuePlayerToken(auth.userId, 'refresh', auth.authTime);
+}
+
+module.exports = {
+  issuePlayerToken,
+  refreshPlayerToken,
+};
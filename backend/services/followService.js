@@ -0,0 +1,166 @@
+const { getPrismaClient } = require('../config/database');
+const profileService = require('./profileService');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { MAX_FOLLOWING } = require('../config/friends');
+
+const prisma = getPrismaClient();
+
+async function assertPlayerExists(userId) {
+  if (!await prisma.user.findUnique({ where: { id: userId }, select: { id: true } })) {
+    throw new AppError('Player not found', 404);
+  }
+}
+
+function formatFollows(rows) {
+  return profileService.withProfiles(rows.map((row) => ({
+    userId: Number(row.user_id),
+    followedAt: row.created_at.toISOString(),
+    mutual: row.mutual,
+  })));
+}
+
+/**
+ * Follow a player. Following someone already followed is a no-op.
+ * @param {number} userId - Follower
+ * @param {number} targetId - Player to follow
+ * @returns {Promise<Object>} - { userId, targetId, mutual, followedAt, created }
+ */
+async function follow(userId, targetId) {
+  if (userId === targetId) {
+    throw new AppError('Players cannot follow themselves', 400);
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Serializes the follower's follows so the limit holds
+    const [follower] = await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+    if (!follower || !await tx.user.findUnique({ where: { id: targetId }, select: { id: true } })) {
+      throw new AppError('Player not found', 404);
+    }
+
+    const key = { followerId_followeeId: { followerId: userId, followeeId: targetId } };
+    const existing = await tx.follow.findUnique({ where: key });
+    if (existing) {
+      return { follow: existing, created: false };
+    }
+
+    const following = await tx.follow.count({ where: { followerId: userId } });
+    if (following >= MAX_FOLLOWING) {
+      throw new AppError(`Players may follow at most ${MAX_FOLLOWING} others`, 409);
+    }
+
+    const created = await tx.follow.create({ data: { followerId: userId, followeeId: targetId } });
+    return { follow: created, created: true };
+  });
+
+  const followedBack = await prisma.follow.findUnique({
+    where: { followerId_followeeId: { followerId: targetId, followeeId: userId } },
+  });
+
+  if (result.created) {
+    logger.info(`Player ${userId} followed player ${targetId}`);
+  }
+
+  return {
+    userId,
+    targetId,
+    mutual: Boolean(followedBack),
+    followedAt: result.follow.createdAt.toISOString(),
+    created: result.created,
+  };
+}
+
+/**
+ * @param {number} userId - Follower
+ * @param {number} targetId - Followed player
+ */
+async function unfollow(userId, targetId) {
+  const { count } = await prisma.follow.deleteMany({
+    where: { followerId: userId, followeeId: targetId },
+  });
+  if (count === 0) {
+    throw new AppError('Not following this player', 404);
+  }
+
+  logger.info(`Player ${userId} unfollowed player ${targetId}`);
+}
+
+/**
+ * Players a player follows, most recently followed first
+ * @param {number} userId
+ * @param {Object} [page] - { limit, offset }
+ * @returns {Promise<Object[]>}
+ */
+async function getFollowing(userId, { limit = 20, offset = 0 } = {}) {
+  await assertPlayerExists(userId);
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      f.followee_id AS user_id,
+      f.created_at,
+      EXISTS (
+        SELECT 1 FROM follows b
+        WHERE b.follower_id = f.followee_id AND b.followee_id = f.follower_id
+      ) AS mutual
+    FROM follows f
+    WHERE f.follower_id = ${userId}
+    ORDER BY f.created_at DESC, f.followee_id ASC
+    LIMIT ${limit}
+    OFFSET ${offset}
+  `;
+  return formatFollows(rows);
+}
+
+/**
+ * Players following a player, most recent first
+ * @param {number} userId
+ * @param {Object} [page] - { limit, offset }
+ * @returns {Promise<Object[]>}
+ */
+async function getFollowers(userId, { limit = 20, offset = 0 } = {}) {
+  await assertPlayerExists(userId);
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      f.follower_id AS user_id,
+      f.created_at,
+      EXISTS (
+        SELECT 1 FROM follows b
+        WHERE b.follower_id = f.followee_id AND b.followee_id = f.follower_id
+      ) AS mutual
+    FROM follows f
+    WHERE f.followee_id = ${userId}
+    ORDER BY f.created_at DESC, f.follower_id ASC
+    LIMIT ${limit}
+    OFFSET ${offset}
+  `;
+  return formatFollows(rows);
+}
+
+/**
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.mutualOnly] - Only players following back
+ * @returns {Promise<number[]>}
+ */
+async function getFollowedIds(userId, { mutualOnly = false } = {}) {
+  const rows = mutualOnly
+    ? await prisma.$queryRaw`
+      SELECT f.followee_id
+      FROM follows f
+      INNER JOIN follows b ON b.follower_id = f.followee_id AND b.followee_id = f.follower_id
+      WHERE f.follower_id = ${userId}
+    `
+    : await prisma.$queryRaw`
+      SELECT followee_id FROM follows WHERE follower_id = ${userId}
+    `;
+  return rows.map((row) => Number(row.followee_id));
+}
+
+module.exports = {
+  follow,
+  unfollow,
+  getFollowing,
+  getFollowers,
+  getFollowedIds,
+};
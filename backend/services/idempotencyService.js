@@ -0,0 +1,85 @@
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const redis = getRedisClient();
+
+// How long a completed result is replayed from Redis before falling back to Postgres
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60;
+
+// Upper bound for one execution; a crashed holder frees the key after this
+const PROCESSING_TTL = 60;
+const PROCESSING = 'processing';
+
+/**
+ * Run an operation at most once per key. Completed results are kept in Redis
+ * and replayed with `replayed: true`; once they expire, `recover` rebuilds the
+ * result from the durable record the operation left behind.
+ * @param {Object} options
+ * @param {string} options.key - Redis key naming the operation
+ * @param {Function} options.execute - Performs the operation and returns its result
+ * @param {Function} options.recover - Returns the stored result, or null when the operation never ran
+ * @returns {Promise<Object>}
+ */
+async function runIdempotent({ key, execute, recover }) {
+  const claimed = await redis.set(key, PROCESSING, 'EX', PROCESSING_TTL, 'NX');
+
+  if (!claimed) {
+    const stored = await redis.get(key);
+    if (stored === PROCESSING) {
+      throw new AppError('A request with this idempotency key is already being processed', 409);
+    }
+    if (stored) {
+      return { ...JSON.parse(stored), replayed: true };
+    }
+  }
+
+  const release = () => redis.del(key).catch((error) => {
+    logger.warn('Failed to release idempotency key', { key, error: error.message });
+  });
+
+  let result;
+  try {
+    // Redis only remembers recent keys; Postgres has the rest
+    const recovered = await recover();
+    if (recovered) {
+      await rememberResult(key, recovered);
+      return { ...recovered, replayed: true };
+    }
+
+    result = await execute();
+  } catch (error) {
+    // A concurrent request without the Redis claim won the unique constraint
+    if (error.code === 'P2002') {
+      const recovered = await recover();
+      if (recovered) {
+        await rememberResult(key, recovered);
+        return { ...recovered, replayed: true };
+      }
+    }
+    await release();
+    throw error;
+  }
+
+  await rememberResult(key, result);
+  return result;
+}
+
+/**
+ * Store the result of an operation that ran outside runIdempotent, so retries
+ * under the same key replay it
+ * @param {string} key
+ * @param {Object} result
+ */
+async function rememberResult(key, result) {
+  try {
+    await redis.set(key, JSON.stringify(result), 'EX', IDEMPOTENCY_TTL);
+  } catch (error) {
+    logger.warn('Failed to store idempotent result', { key, error: error.message });
+  }
+}
+
+module.exports = {
+  runIdempotent,
+  rememberResult,
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  INGESTION_STREAM,
+  INGESTION_GROUP,
+  INGEST_MAX_BACKLOG,
+  INGEST_STATUS_TTL,
+} = require('../config/ingestion');
+
+const redis = getRedisClient();
+
+const INGEST_KEYS = {
+  STATUS: (trackingId) => `ingest:status:${trackingId}`,
+  MATCH: (userId, matchId) => `ingest:match:${userId}:${matchId}`,
+};
+
+// Claims a match and queues its submission in one step, so a retry never sees
+// the claim without the status it points at. A claim whose status has expired
+// is taken over. Returns [1, trackingId] when queued, [0, trackingId] of the
+// earlier submission otherwise.
+const ENQUEUE_MATCH_SCRIPT = `
+  local existing = redis.call('GET', KEYS[1])
+  if existing and redis.call('EXISTS', ARGV[8] .. existing) == 1 then
+    return {0, existing}
+  end
+  redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+  redis.call('HSET', KEYS[2], 'state', 'pending', 'userId', ARGV[3], 'score', ARGV[4], 'gameMode', ARGV[5], 'receivedAt', ARGV[7])
+  redis.call('EXPIRE', KEYS[2], ARGV[2])
+  redis.call('XADD', KEYS[3], '*',
+    'trackingId', ARGV[1], 'userId', ARGV[3], 'score', ARGV[4],
+    'gameMode', ARGV[5], 'matchId', ARGV[6], 'receivedAt', ARGV[7])
+  return {1, ARGV[1]}
+`;
+
+async function execOrThrow(pipeline) {
+  const results = await pipeline.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+  return results;
+}
+
+/**
+ * Append a submission to the ingestion stream. A retry of a match that is
+ * still tracked returns the original tracking id instead of queueing again;
+ * like a synchronous retry, it is refused when its score or mode differ.
+ * @param {Object} submission - { userId, score, gameMode, matchId }
+ * @returns {Promise<Object>} - { trackingId, state, receivedAt }, plus replayed on retries
+ */
+async function enqueueSubmission({ userId, score, gameMode, matchId = null }) {
+  const backlog = await redis.xlen(INGESTION_STREAM);
+  if (backlog >= INGEST_MAX_BACKLOG) {
+    logger.warn('Ingestion backlog full, refusing submission', { backlog });
+    throw new AppError('Too many submissions are waiting to be applied. Please retry later.', 503);
+  }
+
+  const trackingId = crypto.randomUUID();
+  const receivedAt = new Date().toISOString();
+
+  if (matchId) {
+    const [queued, claimedBy] = await redis.eval(
+      ENQUEUE_MATCH_SCRIPT, 3,
+      INGEST_KEYS.MATCH(userId, matchId), INGEST_KEYS.STATUS(trackingId), INGESTION_STREAM,
+      trackingId, INGEST_STATUS_TTL, userId, score, gameMode, matchId, receivedAt, INGEST_KEYS.STATUS('')
+    );
+    if (queued) {
+      return { trackingId, state: 'pending', receivedAt };
+    }
+    return replaySubmission(claimedBy, { score, gameMode });
+  }
+
+  await execOrThrow(redis.multi()
+    .hset(INGEST_KEYS.STATUS(trackingId), { state: 'pending', userId, score, gameMode, receivedAt })
+    .expire(INGEST_KEYS.STATUS(trackingId), INGEST_STATUS_TTL)
+    .xadd(
+      INGESTION_STREAM, '*',
+      'trackingId', trackingId,
+      'userId', userId,
+      'score', score,
+      'gameMode', gameMode,
+      'matchId', '',
+      'receivedAt', receivedAt
+    ));
+
+  return { trackingId, state: 'pending', receivedAt };
+}
+
+async function replaySubmission(trackingId, { score, gameMode }) {
+  const [claimed, existing] = await Promise.all([
+    redis.hget(INGEST_KEYS.STATUS(trackingId), 'score'),
+    getSubmissionStatus(trackingId),
+  ]);
+  if (!existing) {
+    throw new AppError('A request with this idempotency key is already being processed', 409);
+  }
+  if (Number(claimed) !== score || existing.gameMode !== gameMode) {
+    throw new AppError('This match id was already submitted with a different score or game mode', 422);
+  }
+  return { ...existing, replayed: true };
+}
+
+/**
+ * @param {string} trackingId
+ * @returns {Promise<Object|null>} - null once the status has expired or for unknown ids
+ */
+async function getSubmissionStatus(trackingId) {
+  if (!trackingId) return null;
+
+  const status = await redis.hgetall(INGEST_KEYS.STATUS(trackingId));
+  if (!status.state) return null;
+
+  return {
+    trackingId,
+    state: status.state,
+    userId: Number(status.userId),
+    gameMode: status.gameMode,
+    receivedAt: status.receivedAt,
+    processedAt: status.processedAt ?? null,
+    ...(status.result && { result: JSON.parse(status.result) }),
+    ...(status.error && { error: JSON.parse(status.error) }),
+  };
+}
+
+/**
+ * Decode stream entries into submissions
+ * @param {Array} entries - [id, [field, value, ...]] as returned by XREADGROUP
+ * @returns {Object[]} - { entryId, trackingId, userId, score, gameMode, matchId }
+ */
+function parseEntries(entries) {
+  return entries
+    // XAUTOCLAIM reports entries deleted meanwhile without fields
+    .filter(([, fields]) => fields)
+    .map(([entryId, fields]) => {
+      const values = {};
+      for (let i = 0; i < fields.length; i += 2) {
+        values[fields[i]] = fields[i + 1];
+      }
+      return {
+        entryId,
+        trackingId: values.trackingId,
+        userId: Number(values.userId),
+        score: Number(values.score),
+        gameMode: values.gameMode,
+        matchId: values.matchId || null,
+      };
+    });
+}
+
+/**
+ * Store the outcome of each applied submission and remove its entry from the stream
+ * @param {Object[]} submissions - As returned by parseEntries
+ * @param {Object[]} outcomes - { result } or { error } per submission, in order
+ * @param {string[]} entryIds - Every entry the batch consumed, including unreadable ones
+ */
+async function completeSubmissions(submissions, outcomes, entryIds) {
+  const processedAt = new Date().toISOString();
+  const pipeline = redis.pipeline();
+
+  submissions.forEach(({ trackingId }, index) => {
+    const { result, error } = outcomes[index];
+    const key = INGEST_KEYS.STATUS(trackingId);
+
+    if (error) {
+      pipeline.hset(key, {
+        state: 'failed',
+        processedAt,
+        error: JSON.stringify({
+          status: error.statusCode || 500,
+          message: error instanceof AppError ? error.message : 'Failed to submit score. Please try again.',
+        }),
+      });
+    } else {
+      pipeline.hset(key, { state: 'applied', processedAt, result: JSON.stringify(result) });
+    }
+    pipeline.expire(key, INGEST_STATUS_TTL);
+  });
+
+  if (entryIds.length > 0) {
+    pipeline.xack(INGESTION_STREAM, INGESTION_GROUP, ...entryIds);
+    pipeline.xdel(INGESTION_STREAM, ...entryIds);
+  }
+
+  await execOrThrow(pipeline);
+}
+
+module.exports = {
+  enqueueSubmission,
+  getSubmissionStatus,
+  parseEntries,
+  completeSubmissions,
+};
@@ -1,194 +1,1185 @@
+const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../config/database');
-const { getRedisClient, CACHE_KEYS, CACHE_TTL, invalidateLeaderboardCache, invalidateUserCache } = require('../config/redis');
-const { addRankRecalculationJob } = require('../config/queues');
+const {
+  CACHE_KEYS,
+  CACHE_TTL,
+  getBoardGeneration,
+  getOrLoad,
+  invalidateLeaderboardCache,
+  invalidateUserCache,
+} = require('../config/redis');
+const { addRankingSyncJob } = require('../config/queues');
+const rankingService = require('./rankingService');
+const antiCheatService = require('./antiCheatService');
+const profileService = require('./profileService');
+const snapshotService = require('./snapshotService');
+const followService = require('./followService');
+const { runIdempotent, rememberResult } = require('./idempotencyService');
+const {
+  incrementStandings,
+  refreshStandings,
+  publishStandings,
+  queueRankUpdate,
+  lockRanks,
+} = require('./standingsService');
+const { assignRanks } = rankingService;
+const { encodeCursor } = require('../utils/cursors');
 const logger = require('../config/logger');
 const { AppError } = require('../middleware/errorHandler');
+const { ALL_MODES } = require('../config/leaderboards');
+const { getScoreRule, countsTowardCombined } = require('../config/scoring');
+const { resolveBoard, getCurrentBoards, getSubmissionBoards, isCurrentBoard } = require('../utils/boards');
+const {
+  standingOrder,
+  rankOrder,
+  ranksAhead,
+  placedAhead,
+  placedBehind,
+  notBehindScore,
+  compareStandings,
+  rankOrderByMode,
+} = require('../utils/scoreRules');
+const {
+  getPeriodStart,
+  getPeriodEnd,
+  getPreviousPeriodStart,
+  getPeriodicWindows,
+} = require('../utils/periods');
 
 const prisma = getPrismaClient();
-const redis = getRedisClient();
+
+/**
+ * Queue a rebuild of any ranking set that is missing. Reads fall back to
+ * Postgres until it completes; failures here must not fail the read.
+ */
+async function requestRankingRebuild() {
+  try {
+    await addRankingSyncJob({ action: 'rebuild', onlyMissing: true });
+  } catch (error) {
+    logger.warn('Could not queue ranking rebuild', { error: error.message });
+  }
+}
+
+function ensureUser(tx, userId) {
+  return tx.user.upsert({
+    where: { id: userId },
+    update: {},
+    create: {
+      id: userId,
+      username: `user_${userId}`,
+    },
+  });
+}
+
+const SUBMISSION_KEY = (userId, matchId) => `idempotency:submit:${userId}:${matchId}`;
 
 /** 
+ * Screen a submission, then record it or hold it for review. With a match id,
+ * retries of the same match return the original result instead of scoring twice.
  * @param {number} userId 
  * @param {number} score 
  * @param {string} gameMode 
- * @returns {Promise<Object>} 
+ * @param {string} [matchId] - match_id or Idempotency-Key supplied by the game server
+ * @returns {Promise<Object>} - status is 'accepted' or 'quarantined'; replayed is set on retries
  */
-async function submitScore(userId, score, gameMode = 'solo') {
+async function submitScore(userId, score, gameMode = 'solo', matchId = null) {
+  return submitOnce(userId, score, gameMode, matchId, () => (
+    processSubmission(userId, score, gameMode, matchId)
+  ));
+}
+
+async function submitOnce(userId, score, gameMode, matchId, execute) {
+  if (!matchId) {
+    return execute();
+  }
+
+  const result = await runIdempotent({
+    key: SUBMISSION_KEY(userId, matchId),
+    execute,
+    recover: () => findRecordedSubmission(userId, matchId),
+  });
+
+  if (result.replayed && (result.score !== score || result.gameMode !== gameMode)) {
+    throw new AppError('This match id was already submitted with a different score or game mode', 422);
+  }
+  if (result.replayed) {
+    logger.info('Replayed idempotent score submission', { userId, matchId });
+  }
+  return result;
+}
+
+async function processSubmission(userId, score, gameMode, matchId) {
+  const playedAt = new Date();
+  const screening = await screenScore(userId, score, gameMode);
+  return storeSubmission(userId, score, gameMode, playedAt, matchId, screening);
+}
+
+async function screenScore(userId, score, gameMode) {
   try {
-    const result = await prisma.$transaction(async (tx) => {
-      const user = await tx.user.upsert({
-        where: { id: userId },
-        update: {},
-        create: {
-          id: userId,
-          username: `user_${userId}`,
+    return await antiCheatService.screenSubmission(userId, score, gameMode);
+  } catch (error) {
+    logger.error('Failed to screen score', { userId, score, error: error.message });
+    throw new AppError('Failed to submit score. Please try again.', 500);
+  }
+}
+
+function storeSubmission(userId, score, gameMode, playedAt, matchId, screening) {
+  if (screening.flagged) {
+    return quarantineScore(userId, score, gameMode, playedAt, matchId, screening.reasons);
+  }
+  return recordScore(userId, score, gameMode, playedAt, matchId);
+}
+
+/**
+ * Result of an earlier submission of a match, rebuilt from Postgres
+ * @param {number} userId
+ * @param {string} matchId
+ * @returns {Promise<Object|null>}
+ */
+async function findRecordedSubmission(userId, matchId) {
+  const session = await prisma.gameSession.findUnique({
+    where: { userMatch: { userId, matchId } },
+  });
+
+  if (session) {
+    const standings = await prisma.leaderboards.findMany({
+      where: {
+        userId,
+        gameMode: { in: [ALL_MODES, session.gameMode] },
+        timeWindow: 'alltime',
+      },
+    });
+    const totalFor = (mode) => standings.find((entry) => entry.gameMode === mode)?.totalScore ?? 0;
+    const countsCombined = countsTowardCombined(getScoreRule(session.gameMode));
+
+    return {
+      userId,
+      gameMode: session.gameMode,
+      score: session.score,
+      status: 'accepted',
+      totalScore: countsCombined ? totalFor(ALL_MODES) : null,
+      modeScore: totalFor(session.gameMode),
+      submittedAt: session.timestamp.toISOString(),
+    };
+  }
+
+  const flagged = await prisma.flaggedScore.findUnique({
+    where: { userMatch: { userId, matchId } },
+  });
+
+  if (flagged) {
+    return {
+      userId,
+      gameMode: flagged.gameMode,
+      score: flagged.score,
+      status: 'quarantined',
+      flaggedScoreId: flagged.id,
+      reasons: flagged.reasons,
+      submittedAt: flagged.playedAt.toISOString(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Store a flagged submission without touching any board
+ * @returns {Promise<Object>}
+ */
+async function quarantineScore(userId, score, gameMode, playedAt, matchId, reasons) {
+  try {
+    const flagged = await prisma.$transaction(async (tx) => {
+      await ensureUser(tx, userId);
+      return tx.flaggedScore.create({
+        data: {
+          userId,
+          score,
+          gameMode,
+          playedAt,
+          matchId,
+          reasons,
         },
       });
+    });
+
+    logger.warn('Score quarantined for review', { userId, score, gameMode, flaggedScoreId: flagged.id });
+
+    return {
+      userId,
+      gameMode,
+      score,
+      status: 'quarantined',
+      flaggedScoreId: flagged.id,
+      reasons,
+      submittedAt: playedAt.toISOString(),
+    };
+
+  } catch (error) {
+    // A duplicate match id is resolved by the idempotent caller
+    if (error.code === 'P2002') throw error;
+    logger.error('Failed to quarantine score', { userId, score, error: error.message });
+    throw new AppError('Failed to submit score. Please try again.', 500);
+  }
+}
+
+// A player's combined all-time total after a write, or null for modes left out of it
+function combinedTotal(entries) {
+  return entries[resolveBoard({ mode: ALL_MODES }).key]?.totalScore ?? null;
+}
+
+/**
+ * Record a session and update every board it counts towards
+ * @returns {Promise<Object>}
+ */
+async function recordScore(userId, score, gameMode, playedAt, matchId) {
+  const boards = getSubmissionBoards(gameMode, playedAt);
+  const boardKeys = boards.map((board) => board.key);
+
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const user = await ensureUser(tx, userId);
       
       const gameSession = await tx.gameSession.create({
         data: {
           userId,
           score,
           gameMode,
+          timestamp: playedAt,
+          matchId,
         },
       });
-      const scoreAggregation = await tx.gameSession.aggregate({
-        where: { userId },
-        _sum: { score: true },
-        _avg: { score: true },
-        _count: true,
-      });
 
-      const totalScore = scoreAggregation._sum.score || 0;
+      const entries = await incrementStandings(tx, userId, boards, score, playedAt);
 
-      const leaderboardEntry = await tx.leaderboards.upsert({
-        where: { userId },
-        update: { 
-          totalScore,
-        },
-        create: {
-          userId,
-          totalScore,
-        },
-      });
+      const leaderboardEntry = entries[resolveBoard({ mode: ALL_MODES }).key];
+      const modeEntry = entries[resolveBoard({ mode: gameMode }).key];
 
-      return { gameSession, leaderboardEntry, totalScore };
+      return {
+        user,
+        gameSession,
+        leaderboardEntry,
+        modeEntry,
+        entries,
+        totalScore: combinedTotal(entries),
+      };
     }, {
       isolationLevel: 'ReadCommitted',
       timeout: 30000, // 30 second timeout
     });
 
+    try {
+      await rankingService.applyScore(boards, userId, score, result.user.username, result.entries);
+    } catch (error) {
+      // Postgres has the score; the consistency check will bring the sets back in line
+      logger.error('Failed to update ranking sets', { userId, error: error.message });
+    }
+
     await Promise.allSettled([
-      invalidateLeaderboardCache(),
+      invalidateLeaderboardCache(boardKeys),
       invalidateUserCache(userId),
     ]);
 
-    if (process.env.RANK_RECALCULATION_ENABLED === 'true') {
-      await addRankRecalculationJob({ userId, incremental: true });
-    }
+    await queueRankUpdate(userId);
 
     logger.info(`Score submitted successfully`, { 
       userId, 
       score, 
+      gameMode,
       totalScore: result.totalScore 
     });
 
-    return result.leaderboardEntry;
+    return {
+      userId,
+      gameMode,
+      score,
+      status: 'accepted',
+      totalScore: result.totalScore,
+      modeScore: result.modeEntry.totalScore,
+      submittedAt: playedAt.toISOString(),
+    };
 
   } catch (error) {
+    if (error.code === 'P2002') throw error;
     logger.error('Failed to submit score', { userId, score, error: error.message });
     throw new AppError('Failed to submit score. Please try again.', 500);
   }
 }
 
+// Items per transaction; a failed chunk is retried item by item
+const BATCH_CHUNK_SIZE = 250;
+const BATCH_SCREENING_CONCURRENCY = 20;
+
 /**
- * @param {number} limit
- * @returns {Promise<Array>} 
+ * Submit many scores at once, e.g. every player of a match. Each item is
+ * screened and made idempotent like a single submission, but items are written
+ * in chunked transactions and the ranking sets, caches and rank jobs are
+ * updated once for the whole batch.
+ * @param {Object[]} items - { userId, score, gameMode, matchId }
+ * @returns {Promise<Object[]>} - Per item, in order: { result } or { error }
+ */
+async function submitScoreBatch(items) {
+  const outcomes = new Array(items.length);
+  const applied = [];
+
+  for (let start = 0; start < items.length; start += BATCH_CHUNK_SIZE) {
+    const chunk = items
+      .slice(start, start + BATCH_CHUNK_SIZE)
+      .map((item, offset) => ({ ...item, index: start + offset }));
+    await processBatchChunk(chunk, outcomes, applied);
+  }
+
+  await publishBatch(applied);
+
+  logger.info('Score batch submitted', {
+    items: items.length,
+    accepted: outcomes.filter((outcome) => outcome.result?.status === 'accepted').length,
+    quarantined: outcomes.filter((outcome) => outcome.result?.status === 'quarantined').length,
+    failed: outcomes.filter((outcome) => outcome.error).length,
+  });
+
+  return outcomes;
+}
+
+async function processBatchChunk(chunk, outcomes, applied) {
+  const settle = async (item, run) => {
+    try {
+      outcomes[item.index] = { result: await run() };
+    } catch (error) {
+      outcomes[item.index] = { error };
+    }
+  };
+
+  // Matches already on record are answered like a retried single submission
+  const recorded = await findRecordedMatches(chunk);
+  const fresh = [];
+  for (const item of chunk) {
+    if (recorded.has(`${item.userId}:${item.matchId}`)) {
+      await settle(item, () => submitScore(item.userId, item.score, item.gameMode, item.matchId));
+    } else {
+      fresh.push(item);
+    }
+  }
+
+  const playedAt = new Date();
+  const screened = [];
+  for (let start = 0; start < fresh.length; start += BATCH_SCREENING_CONCURRENCY) {
+    await Promise.all(fresh.slice(start, start + BATCH_SCREENING_CONCURRENCY).map(async (item) => {
+      try {
+        screened.push({ ...item, screening: await screenScore(item.userId, item.score, item.gameMode) });
+      } catch (error) {
+        outcomes[item.index] = { error };
+      }
+    }));
+  }
+  if (screened.length === 0) return;
+
+  let written;
+  try {
+    written = await writeBatch(screened, playedAt);
+  } catch (error) {
+    // Usually a match id a concurrent request recorded first; settle each item on its own
+    logger.warn('Batch chunk failed, retrying items individually', { items: screened.length, error: error.message });
+    for (const item of screened) {
+      await settle(item, () => submitOnce(item.userId, item.score, item.gameMode, item.matchId, () => (
+        storeSubmission(item.userId, item.score, item.gameMode, playedAt, item.matchId, item.screening)
+      )));
+    }
+    return;
+  }
+
+  for (const { item, result, boards, entries, username } of written) {
+    outcomes[item.index] = { result };
+    if (boards) applied.push({ boards, entries, userId: item.userId, score: item.score, username });
+    if (item.matchId) {
+      await rememberResult(SUBMISSION_KEY(item.userId, item.matchId), result);
+    }
+  }
+}
+
+/**
+ * (userId, matchId) pairs of a chunk that already have a session or flagged score
+ * @returns {Promise<Set>} - 'userId:matchId' strings
+ */
+async function findRecordedMatches(items) {
+  const matches = items
+    .filter((item) => item.matchId)
+    .map(({ userId, matchId }) => ({ userId, matchId }));
+  if (matches.length === 0) return new Set();
+
+  const [sessions, flagged] = await Promise.all([
+    prisma.gameSession.findMany({ where: { OR: matches }, select: { userId: true, matchId: true } }),
+    prisma.flaggedScore.findMany({ where: { OR: matches }, select: { userId: true, matchId: true } }),
+  ]);
+
+  return new Set([...sessions, ...flagged].map((row) => `${row.userId}:${row.matchId}`));
+}
+
+/**
+ * Store screened items in one transaction
+ * @returns {Promise<Object[]>} - { item, result } per item, plus boards, entries and username when accepted
+ */
+async function writeBatch(items, playedAt) {
+  const submittedAt = playedAt.toISOString();
+
+  // Lock players' rows in a fixed order so concurrent batches cannot deadlock
+  const ordered = [...items].sort((a, b) => a.userId - b.userId);
+
+  return prisma.$transaction(async (tx) => {
+    const written = [];
+    const users = new Map();
+
+    for (const item of ordered) {
+      const { userId, score, gameMode, matchId, screening } = item;
+      if (!users.has(userId)) {
+        users.set(userId, await ensureUser(tx, userId));
+      }
+
+      if (screening.flagged) {
+        const flagged = await tx.flaggedScore.create({
+          data: { userId, score, gameMode, playedAt, matchId, reasons: screening.reasons },
+        });
+        written.push({
+          item,
+          result: {
+            userId,
+            gameMode,
+            score,
+            status: 'quarantined',
+            flaggedScoreId: flagged.id,
+            reasons: screening.reasons,
+            submittedAt,
+          },
+        });
+        continue;
+      }
+
+      await tx.gameSession.create({
+        data: { userId, score, gameMode, timestamp: playedAt, matchId },
+      });
+
+      const boards = getSubmissionBoards(gameMode, playedAt);
+      const entries = await incrementStandings(tx, userId, boards, score, playedAt);
+
+      written.push({
+        item,
+        boards,
+        entries,
+        username: users.get(userId).username,
+        result: {
+          userId,
+          gameMode,
+          score,
+          status: 'accepted',
+          totalScore: combinedTotal(entries),
+          modeScore: entries[resolveBoard({ mode: gameMode }).key].totalScore,
+          submittedAt,
+        },
+      });
+    }
+
+    return written;
+  }, {
+    isolationLevel: 'ReadCommitted',
+    timeout: 60000,
+  });
+}
+
+/**
+ * Push a batch's accepted scores to the ranking sets and drop the caches they
+ * affect, once for all of them
+ * @param {Object[]} applied - { boards, entries, userId, score, username }
+ */
+async function publishBatch(applied) {
+  if (applied.length === 0) return;
+
+  try {
+    await rankingService.applyScores(applied);
+  } catch (error) {
+    logger.error('Failed to update ranking sets', { scores: applied.length, error: error.message });
+  }
+
+  const boardKeys = [...new Set(applied.flatMap(({ boards }) => boards.map((board) => board.key)))];
+  const userIds = [...new Set(applied.map(({ userId }) => userId))];
+
+  await Promise.allSettled([
+    invalidateLeaderboardCache(boardKeys),
+    ...userIds.map((userId) => invalidateUserCache(userId)),
+  ]);
+
+  for (const userId of userIds) {
+    await queueRankUpdate(userId);
+  }
+}
+
+function formatFlaggedScore(flagged) {
+  return {
+    id: flagged.id,
+    userId: flagged.userId,
+    ...(flagged.user && { username: flagged.user.username }),
+    score: flagged.score,
+    gameMode: flagged.gameMode,
+    playedAt: flagged.playedAt.toISOString(),
+    reasons: flagged.reasons,
+    status: flagged.status,
+    reviewedBy: flagged.reviewedBy,
+    reviewNote: flagged.reviewNote,
+    reviewedAt: flagged.reviewedAt?.toISOString() ?? null,
+    createdAt: flagged.createdAt.toISOString(),
+  };
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - pending, approved or rejected; every status when omitted
+ * @param {number} [filter.limit]
+ * @param {number} [filter.offset]
+ * @returns {Promise<Object>} - { entries, total }, oldest first
  */
-async function getTopPlayers(limit = 10) {
-  const cacheKey = CACHE_KEYS.TOP_LEADERBOARD;
+async function getFlaggedScores({ status, limit = 50, offset = 0 } = {}) {
+  const where = status ? { status } : {};
 
+  const [flagged, total] = await Promise.all([
+    prisma.flaggedScore.findMany({
+      where,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: limit,
+      skip: offset,
+      include: { user: { select: { username: true } } },
+    }),
+    prisma.flaggedScore.count({ where }),
+  ]);
+
+  return { entries: flagged.map(formatFlaggedScore), total };
+}
+
+/**
+ * Apply a review decision to a flagged score and recompute the player's totals
+ * @param {number} flaggedScoreId
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {Object} review - { reviewer, note }
+ * @returns {Promise<Object>}
+ */
+async function reviewFlaggedScore(flaggedScoreId, decision, { reviewer, note }) {
   try {
-    const cached = await redis.get(cacheKey);
-    if (cached) {
-      logger.debug('Leaderboard cache hit');
-      return JSON.parse(cached);
+    const flagged = await prisma.flaggedScore.findUnique({
+      where: { id: flaggedScoreId },
+      include: { user: { select: { username: true } } },
+    });
+    if (!flagged) {
+      throw new AppError('Flagged score not found', 404);
+    }
+
+    // Pending scores can go either way; an approved score can still be rejected later
+    const allowed = decision === 'approved'
+      ? flagged.status === 'pending'
+      : flagged.status !== 'rejected';
+    if (!allowed) {
+      throw new AppError(`Flagged score is already ${flagged.status}`, 409);
     }
 
-    logger.debug('Leaderboard cache miss');
+    const { userId, score, gameMode, playedAt } = flagged;
+    // Periods that have closed since the score was flagged keep their archived standings
+    const boards = getSubmissionBoards(gameMode, playedAt).filter(isCurrentBoard);
+
+    const { reviewed, entries } = await prisma.$transaction(async (tx) => {
+      // Claim the row in its current state so concurrent reviews cannot both apply
+      const claimed = await tx.flaggedScore.updateMany({
+        where: { id: flaggedScoreId, status: flagged.status },
+        data: {
+          status: decision,
+          reviewedBy: reviewer,
+          reviewNote: note ?? null,
+          reviewedAt: new Date(),
+        },
+      });
+      if (claimed.count === 0) {
+        throw new AppError('Flagged score was reviewed concurrently', 409);
+      }
+
+      let gameSessionId = flagged.gameSessionId;
+      if (decision === 'approved') {
+        const session = await tx.gameSession.create({
+          data: { userId, score, gameMode, timestamp: playedAt, matchId: flagged.matchId },
+        });
+        gameSessionId = session.id;
+      } else if (gameSessionId) {
+        await tx.gameSession.delete({ where: { id: gameSessionId } });
+        gameSessionId = null;
+      }
+
+      const reviewedRow = await tx.flaggedScore.update({
+        where: { id: flaggedScoreId },
+        data: { gameSessionId },
+        include: { user: { select: { username: true } } },
+      });
+
+      return {
+        reviewed: reviewedRow,
+        entries: await refreshStandings(tx, userId, boards),
+      };
+    }, {
+      isolationLevel: 'ReadCommitted',
+      timeout: 30000,
+    });
+
+    await publishStandings(userId, flagged.user.username, boards, entries);
+
+    logger.info(`Flagged score ${decision}`, { flaggedScoreId, userId, score, reviewer });
+
+    return {
+      ...formatFlaggedScore(reviewed),
+      totalScore: combinedTotal(entries),
+    };
+
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error('Failed to review flagged score', { flaggedScoreId, decision, error: error.message });
+    throw new AppError('Failed to review flagged score', 500);
+  }
+}
+
+/**
+ * Restricts a board query on leaderboards aliased as l to one country
+ * @param {string} [region]
+ * @returns {Object}
+ */
+function regionFilter(region) {
+  return region ? Prisma.sql`AND l.country = ${region}` : Prisma.empty;
+}
+
+/**
+ * Entry of a board row. On boards breaking ties by the earliest achievement
+ * it also says when the total was reached.
+ * @param {Object} row - With user_id, username, total_score and achieved_at
+ * @param {Object} rule - The board's score rule
+ * @returns {Object}
+ */
+function toEntry(row, rule) {
+  return {
+    userId: Number(row.user_id),
+    username: row.username,
+    totalScore: Number(row.total_score),
+    ...(rule.earliestFirst && { achievedAt: row.achieved_at.toISOString() }),
+  };
+}
+
+/**
+ * Rank already-sorted entries from the position of the first one
+ * @param {Object} board
+ * @param {Array} entries - In board order
+ * @param {string} [region] - Rank within one country's players instead
+ * @returns {Promise<Array>}
+ */
+async function rankByPosition(board, entries, region) {
+  if (entries.length === 0) return [];
+
+  // The ranking sets only hold whole boards
+  const ranks = region ? null : await rankingService.getRanksForScores(board, entries.map((entry) => entry.totalScore));
+  if (ranks) {
+    return entries.map((entry) => ({ ...entry, rank: ranks.get(entry.totalScore) }));
+  }
+
+  const rule = getScoreRule(board.mode);
+  const [first] = entries;
+  // Ties are ordered by user id, so the position also counts tied players with lower ids
+  const [counts] = await prisma.$queryRaw`
+    SELECT
+      COUNT(*) FILTER (WHERE ${ranksAhead(rule, 'l', first)}) as higher,
+      COUNT(*) FILTER (WHERE ${placedAhead(rule, 'l', first)}) as ahead
+    FROM leaderboards l
+    WHERE game_mode = ${board.mode}
+      AND time_window = ${board.window}
+      AND period_start = ${board.periodStart}
+      AND ${notBehindScore(rule, 'l', first.totalScore)}
+      ${regionFilter(region)}
+  `;
 
-    const topPlayers = await prisma.$queryRaw`
+  return assignRanks(entries, Number(counts.ahead), Number(counts.higher) + 1);
+}
+
+/**
+ * Read one page of a board from Postgres, by offset or from a keyset cursor
+ * @param {Object} board
+ * @param {number} limit - Rows to read; callers ask for one extra to detect more pages
+ * @param {number} offset
+ * @param {Object} [cursor] - Decoded cursor
+ * @param {string} [region] - Only players from this country
+ * @returns {Promise<Array>}
+ */
+async function queryPage(board, limit, offset, cursor, region) {
+  const rule = getScoreRule(board.mode);
+
+  let rows;
+  if (!cursor) {
+    rows = await prisma.$queryRaw`
       SELECT 
         l.user_id,
         u.username,
         l.total_score,
-        RANK() OVER (ORDER BY l.total_score DESC) as rank
+        l.achieved_at,
+        RANK() OVER (ORDER BY ${rankOrder(rule)}) as rank
       FROM leaderboards l
       INNER JOIN users u ON l.user_id = u.id
-      ORDER BY l.total_score DESC
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        ${regionFilter(region)}
+      ORDER BY ${standingOrder(rule)}
       LIMIT ${limit}
+      OFFSET ${offset}
     `;
+  } else if (cursor.direction === 'next') {
+    rows = await prisma.$queryRaw`
+      SELECT l.user_id, u.username, l.total_score, l.achieved_at
+      FROM leaderboards l
+      INNER JOIN users u ON l.user_id = u.id
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        AND ${placedBehind(rule, 'l', cursor)}
+        ${regionFilter(region)}
+      ORDER BY ${standingOrder(rule)}
+      LIMIT ${limit}
+    `;
+  } else {
+    rows = await prisma.$queryRaw`
+      SELECT l.user_id, u.username, l.total_score, l.achieved_at
+      FROM leaderboards l
+      INNER JOIN users u ON l.user_id = u.id
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        AND ${placedAhead(rule, 'l', cursor)}
+        ${regionFilter(region)}
+      ORDER BY ${standingOrder(rule, 'l', { reverse: true })}
+      LIMIT ${limit}
+    `;
+  }
 
-    const formattedPlayers = topPlayers.map(player => ({
-      userId: Number(player.user_id),
-      username: player.username,
-      totalScore: Number(player.total_score),
-      rank: Number(player.rank),
-    }));
+  return rows.map(player => ({
+    ...toEntry(player, rule),
+    ...(player.rank !== undefined && { rank: Number(player.rank) }),
+  }));
+}
+
+/**
+ * One page of a board with cursors to the neighbouring pages, in the order
+ * the mode's score rule gives it
+ * @param {Object} [board] - Board from resolveBoard; current all-time combined board by default
+ * @param {Object} [page]
+ * @param {number} [page.limit]
+ * @param {number} [page.offset] - Ignored when a cursor is given
+ * @param {Object} [page.cursor] - Decoded keyset cursor
+ * @param {string} [page.region] - Only players from this country; entries then
+ * carry their regionalRank besides the global rank
+ * @returns {Promise<Object>} - { entries, pagination }
+ */
+async function getLeaderboardPage(board = resolveBoard(), { limit = 10, offset = 0, cursor, region } = {}) {
+  // Cursors taken from a board ordered by total alone cannot position on one breaking ties by time
+  if (cursor && getScoreRule(board.mode).earliestFirst && !cursor.achievedAt) {
+    throw new AppError('cursor is invalid', 400);
+  }
+
+  const pageKey = (region ? `region:${region}:` : '') + (cursor
+    ? `cursor:${cursor.direction}:${cursor.totalScore}:${cursor.achievedAt?.getTime() ?? ''}:${cursor.userId}:${limit}`
+    : `offset:${offset}:${limit}`);
+
+  try {
+    let entries = null;
+    if (!cursor && !region) {
+      entries = await rankingService.getTopEntries(board, limit + 1, offset);
+      if (!entries && rankingService.tracksBoard(board)) {
+        await requestRankingRebuild();
+      }
+    }
+
+    if (!entries) {
+      const cacheKey = CACHE_KEYS.LEADERBOARD_PAGE(board.key, await getBoardGeneration(board.key), pageKey);
+      entries = await getOrLoad('page', cacheKey, CACHE_TTL.LEADERBOARD, async () => {
+        let rows = await queryPage(board, limit + 1, offset, cursor, region);
+        if (cursor?.direction === 'prev') {
+          // Keep the extra row at the end so it is trimmed like in the other directions
+          rows = [...rows.slice(0, limit).reverse(), ...rows.slice(limit)];
+        }
+        if (cursor) {
+          rows = await rankByPosition(board, rows, region);
+        }
+        if (region) {
+          const globalRanks = await getGlobalRanks(board, rows);
+          rows = rows.map((row) => ({
+            ...row,
+            rank: globalRanks.get(row.userId),
+            regionalRank: row.rank,
+          }));
+        }
+
+        logger.info(`Retrieved leaderboard page from database`, { board: board.key, page: pageKey });
+        return rows;
+      });
+    }
+
+    const hasMore = entries.length > limit;
+    entries = await profileService.withProfiles(entries.slice(0, limit));
+    entries = await snapshotService.withRankChanges(board, entries);
 
-    await redis.setex(
-      cacheKey,
-      CACHE_TTL.LEADERBOARD,
-      JSON.stringify(formattedPlayers)
-    );
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const isBackward = cursor?.direction === 'prev';
+    const pagination = {
+      limit,
+      offset: cursor ? null : offset,
+      hasMore,
+      nextCursor: last && (isBackward || hasMore) ? encodeCursor(last, 'next') : null,
+      prevCursor: first && (isBackward ? hasMore : cursor || offset > 0)
+        ? encodeCursor(first, 'prev')
+        : null,
+    };
 
-    logger.info(`Retrieved top ${limit} players from database`);
-    return formattedPlayers;
+    return { entries, pagination };
 
   } catch (error) {
-    logger.error('Failed to get top players', { error: error.message });
+    logger.error('Failed to get leaderboard page', { error: error.message });
     throw new AppError('Failed to retrieve leaderboards', 500);
   }
 }
 
+/**
+ * @param {number} limit
+ * @param {Object} [board] - Board from resolveBoard; current all-time combined board by default
+ * @returns {Promise<Array>} 
+ */
+async function getTopPlayers(limit = 10, board = resolveBoard()) {
+  const { entries } = await getLeaderboardPage(board, { limit });
+  return entries;
+}
+
 /**
  * @param {number} userId 
+ * @param {Object} [board] - Board from resolveBoard; current all-time combined board by default
+ * @param {Object} [options]
+ * @param {string} [options.region] - Also rank the player among this country's players
  * @returns {Promise<Object>} 
  */
-async function getPlayerRank(userId) {
-  const cacheKey = CACHE_KEYS.USER_RANK(userId);
+async function getPlayerRank(userId, board = resolveBoard(), { region } = {}) {
+  const player = await getGlobalRank(userId, board);
+  if (!region) return player;
+
+  try {
+    const cacheKey = CACHE_KEYS.REGIONAL_RANK(userId, board.key, region, await getBoardGeneration(board.key));
+    const regional = await getOrLoad('rank', cacheKey, CACHE_TTL.RANK, () => queryRegionalRank(userId, board, region));
+    return { ...player, region, ...regional };
 
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error(`Failed to get regional rank for user ${userId}`, { region, error: error.message });
+    throw new AppError('Failed to retrieve player rank', 500);
+  }
+}
+
+/**
+ * @param {number} userId
+ * @param {Object} board
+ * @returns {Promise<Object>}
+ */
+async function getGlobalRank(userId, board) {
   try {
-    const cached = await redis.get(cacheKey);
-    if (cached) {
-      logger.debug(`Rank cache hit for user ${userId}`);
-      return JSON.parse(cached);
+    const ranked = await rankingService.getRankEntry(board, userId);
+    if (ranked && !ranked.found) {
+      throw new AppError('Player not found in leaderboards', 404);
+    }
+    if (ranked) {
+      const { found, ...entry } = ranked;
+      const players = await profileService.withProfiles([{ ...entry, gameMode: board.mode, window: board.window }]);
+      const [player] = await snapshotService.withRankChanges(board, players);
+      return player;
+    }
+    if (rankingService.tracksBoard(board)) {
+      await requestRankingRebuild();
     }
 
-    logger.debug(`Rank cache miss for user ${userId}`);
+    const cacheKey = CACHE_KEYS.USER_RANK(userId, board.key, await getBoardGeneration(board.key));
+    const rankData = await getOrLoad('rank', cacheKey, CACHE_TTL.RANK, () => queryPlayerRank(userId, board));
+    const players = await profileService.withProfiles([rankData]);
+    const [player] = await snapshotService.withRankChanges(board, players);
+    return player;
 
-    const rankData = await prisma.$queryRaw`
-      SELECT 
-        l.user_id,
-        u.username,
-        l.total_score,
-        (
-          SELECT COUNT(*) + 1
-          FROM leaderboards l2
-          WHERE l2.total_score > l.total_score
-        ) as rank,
-        (SELECT COUNT(*) FROM leaderboards) as total_players
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error(`Failed to get rank for user ${userId}`, { error: error.message });
+    throw new AppError('Failed to retrieve player rank', 500);
+  }
+}
+
+/**
+ * Rank a player on a board straight from Postgres
+ * @param {number} userId
+ * @param {Object} board
+ * @returns {Promise<Object>}
+ */
+async function queryPlayerRank(userId, board) {
+  const rule = getScoreRule(board.mode);
+  const rankData = await prisma.$queryRaw`
+    SELECT 
+      l.user_id,
+      u.username,
+      l.total_score,
+      l.achieved_at,
+      (
+        SELECT COUNT(*) + 1
+        FROM leaderboards l2
+        WHERE l2.game_mode = l.game_mode
+          AND l2.time_window = l.time_window
+          AND l2.period_start = l.period_start
+          AND ${ranksAhead(rule, 'l2', { totalScore: Prisma.raw('l.total_score'), achievedAt: Prisma.raw('l.achieved_at') })}
+      ) as rank,
+      (
+        SELECT COUNT(*)
+        FROM leaderboards l3
+        WHERE l3.game_mode = l.game_mode
+          AND l3.time_window = l.time_window
+          AND l3.period_start = l.period_start
+      ) as total_players
+    FROM leaderboards l
+    INNER JOIN users u ON l.user_id = u.id
+    WHERE l.user_id = ${userId}
+      AND l.game_mode = ${board.mode}
+      AND l.time_window = ${board.window}
+      AND l.period_start = ${board.periodStart}
+    LIMIT 1
+  `;
+
+  if (!rankData || rankData.length === 0) {
+    throw new AppError('Player not found in leaderboards', 404);
+  }
+
+  const result = {
+    userId: Number(rankData[0].user_id),
+    username: rankData[0].username,
+    gameMode: board.mode,
+    window: board.window,
+    totalScore: Number(rankData[0].total_score),
+    ...(rule.earliestFirst && { achievedAt: rankData[0].achieved_at.toISOString() }),
+    rank: Number(rankData[0].rank),
+    totalPlayers: Number(rankData[0].total_players),
+  };
+
+  logger.info(`Retrieved rank for user ${userId}: rank ${result.rank}`, { board: board.key });
+  return result;
+}
+
+/**
+ * Rank a player among the players of one country, read from the regional index
+ * @param {number} userId
+ * @param {Object} board
+ * @param {string} region
+ * @returns {Promise<Object>}
+ */
+async function queryRegionalRank(userId, board, region) {
+  const rule = getScoreRule(board.mode);
+  const [row] = await prisma.$queryRaw`
+    SELECT
+      (
+        SELECT COUNT(*) + 1
+        FROM leaderboards l2
+        WHERE l2.game_mode = l.game_mode
+          AND l2.time_window = l.time_window
+          AND l2.period_start = l.period_start
+          AND l2.country = l.country
+          AND ${ranksAhead(rule, 'l2', { totalScore: Prisma.raw('l.total_score'), achievedAt: Prisma.raw('l.achieved_at') })}
+      ) as regional_rank,
+      (
+        SELECT COUNT(*)
+        FROM leaderboards l3
+        WHERE l3.game_mode = l.game_mode
+          AND l3.time_window = l.time_window
+          AND l3.period_start = l.period_start
+          AND l3.country = l.country
+      ) as regional_players
+    FROM leaderboards l
+    WHERE l.user_id = ${userId}
+      AND l.game_mode = ${board.mode}
+      AND l.time_window = ${board.window}
+      AND l.period_start = ${board.periodStart}
+      AND l.country = ${region}
+  `;
+
+  if (!row) {
+    throw new AppError('Player not found in regional leaderboards', 404);
+  }
+  return {
+    regionalRank: Number(row.regional_rank),
+    regionalPlayers: Number(row.regional_players),
+  };
+}
+
+/**
+ * Players directly above and below a player, read from the board index
+ * @param {Object} board
+ * @param {Object} player - Result of getPlayerRank
+ * @param {number} radius
+ * @returns {Promise<Array>}
+ */
+async function queryNeighbors(board, player, radius) {
+  const rule = getScoreRule(board.mode);
+
+  const [above, below] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT l.user_id, u.username, l.total_score, l.achieved_at
       FROM leaderboards l
       INNER JOIN users u ON l.user_id = u.id
-      WHERE l.user_id = ${userId}
-      LIMIT 1
-    `;
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        AND ${placedAhead(rule, 'l', player)}
+      ORDER BY ${standingOrder(rule, 'l', { reverse: true })}
+      LIMIT ${radius}
+    `,
+    prisma.$queryRaw`
+      SELECT l.user_id, u.username, l.total_score, l.achieved_at
+      FROM leaderboards l
+      INNER JOIN users u ON l.user_id = u.id
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        AND ${placedBehind(rule, 'l', player)}
+      ORDER BY ${standingOrder(rule)}
+      LIMIT ${radius}
+    `,
+  ]);
 
-    if (!rankData || rankData.length === 0) {
-      throw new AppError('Player not found in leaderboards', 404);
+  const { userId, username, totalScore, achievedAt } = player;
+  return rankByPosition(board, [
+    ...above.reverse().map((row) => toEntry(row, rule)),
+    { userId, username, totalScore, ...(rule.earliestFirst && { achievedAt }) },
+    ...below.map((row) => toEntry(row, rule)),
+  ]);
+}
+
+/**
+ * A player's standing together with the players just above and below them
+ * @param {number} userId
+ * @param {number} radius - Players to include on each side
+ * @param {Object} [board]
+ * @returns {Promise<Object>}
+ */
+async function getPlayersAround(userId, radius = 5, board = resolveBoard()) {
+  const player = await getPlayerRank(userId, board);
+
+  try {
+    let entries = await rankingService.getNeighborEntries(board, userId, radius);
+    if (!entries || entries.length === 0) {
+      entries = await queryNeighbors(board, player, radius);
     }
 
-    const result = {
-      userId: Number(rankData[0].user_id),
-      username: rankData[0].username,
-      totalScore: Number(rankData[0].total_score),
-      rank: Number(rankData[0].rank),
-      totalPlayers: Number(rankData[0].total_players),
+    entries = await profileService.withProfiles(entries);
+    entries = await snapshotService.withRankChanges(board, entries);
+
+    return {
+      player,
+      entries: entries.map((entry) => ({
+        ...entry,
+        isCurrentPlayer: entry.userId === userId,
+      })),
     };
 
-    await redis.setex(
-      cacheKey,
-      CACHE_TTL.RANK,
-      JSON.stringify(result)
-    );
+  } catch (error) {
+    logger.error(`Failed to get players around user ${userId}`, { error: error.message });
+    throw new AppError('Failed to retrieve nearby players', 500);
+  }
+}
 
-    logger.info(`Retrieved rank for user ${userId}: rank ${result.rank}`);
-    return result;
+/**
+ * Global rank of each entry's player on a board
+ * @param {Object} board
+ * @param {Object[]} entries - Rows of the board, with userId and totalScore
+ * @returns {Promise<Map<number, number>>} - Rank per user id
+ */
+async function getGlobalRanks(board, entries) {
+  if (entries.length === 0) return new Map();
+
+  const ranks = await rankingService.getRanksForScores(board, entries.map((entry) => entry.totalScore));
+  if (ranks) {
+    return new Map(entries.map((entry) => [entry.userId, ranks.get(entry.totalScore)]));
+  }
+
+  const rule = getScoreRule(board.mode);
+  const rows = await prisma.$queryRaw`
+    SELECT
+      e.user_id,
+      (
+        SELECT COUNT(*) + 1
+        FROM leaderboards l
+        WHERE l.game_mode = e.game_mode
+          AND l.time_window = e.time_window
+          AND l.period_start = e.period_start
+          AND ${ranksAhead(rule, 'l', { totalScore: Prisma.raw('e.total_score'), achievedAt: Prisma.raw('e.achieved_at') })}
+      ) as rank
+    FROM leaderboards e
+    WHERE e.game_mode = ${board.mode}
+      AND e.time_window = ${board.window}
+      AND e.period_start = ${board.periodStart}
+      AND e.user_id IN (${Prisma.join(entries.map((entry) => entry.userId))})
+  `;
+  return new Map(rows.map((row) => [Number(row.user_id), Number(row.rank)]));
+}
+
+/**
+ * Rank a player among the players they follow. Every entry keeps its global
+ * rank, and relativeRank is its rank within the group.
+ * @param {number} userId
+ * @param {Object} [board] - Board from resolveBoard; current all-time combined board by default
+ * @param {Object} [options]
+ * @param {boolean} [options.mutualOnly] - Only count players who follow back
+ * @returns {Promise<Object>} - { player, entries, following, unranked }
+ */
+async function getFriendsLeaderboard(userId, board = resolveBoard(), { mutualOnly = false } = {}) {
+  const player = await getPlayerRank(userId, board);
+
+  try {
+    const rule = getScoreRule(board.mode);
+    const followedIds = await followService.getFollowedIds(userId, { mutualOnly });
+    const rows = followedIds.length === 0 ? [] : await prisma.$queryRaw`
+      SELECT l.user_id, u.username, l.total_score, l.achieved_at
+      FROM leaderboards l
+      INNER JOIN users u ON l.user_id = u.id
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        AND l.user_id IN (${Prisma.join(followedIds)})
+    `;
+
+    const friends = rows.map((row) => toEntry(row, rule));
+    const globalRanks = await getGlobalRanks(board, friends);
+
+    const { username, totalScore, achievedAt, rank } = player;
+    let entries = [
+      ...friends.map((friend) => ({ ...friend, rank: globalRanks.get(friend.userId) })),
+      { userId, username, totalScore, ...(rule.earliestFirst && { achievedAt }), rank },
+    ].sort(compareStandings(rule));
+
+    const relativeRanks = assignRanks(entries.map(({ totalScore, achievedAt }) => ({ totalScore, achievedAt })), 0, 1);
+    entries = entries.map((entry, index) => ({
+      ...entry,
+      relativeRank: relativeRanks[index].rank,
+      isCurrentPlayer: entry.userId === userId,
+    }));
+    entries = await profileService.withProfiles(entries);
+    entries = await snapshotService.withRankChanges(board, entries);
+
+    return {
+      player: {
+        ...player,
+        relativeRank: entries.find((entry) => entry.isCurrentPlayer).relativeRank,
+        groupSize: entries.length,
+      },
+      entries,
+      following: followedIds.length,
+      unranked: followedIds.length - friends.length,
+    };
 
   } catch (error) {
-    if (error instanceof AppError) throw error;
-    logger.error(`Failed to get rank for user ${userId}`, { error: error.message });
-    throw new AppError('Failed to retrieve player rank', 500);
+    logger.error(`Failed to get friends leaderboard for user ${userId}`, { error: error.message });
+    throw new AppError('Failed to retrieve friends leaderboard', 500);
   }
 }
 
@@ -201,32 +1192,143 @@ async function recalculateAllRanks(batchSize = 1000) {
   try {
     logger.info('Starting full rank recalculation');
 
-    await prisma.$executeRaw`
+    // Closed periods keep the ranks frozen when they were archived
+    const currentPeriods = getCurrentBoards(ALL_MODES).map((board) => (
+      Prisma.sql`(${board.window}, ${board.periodStart})`
+    ));
+
+    await prisma.$transaction(async (tx) => {
+      await lockRanks(tx);
+      await tx.$executeRaw`
+        UPDATE leaderboards
+        SET rank = ranked.rank, ranked_score = ranked.total_score
+        FROM (
+          SELECT 
+            id,
+            total_score,
+            RANK() OVER (
+              PARTITION BY game_mode, time_window, period_start
+              ORDER BY ${rankOrderByMode()}
+            ) as rank
+          FROM leaderboards
+          WHERE (time_window, period_start) IN (${Prisma.join(currentPeriods)})
+        ) AS ranked
+        WHERE leaderboards.id = ranked.id
+      `;
+    }, {
+      timeout: 600000,
+    });
+
+    await invalidateLeaderboardCache();
+    
+    logger.info('Full rank recalculation completed');
+    return { success: true, message: 'Ranks recalculated successfully' };
+
+  } catch (error) {
+    logger.error('Failed to recalculate ranks', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Freeze the final ranks of one finished period and record it as archived
+ * @param {string} window
+ * @param {Date} periodStart
+ * @param {Date} [periodEnd] - Required for seasons, whose ends are scheduled
+ * @returns {Promise<Object>}
+ */
+async function archivePeriod(window, periodStart, periodEnd = getPeriodEnd(window, periodStart)) {
+  const period = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`
       UPDATE leaderboards
       SET rank = ranked.rank
       FROM (
         SELECT 
-          user_id,
-          RANK() OVER (ORDER BY total_score DESC) as rank
+          id,
+          RANK() OVER (PARTITION BY game_mode ORDER BY ${rankOrderByMode()}) as rank
         FROM leaderboards
+        WHERE time_window = ${window}
+          AND period_start = ${periodStart}
       ) AS ranked
-      WHERE leaderboards.user_id = ranked.user_id
+      WHERE leaderboards.id = ranked.id
     `;
 
-    await invalidateLeaderboardCache();
-    
-    logger.info('Full rank recalculation completed');
-    return { success: true, message: 'Ranks recalculated successfully' };
+    const playerCount = await tx.leaderboards.count({
+      where: { gameMode: ALL_MODES, timeWindow: window, periodStart },
+    });
+
+    return tx.leaderboardPeriod.create({
+      data: { timeWindow: window, periodStart, periodEnd, playerCount },
+    });
+  }, {
+    timeout: 120000,
+  });
+
+  logger.info(`Archived ${window} period starting ${periodStart.toISOString()}`, {
+    playerCount: period.playerCount,
+  });
+  return period;
+}
+
+/**
+ * Archive every daily, weekly and monthly period that has ended since the last
+ * run. The first run only closes the period directly before the current one.
+ * @returns {Promise<Array>}
+ */
+async function closeFinishedPeriods() {
+  const archived = [];
+
+  try {
+    for (const window of getPeriodicWindows()) {
+      const currentStart = getPeriodStart(window);
+      const lastArchived = await prisma.leaderboardPeriod.findFirst({
+        where: { timeWindow: window },
+        orderBy: { periodStart: 'desc' },
+      });
+
+      let periodStart = lastArchived
+        ? getPeriodEnd(window, lastArchived.periodStart)
+        : getPreviousPeriodStart(window, currentStart);
+
+      while (periodStart < currentStart) {
+        archived.push(await archivePeriod(window, periodStart));
+        periodStart = getPeriodEnd(window, periodStart);
+      }
+    }
+
+    return archived;
 
   } catch (error) {
-    logger.error('Failed to recalculate ranks', { error: error.message });
+    logger.error('Failed to close finished periods', { error: error.message });
     throw error;
   }
 }
 
+/**
+ * @param {string} window
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+async function getArchivedPeriods(window, limit = 30) {
+  return prisma.leaderboardPeriod.findMany({
+    where: { timeWindow: window },
+    orderBy: { periodStart: 'desc' },
+    take: limit,
+  });
+}
+
 module.exports = {
   submitScore,
+  submitScoreBatch,
+  getFlaggedScores,
+  reviewFlaggedScore,
+  getLeaderboardPage,
   getTopPlayers,
   getPlayerRank,
+  getPlayersAround,
+  getFriendsLeaderboard,
   recalculateAllRanks,
+  archivePeriod,
+  closeFinishedPeriods,
+  getArchivedPeriods,
 };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const rankingService = require('./rankingService');
+const profileService = require('./profileService');
+const snapshotService = require('./snapshotService');
+const { getTopPlayers } = require('./leaderboardService');
+const { getRedisClient } = require('../config/redis');
+const { TOP_SUBSCRIPTION_SIZES } = require('../config/leaderboards');
+
+const redis = getRedisClient();
+
+/**
+ * The top of every live board, as last pushed to sockets, is kept in one hash
+ * per board: the entries, a revision for compare-and-set, an epoch and one
+ * sequence number per top size. A socket applies diffs whose sequence follows
+ * its own and asks for a snapshot when it sees a gap or another epoch.
+ */
+const LIVE_TOP_KEYS = {
+  STATE: (boardKey) => `leaderboard:live-top:${boardKey}`,
+};
+
+const TRACKED_SIZE = Math.max(...TOP_SUBSCRIPTION_SIZES);
+
+// Untouched states expire; the next sync then starts a new epoch
+const STATE_TTL_SECONDS = 24 * 60 * 60;
+
+const MAX_SYNC_ATTEMPTS = 5;
+
+// Stores a new top unless another sync got there first (returns false).
+// ARGV: revision read, entries, epoch of a new state, ttl, sizes whose sequence advances.
+// Returns the epoch followed by the advanced sequence numbers.
+redis.defineCommand('replaceLiveTop', {
+  numberOfKeys: 1,
+  lua: `
+    local revision = redis.call('HGET', KEYS[1], 'revision') or ''
+    if revision ~= ARGV[1] then
+      return false
+    end
+    if revision == '' then
+      redis.call('HSET', KEYS[1], 'epoch', ARGV[3])
+    end
+    redis.call('HSET', KEYS[1], 'entries', ARGV[2])
+    redis.call('HINCRBY', KEYS[1], 'revision', 1)
+    redis.call('EXPIRE', KEYS[1], ARGV[4])
+    local result = { redis.call('HGET', KEYS[1], 'epoch') }
+    for i = 5, #ARGV do
+      result[#result + 1] = redis.call('HINCRBY', KEYS[1], 'seq:' .. ARGV[i], 1)
+    end
+    return result
+  `,
+});
+
+/**
+ * What changed between two versions of a top: players that entered or left it,
+ * players whose rank moved and players whose total changed
+ * @param {Object[]} before
+ * @param {Object[]} after
+ * @returns {Object} - { entered, left, moved, scores }
+ */
+function diffTop(before, after) {
+  const previous = new Map(before.map((entry) => [entry.userId, entry]));
+  const current = new Set(after.map((entry) => entry.userId));
+  const entered = [];
+  const moved = [];
+  const scores = [];
+
+  for (const entry of after) {
+    const old = previous.get(entry.userId);
+    if (!old) {
+      entered.push(entry);
+      continue;
+    }
+    if (old.rank !== entry.rank) {
+      moved.push({ userId: entry.userId, from: old.rank, to: entry.rank });
+    }
+    if (old.totalScore !== entry.totalScore) {
+      scores.push({ userId: entry.userId, totalScore: entry.totalScore });
+    }
+  }
+
+  const left = before.filter((entry) => !current.has(entry.userId)).map((entry) => entry.userId);
+  return { entered, left, moved, scores };
+}
+
+function isEmptyDiff({ entered, left, moved, scores }) {
+  return entered.length + left.length + moved.length + scores.length === 0;
+}
+
+/**
+ * The top of a board with profiles and rank changes, or null when its set has
+ * not been built. Boards not kept in a ranking set are read from Postgres.
+ * @param {Object} board
+ * @returns {Promise<Array|null>}
+ */
+async function readTop(board) {
+  if (!rankingService.tracksBoard(board)) {
+    return getTopPlayers(TRACKED_SIZE, board);
+  }
+
+  const ranked = await rankingService.getTopEntries(board, TRACKED_SIZE);
+  if (!ranked) return null;
+  const profiled = await profileService.withProfiles(ranked);
+  return snapshotService.withRankChanges(board, profiled);
+}
+
+/**
+ * Compare a board's top with the version last pushed and store the new one
+ * @param {Object} board - Current board from resolveBoard
+ * @returns {Promise<Object|null>} - { epoch, entries, sequences, diffs } with one
+ *   diff per top size that changed; null when the board's set has not been built
+ */
+async function syncTop(board) {
+  const key = LIVE_TOP_KEYS.STATE(board.key);
+
+  for (let attempt = 1; attempt <= MAX_SYNC_ATTEMPTS; attempt++) {
+    // Read the state before the board so a successful write never stores an older top
+    const state = await redis.hgetall(key);
+    // Entered players carry their profile and rank changes; changes to those
+    // alone do not make a diff, clients shift the rank changes of moved players
+    const entries = await readTop(board);
+    if (!entries) return null;
+
+    const before = state.entries ? JSON.parse(state.entries) : [];
+    const sequences = Object.fromEntries(
+      TOP_SUBSCRIPTION_SIZES.map((limit) => [limit, Number(state[`seq:${limit}`] ?? 0)])
+    );
+    // Nobody can hold a version of a new state, so it starts without diffs
+    const diffs = !state.revision ? [] : TOP_SUBSCRIPTION_SIZES
+      .map((limit) => ({ limit, ...diffTop(before.slice(0, limit), entries.slice(0, limit)) }))
+      .filter((diff) => !isEmptyDiff(diff));
+
+    if (state.revision && diffs.length === 0) {
+      return { epoch: state.epoch, entries, sequences, diffs };
+    }
+
+    const result = await redis.replaceLiveTop(
+      key,
+      state.revision ?? '',
+      JSON.stringify(entries),
+      crypto.randomUUID(),
+      STATE_TTL_SECONDS,
+      ...diffs.map((diff) => diff.limit)
+    );
+    if (!result) continue;
+
+    const [epoch, ...advanced] = result;
+    diffs.forEach((diff, index) => {
+      sequences[diff.limit] = Number(advanced[index]);
+      diff.seq = sequences[diff.limit];
+    });
+
+    return { epoch, entries, sequences, diffs };
+  }
+
+  throw new Error(`Live top of ${board.key} kept changing during sync`);
+}
+
+module.exports = {
+  LIVE_TOP_KEYS,
+  TRACKED_SIZE,
+  diffTop,
+  syncTop,
+};
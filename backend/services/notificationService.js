@@ -0,0 +1,171 @@
+const { getPrismaClient } = require('../config/database');
+const rankingService = require('./rankingService');
+const logger = require('../config/logger');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFY_TOP_RANK,
+  NOTIFY_WINDOWS,
+  NOTIFY_MAX_PASSED,
+} = require('../config/notifications');
+const { getSubmissionBoards, isCurrentBoard } = require('../utils/boards');
+
+const prisma = getPrismaClient();
+
+function formatNotification(notification) {
+  return {
+    id: notification.id,
+    userId: notification.userId,
+    type: notification.type,
+    ...notification.data,
+    read: notification.readAt !== null,
+    readAt: notification.readAt?.toISOString() ?? null,
+    createdAt: notification.createdAt.toISOString(),
+  };
+}
+
+/**
+ * Total gained per player on every current board that notifies
+ * @param {Object[]} scores - { userId, score, gameMode, playedAt }
+ * @returns {Map<string, Object>} - Board key -> { board, gains: Map<userId, gained> }
+ */
+function collectGains(scores) {
+  const byBoard = new Map();
+
+  for (const { userId, score, gameMode, playedAt } of scores) {
+    if (score <= 0) continue;
+
+    for (const board of getSubmissionBoards(gameMode, playedAt)) {
+      if (!NOTIFY_WINDOWS.includes(board.window) || !isCurrentBoard(board)) continue;
+
+      if (!byBoard.has(board.key)) {
+        byBoard.set(board.key, { board, gains: new Map() });
+      }
+      const { gains } = byBoard.get(board.key);
+      gains.set(userId, (gains.get(userId) ?? 0) + score);
+    }
+  }
+
+  return byBoard;
+}
+
+/**
+ * Notifications for one board: the player entered the top, or passed others.
+ * Players who scored in the same batch are not told they were passed.
+ */
+function describeMoves(board, moves, scorers) {
+  const where = { mode: board.mode, window: board.window };
+  const notifications = [];
+
+  for (const move of moves) {
+    if (move.rank <= NOTIFY_TOP_RANK && (move.previousRank === null || move.previousRank > NOTIFY_TOP_RANK)) {
+      notifications.push({
+        userId: move.userId,
+        type: NOTIFICATION_TYPES.ENTERED_TOP,
+        data: { ...where, rank: move.rank, previousRank: move.previousRank, top: NOTIFY_TOP_RANK },
+      });
+    }
+
+    for (const passed of move.passed) {
+      if (scorers.has(passed.userId)) continue;
+      notifications.push({
+        userId: passed.userId,
+        type: NOTIFICATION_TYPES.PASSED,
+        data: {
+          ...where,
+          rank: passed.rank,
+          passedBy: { userId: move.userId, username: move.username, totalScore: move.totalScore },
+        },
+      });
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * Find the rank changes applied scores caused and store them in the inboxes
+ * of the players concerned
+ * @param {Object[]} scores - { userId, score, gameMode, playedAt }
+ * @returns {Promise<Object[]>} - Notifications created
+ */
+async function recordRankChanges(scores) {
+  const scorers = new Set(scores.map((score) => score.userId));
+  const pending = [];
+
+  for (const { board, gains } of collectGains(scores).values()) {
+    const moves = await rankingService.getRankChanges(
+      board,
+      [...gains].map(([userId, gained]) => ({ userId, gained })),
+      NOTIFY_MAX_PASSED
+    );
+    // Boards being rebuilt have no reliable ranks to compare
+    if (!moves) continue;
+
+    pending.push(...describeMoves(board, moves, scorers));
+  }
+
+  if (pending.length === 0) return [];
+
+  const created = await prisma.notification.createManyAndReturn({ data: pending });
+  logger.debug('Rank change notifications recorded', { count: created.length });
+  return created.map(formatNotification);
+}
+
+/**
+ * A player's inbox, newest first
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.unreadOnly]
+ * @param {number} [options.limit]
+ * @param {number} [options.before] - Only notifications older than this id
+ * @returns {Promise<Object>} - { entries, unreadCount, nextBefore }
+ */
+async function getNotifications(userId, { unreadOnly = false, limit = 20, before } = {}) {
+  const where = {
+    userId,
+    ...(unreadOnly && { readAt: null }),
+    ...(before && { id: { lt: before } }),
+  };
+
+  const [notifications, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      take: limit + 1,
+    }),
+    prisma.notification.count({ where: { userId, readAt: null } }),
+  ]);
+
+  const hasMore = notifications.length > limit;
+  const entries = notifications.slice(0, limit).map(formatNotification);
+
+  return {
+    entries,
+    unreadCount,
+    nextBefore: hasMore ? entries[entries.length - 1].id : null,
+  };
+}
+
+/**
+ * @param {number} userId
+ * @param {number[]} [ids] - Notifications to mark; every unread one when omitted
+ * @returns {Promise<number>} - Notifications newly marked read
+ */
+async function markNotificationsRead(userId, ids) {
+  const { count } = await prisma.notification.updateMany({
+    where: {
+      userId,
+      readAt: null,
+      ...(ids && { id: { in: ids } }),
+    },
+    data: { readAt: new Date() },
+  });
+
+  return count;
+}
+
+module.exports = {
+  recordRankChanges,
+  getNotifications,
+  markNotificationsRead,
+};
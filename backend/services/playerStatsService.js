@@ -0,0 +1,212 @@
+const { getPrismaClient } = require('../config/database');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { ALL_MODES, LEADERBOARD_TIMEZONE } = require('../config/leaderboards');
+const { getZonedParts } = require('../utils/periods');
+const { encodeSessionCursor } = require('../utils/cursors');
+const { modeMatches } = require('../utils/scoreRules');
+
+const prisma = getPrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function findPlayer(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, username: true },
+  });
+  if (!user) {
+    throw new AppError('Player not found', 404);
+  }
+  return user;
+}
+
+function formatSession(session) {
+  return {
+    id: session.id,
+    score: session.score,
+    gameMode: session.gameMode,
+    playedAt: session.timestamp.toISOString(),
+    matchId: session.matchId,
+  };
+}
+
+/**
+ * A player's recorded sessions, newest first
+ * @param {number} userId
+ * @param {Object} [filter]
+ * @param {Date} [filter.from] - Sessions played at or after this instant
+ * @param {Date} [filter.to] - Sessions played before this instant
+ * @param {string} [filter.mode] - One game mode; every mode when omitted or 'all'
+ * @param {number} [filter.limit]
+ * @param {Object} [filter.cursor] - Decoded session cursor
+ * @returns {Promise<Object>} - { entries, pagination }
+ */
+async function getScoreHistory(userId, { from, to, mode, limit = 50, cursor } = {}) {
+  await findPlayer(userId);
+
+  const sessions = await prisma.gameSession.findMany({
+    where: {
+      userId,
+      ...(mode && mode !== ALL_MODES && { gameMode: mode }),
+      ...((from || to) && { timestamp: { ...(from && { gte: from }), ...(to && { lt: to }) } }),
+      ...(cursor && {
+        OR: [
+          { timestamp: { lt: cursor.playedAt } },
+          { timestamp: cursor.playedAt, id: { lt: cursor.id } },
+        ],
+      }),
+    },
+    orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+    take: limit + 1,
+  });
+
+  const hasMore = sessions.length > limit;
+  const entries = sessions.slice(0, limit).map(formatSession);
+
+  return {
+    entries,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeSessionCursor(entries[entries.length - 1]) : null,
+    },
+  };
+}
+
+function formatTotals(row) {
+  return {
+    gamesPlayed: Number(row.games_played),
+    bestScore: Number(row.best_score),
+    averageScore: Math.round(Number(row.average_score)),
+    totalScore: Number(row.total_score),
+    firstPlayedAt: row.first_played_at.toISOString(),
+    lastPlayedAt: row.last_played_at.toISOString(),
+  };
+}
+
+/**
+ * Longest and current run of consecutive local days with at least one session
+ * @param {Date[]} days - Distinct days played, ascending, as UTC midnights
+ * @param {Date} today - Today's local day as a UTC midnight
+ * @returns {Object} - { current, longest, lastPlayedOn }
+ */
+function computeStreaks(days, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const day of days) {
+    run = previous && day.getTime() - previous.getTime() === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  // A streak stays current until a full local day passes without a game
+  const current = previous && today.getTime() - previous.getTime() <= DAY_MS ? run : 0;
+
+  return {
+    current,
+    longest,
+    lastPlayedOn: previous ? previous.toISOString().slice(0, 10) : null,
+  };
+}
+
+async function getStreaks(userId) {
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT ((timestamp AT TIME ZONE 'UTC') AT TIME ZONE ${LEADERBOARD_TIMEZONE})::date AS day
+    FROM game_sessions
+    WHERE user_id = ${userId}
+    ORDER BY day
+  `;
+
+  const { year, month, day } = getZonedParts(new Date(), LEADERBOARD_TIMEZONE);
+  return computeStreaks(rows.map((row) => row.day), new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * The player's final rank in each closed period of a window, newest first
+ * @param {number} userId
+ * @param {string} mode
+ * @param {string} window - daily, weekly or monthly
+ * @param {number} periods - Closed periods to look back over
+ * @returns {Promise<Array>}
+ */
+async function getRankHistory(userId, mode, window, periods) {
+  const rows = await prisma.$queryRaw`
+    SELECT l.period_start, p.period_end, l.rank, l.total_score
+    FROM leaderboard_periods p
+    INNER JOIN leaderboards l
+      ON l.time_window = p.time_window
+      AND l.period_start = p.period_start
+    WHERE p.time_window = ${window}
+      AND l.user_id = ${userId}
+      AND l.game_mode = ${mode}
+    ORDER BY p.period_start DESC
+    LIMIT ${periods}
+  `;
+
+  return rows.map((row) => ({
+    periodStart: row.period_start.toISOString(),
+    periodEnd: row.period_end.toISOString(),
+    rank: row.rank === null ? null : Number(row.rank),
+    totalScore: Number(row.total_score),
+  }));
+}
+
+/**
+ * Best, average and count of a player's games per mode, their daily play
+ * streaks and their rank at the close of recent periods
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Board of the rank history; 'all' by default
+ * @param {string} [options.window] - Window of the rank history; 'daily' by default
+ * @param {number} [options.periods]
+ * @returns {Promise<Object>}
+ */
+async function getPlayerStats(userId, { mode = ALL_MODES, window = 'daily', periods = 30 } = {}) {
+  const player = await findPlayer(userId);
+
+  try {
+    // A best in a lower-is-better mode is its lowest score; the overall row keeps the highest
+    const [byMode, streaks, rankHistory] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT
+          game_mode,
+          COUNT(*) AS games_played,
+          CASE WHEN ${modeMatches('game_mode', (rule) => rule.lowerIsBetter)} THEN MIN(score) ELSE MAX(score) END AS best_score,
+          AVG(score) AS average_score,
+          SUM(score) AS total_score,
+          MIN(timestamp) AS first_played_at,
+          MAX(timestamp) AS last_played_at
+        FROM game_sessions
+        WHERE user_id = ${userId}
+        GROUP BY ROLLUP (game_mode)
+        ORDER BY game_mode NULLS FIRST
+      `,
+      getStreaks(userId),
+      getRankHistory(userId, mode, window, periods),
+    ]);
+
+    // ROLLUP's grand total comes first with a null mode, and is there even without games
+    const [overall, ...modes] = byMode;
+
+    return {
+      userId: player.id,
+      username: player.username,
+      overall: Number(overall.games_played) > 0 ? formatTotals(overall) : null,
+      modes: modes.map((row) => ({ gameMode: row.game_mode, ...formatTotals(row) })),
+      streaks,
+      rankHistory: { mode, window, entries: rankHistory },
+    };
+
+  } catch (error) {
+    logger.error(`Failed to get stats for user ${userId}`, { error: error.message });
+    throw new AppError('Failed to retrieve player statistics', 500);
+  }
+}
+
+module.exports = {
+  getScoreHistory,
+  getPlayerStats,
+};
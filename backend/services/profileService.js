@@ -0,0 +1,199 @@
+const { getPrismaClient } = require('../config/database');
+const { getRedisClient, CACHE_KEYS } = require('../config/redis');
+const rankingService = require('./rankingService');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const prisma = getPrismaClient();
+const redis = getRedisClient();
+
+const PROFILE_FIELDS = {
+  id: true,
+  username: true,
+  avatarUrl: true,
+  country: true,
+  joinDate: true,
+  updatedAt: true,
+};
+
+function formatProfile(user) {
+  return {
+    userId: user.id,
+    username: user.username,
+    avatarUrl: user.avatarUrl,
+    country: user.country,
+    joinDate: user.joinDate.toISOString(),
+    updatedAt: user.updatedAt.toISOString(),
+  };
+}
+
+async function cacheProfile(profile) {
+  try {
+    await redis.hset(CACHE_KEYS.USER_PROFILES, profile.userId, JSON.stringify(profile));
+    await rankingService.setUsername(profile.userId, profile.username);
+  } catch (error) {
+    // Reads would keep serving the old profile, so drop it instead
+    logger.error('Failed to cache profile', { userId: profile.userId, error: error.message });
+    await redis.hdel(CACHE_KEYS.USER_PROFILES, profile.userId).catch(() => {});
+  }
+}
+
+/**
+ * @param {number[]} userIds
+ * @returns {Promise<Map<number, Object>>} - Players without a row are left out
+ */
+async function getProfiles(userIds) {
+  const profiles = new Map();
+  if (userIds.length === 0) return profiles;
+
+  const cached = await redis.hmget(CACHE_KEYS.USER_PROFILES, ...userIds);
+  const missing = [];
+  userIds.forEach((userId, index) => {
+    if (cached[index]) {
+      profiles.set(userId, JSON.parse(cached[index]));
+    } else {
+      missing.push(userId);
+    }
+  });
+
+  if (missing.length > 0) {
+    const users = await prisma.user.findMany({
+      where: { id: { in: missing } },
+      select: PROFILE_FIELDS,
+    });
+    // HSETNX so a fill read before a concurrent update cannot overwrite it
+    const pipeline = redis.pipeline();
+    for (const user of users) {
+      const profile = formatProfile(user);
+      profiles.set(user.id, profile);
+      pipeline.hsetnx(CACHE_KEYS.USER_PROFILES, user.id, JSON.stringify(profile));
+    }
+    if (users.length > 0) {
+      await pipeline.exec();
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Add each player's profile fields to board entries. The profile's username
+ * wins over the entry's, which may come from a cache older than a rename.
+ * @param {Object[]} entries - Entries with a userId
+ * @returns {Promise<Object[]>}
+ */
+async function withProfiles(entries) {
+  const profiles = await getProfiles([...new Set(entries.map((entry) => entry.userId))]);
+
+  return entries.map((entry) => {
+    const profile = profiles.get(entry.userId);
+    return {
+      ...entry,
+      username: profile?.username ?? entry.username,
+      avatarUrl: profile?.avatarUrl ?? null,
+      country: profile?.country ?? null,
+      joinDate: profile?.joinDate ?? null,
+    };
+  });
+}
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function getProfile(userId) {
+  const profile = (await getProfiles([userId])).get(userId);
+  if (!profile) {
+    throw new AppError('Player not found', 404);
+  }
+  return profile;
+}
+
+/**
+ * Reject a username another player holds, compared without case
+ * @param {string} username
+ * @param {number} userId - Player taking the name
+ */
+async function assertUsernameAvailable(username, userId) {
+  const [taken] = await prisma.$queryRaw`
+    SELECT id FROM users
+    WHERE LOWER(username) = LOWER(${username})
+      AND id <> ${userId}
+    LIMIT 1
+  `;
+  if (taken) {
+    throw new AppError('Username is already taken', 409);
+  }
+}
+
+/**
+ * @param {Object} profile - { userId, username, avatarUrl, country, joinDate }
+ * @returns {Promise<Object>}
+ */
+async function createProfile({ userId, username, avatarUrl = null, country = null, joinDate }) {
+  if (await prisma.user.findUnique({ where: { id: userId }, select: { id: true } })) {
+    throw new AppError('Player already exists', 409);
+  }
+  await assertUsernameAvailable(username, userId);
+
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: { id: userId, username, avatarUrl, country, ...(joinDate && { joinDate }) },
+      select: PROFILE_FIELDS,
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    // Lost a race: either a first submission created the player or the name was taken
+    const exists = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    throw new AppError(exists ? 'Player already exists' : 'Username is already taken', 409);
+  }
+
+  const profile = formatProfile(user);
+  await cacheProfile(profile);
+
+  logger.info(`Created profile for user ${userId}`, { username });
+  return profile;
+}
+
+/**
+ * @param {number} userId
+ * @param {Object} changes - Any of username, avatarUrl, country; null clears the last two
+ * @returns {Promise<Object>}
+ */
+async function updateProfile(userId, changes) {
+  if (changes.username) {
+    await assertUsernameAvailable(changes.username, userId);
+  }
+
+  let user;
+  try {
+    user = await prisma.user.update({
+      where: { id: userId },
+      data: changes,
+      select: PROFILE_FIELDS,
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new AppError('Player not found', 404);
+    }
+    if (error.code === 'P2002') {
+      throw new AppError('Username is already taken', 409);
+    }
+    throw error;
+  }
+
+  const profile = formatProfile(user);
+  await cacheProfile(profile);
+
+  logger.info(`Updated profile for user ${userId}`, { fields: Object.keys(changes) });
+  return profile;
+}
+
+module.exports = {
+  getProfiles,
+  withProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+};
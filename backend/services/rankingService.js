@@ -0,0 +1,698 @@
+const { getPrismaClient } = require('../config/database');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const { ALL_MODES } = require('../config/leaderboards');
+const { getScoreRule } = require('../config/scoring');
+const { getCurrentBoards } = require('../utils/boards');
+
+const prisma = getPrismaClient();
+const redis = getRedisClient();
+
+/**
+ * Live standings are kept in one Redis sorted set per board (member = encoded
+ * user id, score = total score). Postgres stays the source of truth: the sets
+ * are rebuilt from it and periodically verified against it. Sets order members
+ * by score alone, higher first, so boards whose score rule ranks otherwise are
+ * not kept in one and are read from Postgres.
+ */
+const RANKING_KEYS = {
+  BOARD: (boardKey) => `leaderboard:zset:v2:${boardKey}`,
+  READY: (boardKey) => `leaderboard:zset:v2:ready:${boardKey}`,
+  REBUILD: (boardKey) => `leaderboard:zset:v2:rebuild:${boardKey}`,
+  USERNAMES: 'leaderboard:usernames',
+};
+
+// Sorted sets order equal scores by member bytes, so ZREVRANGE would list tied
+// players by descending id string ("9" before "10"). Members hold the user id
+// subtracted from the largest id, zero-padded, which lists ties by ascending
+// user id like standingOrder does in Postgres; pages and cursors mixing both
+// stores then agree.
+const MAX_USER_ID = 2147483647;
+const MEMBER_WIDTH = String(MAX_USER_ID).length;
+
+function toMember(userId) {
+  return String(MAX_USER_ID - userId).padStart(MEMBER_WIDTH, '0');
+}
+
+function toUserId(member) {
+  return MAX_USER_ID - Number(member);
+}
+
+// Sets of finished periods are kept around for a while so archive views stay fast
+const PERIODIC_BOARD_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const SYNC_BATCH_SIZE = 10000;
+
+// Returns false when the board has not been built, otherwise
+// [score, number of players strictly ahead, total players]
+redis.defineCommand('leaderboardRank', {
+  numberOfKeys: 2,
+  lua: `
+    if redis.call('EXISTS', KEYS[2]) == 0 then
+      return false
+    end
+    local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+    if not score then
+      return { false, 0, redis.call('ZCARD', KEYS[1]) }
+    end
+    local ahead = redis.call('ZCOUNT', KEYS[1], '(' .. score, '+inf')
+    return { score, ahead, redis.call('ZCARD', KEYS[1]) }
+  `,
+});
+
+/**
+ * @param {Object} board
+ * @returns {boolean} - Whether the board is kept in a ranking set
+ */
+function tracksBoard(board) {
+  const rule = getScoreRule(board.mode);
+  return !rule.lowerIsBetter && !rule.earliestFirst;
+}
+
+function getExpiry(board) {
+  if (!board.periodEnd) return null;
+  return Math.ceil(board.periodEnd.getTime() / 1000) + PERIODIC_BOARD_RETENTION_SECONDS;
+}
+
+/**
+ * Give tied standings the same rank, matching RANK() in Postgres. Entries of
+ * boards breaking ties by the earliest achievement only tie on the same instant.
+ * @param {Array} entries - Sorted best first
+ * @param {number} offset - Position of the first entry in the board
+ * @param {number} firstRank - Rank of the first entry
+ * @returns {Array}
+ */
+function assignRanks(entries, offset, firstRank) {
+  let previous = null;
+  return entries.map((entry, index) => {
+    const rank = index === 0
+      ? firstRank
+      : entry.totalScore === previous.totalScore && entry.achievedAt === previous.achievedAt
+        ? previous.rank
+        : offset + index + 1;
+    previous = { ...entry, rank };
+    return previous;
+  });
+}
+
+function parseRange(flat) {
+  const entries = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    entries.push({ userId: toUserId(flat[i]), totalScore: Number(flat[i + 1]) });
+  }
+  return entries;
+}
+
+/**
+ * @param {number[]} userIds
+ * @returns {Promise<Map<number, string>>}
+ */
+async function getUsernames(userIds) {
+  const names = new Map();
+  if (userIds.length === 0) return names;
+
+  const cached = await redis.hmget(RANKING_KEYS.USERNAMES, ...userIds);
+  const missing = [];
+  userIds.forEach((userId, index) => {
+    if (cached[index]) {
+      names.set(userId, cached[index]);
+    } else {
+      missing.push(userId);
+    }
+  });
+
+  if (missing.length > 0) {
+    const users = await prisma.user.findMany({
+      where: { id: { in: missing } },
+      select: { id: true, username: true },
+    });
+    const fields = [];
+    for (const user of users) {
+      names.set(user.id, user.username);
+      fields.push(user.id, user.username);
+    }
+    if (fields.length > 0) {
+      await redis.hset(RANKING_KEYS.USERNAMES, ...fields);
+    }
+  }
+
+  return names;
+}
+
+async function withUsernames(entries) {
+  const names = await getUsernames(entries.map((entry) => entry.userId));
+  return entries.map((entry) => ({
+    userId: entry.userId,
+    username: names.get(entry.userId) ?? `user_${entry.userId}`,
+    totalScore: entry.totalScore,
+    rank: entry.rank,
+  }));
+}
+
+/**
+ * @param {Object} board
+ * @returns {Promise<boolean>}
+ */
+async function isBoardReady(board) {
+  if (!tracksBoard(board)) return false;
+  return (await redis.exists(RANKING_KEYS.READY(board.key))) === 1;
+}
+
+/**
+ * Apply a new session to every board it counts towards
+ * @param {Object[]} boards
+ * @param {number} userId
+ * @param {number} score
+ * @param {string} username
+ * @param {Object} entries - Standing per board key after the session, from incrementStandings
+ */
+async function applyScore(boards, userId, score, username, entries) {
+  await applyScores([{ boards, userId, score, username, entries }]);
+}
+
+/**
+ * Apply several new sessions in one round trip. Summed boards add the score;
+ * the others take the standing Postgres computed.
+ * @param {Object[]} sessions - { boards, userId, score, username, entries }
+ */
+async function applyScores(sessions) {
+  const pipeline = redis.pipeline();
+  for (const { boards, userId, score, username, entries } of sessions) {
+    for (const board of boards.filter(tracksBoard)) {
+      const key = RANKING_KEYS.BOARD(board.key);
+      const { aggregation } = getScoreRule(board.mode);
+      if (aggregation === 'sum') {
+        pipeline.zincrby(key, score, toMember(userId));
+      } else if (aggregation === 'average') {
+        pipeline.zadd(key, entries[board.key].totalScore, toMember(userId));
+      } else {
+        // Bests and top-K sums only grow on tracked boards, so a write landing late cannot lower them
+        pipeline.zadd(key, 'GT', entries[board.key].totalScore, toMember(userId));
+      }
+      const expireAt = getExpiry(board);
+      if (expireAt) {
+        pipeline.expireat(key, expireAt);
+      }
+    }
+    pipeline.hset(RANKING_KEYS.USERNAMES, userId, username);
+  }
+
+  const results = await pipeline.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+}
+
+/**
+ * Name shown for a player in ranking reads, e.g. after a rename
+ * @param {number} userId
+ * @param {string} username
+ */
+async function setUsername(userId, username) {
+  await redis.hset(RANKING_KEYS.USERNAMES, userId, username);
+}
+
+/**
+ * Overwrite a player's score on each board with a total recomputed in Postgres
+ * @param {Object[]} standings - { board, totalScore } per board
+ * @param {number} userId
+ * @param {string} username
+ */
+async function setStandings(standings, userId, username) {
+  const pipeline = redis.pipeline();
+  for (const { board, totalScore } of standings.filter((standing) => tracksBoard(standing.board))) {
+    const key = RANKING_KEYS.BOARD(board.key);
+    pipeline.zadd(key, totalScore, toMember(userId));
+    const expireAt = getExpiry(board);
+    if (expireAt) {
+      pipeline.expireat(key, expireAt);
+    }
+  }
+  pipeline.hset(RANKING_KEYS.USERNAMES, userId, username);
+
+  const results = await pipeline.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+}
+
+/**
+ * A slice of a board, or null when its set has not been built yet
+ * @param {Object} board
+ * @param {number} limit
+ * @param {number} [offset]
+ * @returns {Promise<Array|null>}
+ */
+async function getTopEntries(board, limit, offset = 0) {
+  if (!tracksBoard(board)) return null;
+
+  const key = RANKING_KEYS.BOARD(board.key);
+  const [[, ready], [, flat]] = await redis.pipeline()
+    .exists(RANKING_KEYS.READY(board.key))
+    .zrevrange(key, offset, offset + limit - 1, 'WITHSCORES')
+    .exec();
+
+  if (ready !== 1) return null;
+
+  const entries = parseRange(flat);
+  if (entries.length === 0) return [];
+
+  const ahead = offset === 0 ? 0 : await redis.zcount(key, `(${entries[0].totalScore}`, '+inf');
+  return withUsernames(assignRanks(entries, offset, ahead + 1));
+}
+
+/**
+ * Rank each score would have on a board, or null when its set has not been built yet
+ * @param {Object} board
+ * @param {number[]} scores
+ * @returns {Promise<Map<number, number>|null>}
+ */
+async function getRanksForScores(board, scores) {
+  if (!tracksBoard(board)) return null;
+
+  const key = RANKING_KEYS.BOARD(board.key);
+  const distinct = [...new Set(scores)];
+  const pipeline = redis.pipeline().exists(RANKING_KEYS.READY(board.key));
+  for (const score of distinct) {
+    pipeline.zcount(key, `(${score}`, '+inf');
+  }
+
+  const [[, ready], ...counts] = await pipeline.exec();
+  if (ready !== 1) return null;
+
+  return new Map(distinct.map((score, index) => [score, counts[index][1] + 1]));
+}
+
+/**
+ * Positions of several players on several boards in one round trip
+ * @param {Object[]} members - { board, userId }
+ * @returns {Promise<Array>} - 1-based position per member, null when not on the board
+ */
+async function getMemberRanks(members) {
+  if (members.length === 0) return [];
+
+  const tracked = members.filter(({ board }) => tracksBoard(board));
+  const pipeline = redis.pipeline();
+  for (const { board, userId } of tracked) {
+    pipeline.zrevrank(RANKING_KEYS.BOARD(board.key), toMember(userId));
+  }
+
+  const results = tracked.length > 0 ? await pipeline.exec() : [];
+  let next = 0;
+  return members.map(({ board }) => {
+    if (!tracksBoard(board)) return null;
+    const [error, rank] = results[next++];
+    return error || rank === null ? null : rank + 1;
+  });
+}
+
+/**
+ * A player's standing on a board, or null when its set has not been built yet
+ * @param {Object} board
+ * @param {number} userId
+ * @returns {Promise<Object|null>} - `found` is false when the player is not on the board
+ */
+async function getRankEntry(board, userId) {
+  if (!tracksBoard(board)) return null;
+
+  const result = await redis.leaderboardRank(
+    RANKING_KEYS.BOARD(board.key),
+    RANKING_KEYS.READY(board.key),
+    toMember(userId)
+  );
+
+  if (!result) return null;
+
+  const [score, ahead, total] = result;
+  if (!score) {
+    return { found: false, totalPlayers: Number(total) };
+  }
+
+  const names = await getUsernames([userId]);
+  return {
+    found: true,
+    userId,
+    username: names.get(userId) ?? `user_${userId}`,
+    totalScore: Number(score),
+    rank: Number(ahead) + 1,
+    totalPlayers: Number(total),
+  };
+}
+
+/**
+ * Players directly above and below a player, or null when the set is not built
+ * @param {Object} board
+ * @param {number} userId
+ * @param {number} radius
+ * @returns {Promise<Array|null>} - Empty when the player is not on the board
+ */
+async function getNeighborEntries(board, userId, radius) {
+  if (!tracksBoard(board)) return null;
+
+  const key = RANKING_KEYS.BOARD(board.key);
+  const [[, ready], [, position]] = await redis.pipeline()
+    .exists(RANKING_KEYS.READY(board.key))
+    .zrevrank(key, toMember(userId))
+    .exec();
+
+  if (ready !== 1) return null;
+  if (position === null) return [];
+
+  const start = Math.max(0, position - radius);
+  const entries = parseRange(await redis.zrevrange(key, start, position + radius, 'WITHSCORES'));
+  if (entries.length === 0) return [];
+
+  const ahead = await redis.zcount(key, `(${entries[0].totalScore}`, '+inf');
+  return withUsernames(assignRanks(entries, start, ahead + 1));
+}
+
+/**
+ * Where gains already applied to a board moved each player, or null when the
+ * set is not built. Previous standings are inferred from the gain, so gains
+ * landing at the same time can blur them, and boards not summing their
+ * sessions are left out.
+ * @param {Object} board
+ * @param {Object[]} gains - { userId, gained } with gained > 0
+ * @param {number} maxPassed - Players passed to return per gain, nearest first
+ * @returns {Promise<Array|null>} - { userId, username, totalScore, rank, previousRank, passed }
+ *   per player on the board; previousRank is null for players new to it
+ */
+async function getRankChanges(board, gains, maxPassed) {
+  if (!tracksBoard(board) || getScoreRule(board.mode).aggregation !== 'sum') return null;
+
+  const key = RANKING_KEYS.BOARD(board.key);
+  const pipeline = redis.pipeline().exists(RANKING_KEYS.READY(board.key));
+  for (const { userId } of gains) {
+    pipeline.zscore(key, toMember(userId));
+  }
+
+  const [[, ready], ...totals] = await pipeline.exec();
+  if (ready !== 1) return null;
+
+  const moves = [];
+  const lookups = redis.pipeline();
+  gains.forEach(({ userId, gained }, index) => {
+    const total = totals[index][1];
+    if (total === null) return;
+
+    const totalScore = Number(total);
+    const previousTotal = totalScore - gained;
+    moves.push({ userId, totalScore, isNew: previousTotal <= 0 });
+    lookups
+      .zcount(key, `(${totalScore}`, '+inf')
+      // Counts the player too, which stands in for the + 1 of their old rank
+      .zcount(key, `(${previousTotal}`, '+inf')
+      .zrevrangebyscore(key, `(${totalScore}`, `(${previousTotal}`, 'WITHSCORES', 'LIMIT', 0, maxPassed);
+  });
+  if (moves.length === 0) return [];
+
+  const results = await lookups.exec();
+  const passedRanks = redis.pipeline();
+  moves.forEach((move, index) => {
+    const [[, ahead], [, aheadBefore], [, passed]] = results.slice(index * 3, index * 3 + 3);
+    move.rank = ahead + 1;
+    move.previousRank = move.isNew ? null : aheadBefore;
+    move.passed = move.isNew ? [] : parseRange(passed);
+    for (const entry of move.passed) {
+      passedRanks.zcount(key, `(${entry.totalScore}`, '+inf');
+    }
+  });
+
+  const ranks = moves.some((move) => move.passed.length > 0) ? await passedRanks.exec() : [];
+  let next = 0;
+  for (const move of moves) {
+    for (const entry of move.passed) {
+      entry.rank = ranks[next++][1] + 1;
+    }
+  }
+
+  const names = await getUsernames(moves.map((move) => move.userId));
+  return moves.map(({ isNew, ...move }) => ({
+    ...move,
+    username: names.get(move.userId) ?? `user_${move.userId}`,
+  }));
+}
+
+/**
+ * Every board currently accepting scores: each known mode plus 'all' in the
+ * current period of each window and the running season
+ * @returns {Promise<Object[]>}
+ */
+async function getActiveBoards() {
+  // Loose index scan over the leading game_mode column of the board index
+  const rows = await prisma.$queryRaw`
+    WITH RECURSIVE modes AS (
+      (SELECT game_mode FROM leaderboards ORDER BY game_mode LIMIT 1)
+      UNION ALL
+      SELECT (
+        SELECT l.game_mode FROM leaderboards l
+        WHERE l.game_mode > modes.game_mode
+        ORDER BY l.game_mode
+        LIMIT 1
+      )
+      FROM modes
+      WHERE modes.game_mode IS NOT NULL
+    )
+    SELECT game_mode FROM modes WHERE game_mode IS NOT NULL
+  `;
+
+  const modes = new Set([ALL_MODES, ...rows.map((row) => row.game_mode)]);
+  return [...modes].flatMap((mode) => getCurrentBoards(mode));
+}
+
+/**
+ * Walk a board's rows in Postgres in user id order
+ * @param {Object} board
+ * @param {Function} onBatch - Receives [{ userId, totalScore, username }]
+ */
+async function forEachStoredBatch(board, onBatch) {
+  let lastUserId = 0;
+  for (;;) {
+    const rows = await prisma.$queryRaw`
+      SELECT l.user_id, l.total_score, u.username
+      FROM leaderboards l
+      INNER JOIN users u ON l.user_id = u.id
+      WHERE l.game_mode = ${board.mode}
+        AND l.time_window = ${board.window}
+        AND l.period_start = ${board.periodStart}
+        AND l.user_id > ${lastUserId}
+      ORDER BY l.user_id
+      LIMIT ${SYNC_BATCH_SIZE}
+    `;
+    if (rows.length === 0) return;
+
+    await onBatch(rows.map((row) => ({
+      userId: Number(row.user_id),
+      totalScore: Number(row.total_score),
+      username: row.username,
+    })));
+    lastUserId = Number(rows[rows.length - 1].user_id);
+  }
+}
+
+/**
+ * Load a board's set from Postgres into a scratch key and swap it in atomically.
+ * Scores applied to the live set while loading are lost with it, so the swapped
+ * set is then checked against Postgres and repaired.
+ * @param {Object} board
+ * @returns {Promise<Object>}
+ */
+async function rebuildBoard(board) {
+  const scratchKey = RANKING_KEYS.REBUILD(board.key);
+  const key = RANKING_KEYS.BOARD(board.key);
+  const startedAt = Date.now();
+  let players = 0;
+
+  await redis.del(scratchKey);
+  await forEachStoredBatch(board, async (rows) => {
+    const members = [];
+    const names = [];
+    for (const row of rows) {
+      members.push(row.totalScore, toMember(row.userId));
+      names.push(row.userId, row.username);
+    }
+    await redis.pipeline()
+      .zadd(scratchKey, ...members)
+      .hset(RANKING_KEYS.USERNAMES, ...names)
+      .exec();
+    players += rows.length;
+  });
+
+  const swap = redis.multi();
+  if (players > 0) {
+    swap.rename(scratchKey, key);
+  } else {
+    swap.del(key);
+  }
+  swap.set(RANKING_KEYS.READY(board.key), new Date().toISOString());
+
+  const expireAt = getExpiry(board);
+  if (expireAt) {
+    swap.expireat(key, expireAt);
+    swap.expireat(RANKING_KEYS.READY(board.key), expireAt);
+  }
+  await swap.exec();
+
+  const { repaired } = await verifyBoard(board, { repair: true });
+
+  logger.info(`Rebuilt ranking set for board ${board.key}`, {
+    players,
+    repaired,
+    duration: `${Date.now() - startedAt}ms`,
+  });
+  return { board: board.key, players, repaired };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyMissing] - Skip boards whose set is already built
+ * @returns {Promise<Array>}
+ */
+async function rebuildAllBoards({ onlyMissing = false } = {}) {
+  const results = [];
+  for (const board of (await getActiveBoards()).filter(tracksBoard)) {
+    if (onlyMissing && await isBoardReady(board)) continue;
+    results.push(await rebuildBoard(board));
+  }
+  return results;
+}
+
+/**
+ * Overwrite members with their stored totals. Both stores are read again first
+ * so a submission landing mid-check is not rolled back by a stale value.
+ * @param {Object} board
+ * @param {number[]} userIds
+ * @returns {Promise<number>} - Members repaired
+ */
+async function repairMembers(board, userIds) {
+  const key = RANKING_KEYS.BOARD(board.key);
+  const stored = await prisma.leaderboards.findMany({
+    where: {
+      userId: { in: userIds },
+      gameMode: board.mode,
+      timeWindow: board.window,
+      periodStart: board.periodStart,
+    },
+    select: { userId: true, totalScore: true },
+  });
+  const scores = await redis.zmscore(key, ...stored.map((row) => toMember(row.userId)));
+
+  const fixes = [];
+  stored.forEach((row, index) => {
+    if (scores[index] === null || Number(scores[index]) !== row.totalScore) {
+      fixes.push(row.totalScore, toMember(row.userId));
+    }
+  });
+  if (fixes.length > 0) {
+    await redis.zadd(key, ...fixes);
+  }
+  return fixes.length / 2;
+}
+
+/**
+ * Compare a board's set with Postgres and optionally repair the differences
+ * @param {Object} board
+ * @param {Object} [options]
+ * @param {boolean} [options.repair]
+ * @returns {Promise<Object>}
+ */
+async function verifyBoard(board, { repair = false } = {}) {
+  const key = RANKING_KEYS.BOARD(board.key);
+  const report = {
+    board: board.key,
+    checked: 0,
+    missing: 0,
+    mismatched: 0,
+    extra: 0,
+    repaired: 0,
+  };
+
+  await forEachStoredBatch(board, async (rows) => {
+    const scores = await redis.zmscore(key, ...rows.map((row) => toMember(row.userId)));
+    const drifted = [];
+    rows.forEach((row, index) => {
+      report.checked++;
+      if (scores[index] === null) {
+        report.missing++;
+      } else if (Number(scores[index]) !== row.totalScore) {
+        report.mismatched++;
+      } else {
+        return;
+      }
+      drifted.push(row.userId);
+    });
+    if (repair && drifted.length > 0) {
+      report.repaired += await repairMembers(board, drifted);
+    }
+  });
+
+  // Members present in Redis but not in Postgres
+  let cursor = '0';
+  do {
+    const [nextCursor, flat] = await redis.zscan(key, cursor, 'COUNT', 1000);
+    cursor = nextCursor;
+    const userIds = parseRange(flat).map((entry) => entry.userId);
+    if (userIds.length === 0) continue;
+
+    const stored = await prisma.leaderboards.findMany({
+      where: {
+        userId: { in: userIds },
+        gameMode: board.mode,
+        timeWindow: board.window,
+        periodStart: board.periodStart,
+      },
+      select: { userId: true },
+    });
+    const storedIds = new Set(stored.map((row) => row.userId));
+    const extras = userIds.filter((userId) => !storedIds.has(userId));
+    report.extra += extras.length;
+    if (repair && extras.length > 0) {
+      await redis.zrem(key, ...extras.map(toMember));
+      report.repaired += extras.length;
+    }
+  } while (cursor !== '0');
+
+  const drifted = report.missing + report.mismatched + report.extra;
+  if (drifted > 0) {
+    logger.warn(`Ranking set drift detected for board ${board.key}`, report);
+  }
+  return report;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.repair]
+ * @returns {Promise<Array>}
+ */
+async function verifyAllBoards({ repair = false } = {}) {
+  const reports = [];
+  for (const board of (await getActiveBoards()).filter(tracksBoard)) {
+    if (!await isBoardReady(board)) continue;
+    reports.push(await verifyBoard(board, { repair }));
+  }
+  return reports;
+}
+
+module.exports = {
+  RANKING_KEYS,
+  tracksBoard,
+  assignRanks,
+  applyScore,
+  applyScores,
+  setUsername,
+  setStandings,
+  getTopEntries,
+  getRanksForScores,
+  getRankEntry,
+  getMemberRanks,
+  getNeighborEntries,
+  getRankChanges,
+  isBoardReady,
+  getActiveBoards,
+  rebuildBoard,
+  rebuildAllBoards,
+  verifyBoard,
+  verifyAllBoards,
+};
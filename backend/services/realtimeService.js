@@ -0,0 +1,328 @@
+const rankingService = require('./rankingService');
+const liveTopService = require('./liveTopService');
+const notificationService = require('./notificationService');
+const { getTopPlayers } = require('./leaderboardService');
+const logger = require('../config/logger');
+const { SCOPES } = require('../config/auth');
+const { BOARD_WINDOWS } = require('../config/leaderboards');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticatePlayer } = require('../middleware/auth');
+const {
+  getDefaultWindow,
+  resolveBoard,
+  getSubmissionBoards,
+  isCurrentBoard,
+} = require('../utils/boards');
+const { socketSubscriptionSchema, topSnapshotSchema } = require('../utils/validation');
+
+// Rooms a socket can join; boards always mean their current period
+const ROOMS = {
+  BOARD: (mode, window) => `board:${mode}:${window}`,
+  TOP: (mode, window, limit) => `top:${mode}:${window}:${limit}`,
+  PLAYER: (userId) => `player:${userId}`,
+};
+
+const MAX_SUBSCRIPTIONS_PER_SOCKET = 20;
+
+let io = null;
+
+function roomFor(subscription) {
+  switch (subscription.type) {
+    case 'board':
+      return ROOMS.BOARD(subscription.mode, subscription.window);
+    case 'top':
+      return ROOMS.TOP(subscription.mode, subscription.window, subscription.limit);
+    default:
+      return ROOMS.PLAYER(subscription.userId);
+  }
+}
+
+function toReply(ack) {
+  return typeof ack === 'function' ? ack : () => {};
+}
+
+function invalidPayload(error, message) {
+  return {
+    success: false,
+    error: message,
+    details: error.errors.map((err) => ({ field: err.path.join('.'), message: err.message })),
+  };
+}
+
+/**
+ * Join or leave the room a subscription names, answering through the ack
+ * callback with { success, room } or { success: false, error }
+ */
+function changeSubscription(socket, payload, ack, action) {
+  const reply = toReply(ack);
+
+  const parsed = socketSubscriptionSchema.safeParse(payload);
+  if (!parsed.success) {
+    return reply(invalidPayload(parsed.error, 'Invalid subscription'));
+  }
+
+  const subscription = parsed.data;
+  const room = roomFor(subscription);
+
+  if (action === 'leave') {
+    socket.leave(room);
+    return reply({ success: true, room });
+  }
+
+  // Player rooms carry rank changes, which the REST API only shows with the read
+  // scope and only to the player concerned
+  if (subscription.type === 'player') {
+    if (!socket.data.auth?.scopes.includes(SCOPES.READ)) {
+      return reply({ success: false, error: `Missing required scope: ${SCOPES.READ}` });
+    }
+    if (subscription.userId !== socket.data.auth.userId) {
+      return reply({ success: false, error: 'Players can only subscribe to their own room' });
+    }
+  }
+  // socket.rooms includes the socket's own room
+  if (!socket.rooms.has(room) && socket.rooms.size > MAX_SUBSCRIPTIONS_PER_SOCKET) {
+    return reply({ success: false, error: `At most ${MAX_SUBSCRIPTIONS_PER_SOCKET} subscriptions per connection` });
+  }
+
+  socket.join(room);
+  reply({ success: true, room });
+}
+
+/**
+ * Answer a leaderboard:snapshot request with the current top and its version,
+ * which later diffs build on
+ */
+async function sendTopSnapshot(payload, ack) {
+  const reply = toReply(ack);
+
+  const parsed = topSnapshotSchema.safeParse(payload ?? {});
+  if (!parsed.success) {
+    return reply(invalidPayload(parsed.error, 'Invalid snapshot request'));
+  }
+
+  const { mode, window, limit } = parsed.data;
+  try {
+    const board = resolveBoard({ mode, window });
+    const top = await liveTopService.syncTop(board);
+    if (!top) {
+      return reply({ success: false, error: 'Live leaderboard is not available yet' });
+    }
+    // Changes this sync found reach the other subscribers too
+    emitTopDiffs(board, top);
+
+    reply({
+      success: true,
+      data: {
+        mode: board.mode,
+        window: board.window,
+        limit,
+        version: { epoch: top.epoch, seq: top.sequences[limit] },
+        entries: top.entries.slice(0, limit),
+        periodEnd: board.periodEnd ? board.periodEnd.toISOString() : null,
+      },
+    });
+  } catch (error) {
+    // e.g. the season window while no season runs
+    if (error instanceof AppError) {
+      return reply({ success: false, error: error.message });
+    }
+    logger.error('Failed to send leaderboard snapshot', { error: error.message });
+    reply({ success: false, error: 'Failed to fetch leaderboard' });
+  }
+}
+
+function handleConnection(socket) {
+  logger.info(`Client connected: ${socket.id}`);
+
+  socket.on('disconnect', () => {
+    logger.info(`Client disconnected: ${socket.id}`);
+  });
+
+  socket.on('subscribe', (payload, ack) => changeSubscription(socket, payload, ack, 'join'));
+  socket.on('unsubscribe', (payload, ack) => changeSubscription(socket, payload, ack, 'leave'));
+  socket.on('leaderboard:snapshot', sendTopSnapshot);
+
+  socket.on('leaderboard:request', async (payload = {}) => {
+    try {
+      const mode = typeof payload?.mode === 'string' ? payload.mode : undefined;
+      const window = BOARD_WINDOWS.includes(payload?.window) ? payload.window : getDefaultWindow();
+      const topPlayers = await getTopPlayers(10, resolveBoard({ mode, window }));
+      socket.emit('leaderboard:data', topPlayers);
+    } catch (error) {
+      logger.error('Failed to send leaderboard data', error);
+      socket.emit('leaderboard:error', { message: 'Failed to fetch leaderboard' });
+    }
+  });
+}
+
+/**
+ * Take over the Socket.IO server: authenticate handshakes and handle subscriptions.
+ * A handshake may carry a player token as `auth.token`; without one the socket
+ * is anonymous and can only follow boards.
+ * @param {Object} server - Socket.IO Server
+ */
+function attachSocketServer(server) {
+  io = server;
+
+  io.use((socket, next) => {
+    socket.data.auth = null;
+    const token = socket.handshake.auth?.token;
+    if (!token) return next();
+
+    try {
+      socket.data.auth = authenticatePlayer(token);
+      next();
+    } catch (error) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  io.on('connection', handleConnection);
+}
+
+/**
+ * Send each top-N room whose top changed the diff from its previous version
+ * @param {Object} board
+ * @param {Object} top - Result of liveTopService.syncTop
+ */
+function emitTopDiffs(board, top) {
+  const timestamp = new Date().toISOString();
+
+  for (const { limit, seq, ...changes } of top.diffs) {
+    io.to(ROOMS.TOP(board.mode, board.window, limit)).emit('leaderboard:diff', {
+      mode: board.mode,
+      window: board.window,
+      limit,
+      version: { epoch: top.epoch, seq },
+      ...changes,
+      timestamp,
+    });
+  }
+}
+
+/**
+ * Bring the live tops of boards up to date and push what changed
+ * @param {Object[]} boards - Boards of any period; finished ones are skipped
+ */
+async function publishTopDiffs(boards) {
+  if (!io) return;
+
+  const seen = new Set();
+  for (const board of boards) {
+    if (seen.has(board.key) || !isCurrentBoard(board)) continue;
+    seen.add(board.key);
+
+    try {
+      const top = await liveTopService.syncTop(board);
+      if (top) emitTopDiffs(board, top);
+    } catch (error) {
+      logger.warn('Could not publish leaderboard diff', { board: board.key, error: error.message });
+    }
+  }
+}
+
+/**
+ * Record the rank changes new scores caused and tell each player concerned
+ * through their room
+ * @param {Object[]} scores - { userId, score, gameMode, playedAt }
+ */
+async function publishRankChanges(scores) {
+  try {
+    const notifications = await notificationService.recordRankChanges(scores);
+    for (const notification of notifications) {
+      io.to(ROOMS.PLAYER(notification.userId)).emit('rank:changed', notification);
+    }
+  } catch (error) {
+    logger.warn('Could not publish rank changes', { error: error.message });
+  }
+}
+
+/**
+ * Rooms interested in a set of new scores (each player's room and the current
+ * boards they count towards) and the boards whose live top they may change
+ * @param {Object[]} scores - { userId, gameMode, playedAt }
+ * @returns {Promise<Object>} - { rooms, topBoards }
+ */
+async function targetsForScores(scores) {
+  const rooms = new Set();
+  const members = [];
+
+  for (const { userId, gameMode, playedAt } of scores) {
+    rooms.add(ROOMS.PLAYER(userId));
+    for (const board of getSubmissionBoards(gameMode, playedAt)) {
+      // A score approved after its period closed only reaches the player
+      if (!isCurrentBoard(board)) continue;
+      rooms.add(ROOMS.BOARD(board.mode, board.window));
+      members.push({ board, userId });
+    }
+  }
+
+  let ranks;
+  try {
+    ranks = await rankingService.getMemberRanks(members);
+  } catch (error) {
+    logger.warn('Could not rank broadcast scores', { error: error.message });
+    ranks = members.map(() => null);
+  }
+
+  // Without a position the score may well be in the top
+  const topBoards = members
+    .filter((member, index) => ranks[index] === null || ranks[index] <= liveTopService.TRACKED_SIZE)
+    .map(({ board }) => board);
+
+  return { rooms, topBoards };
+}
+
+/**
+ * Tell the rooms interested in new scores about them, in one event per socket,
+ * push diffs to the top-N rooms whose top changed and notify players whose
+ * rank changed
+ * @param {Object[]} scores - { userId, score, gameMode, playedAt }
+ */
+async function broadcastScores(scores) {
+  if (!io || scores.length === 0) return;
+
+  const { rooms, topBoards } = await targetsForScores(scores);
+  const timestamp = new Date().toISOString();
+
+  // Batches send a summary; clients refetch instead of applying each score
+  const payload = scores.length === 1
+    ? { userId: scores[0].userId, score: scores[0].score, gameMode: scores[0].gameMode, timestamp }
+    : { batch: true, count: scores.length, gameModes: [...new Set(scores.map((score) => score.gameMode))], timestamp };
+
+  io.to([...rooms]).emit('leaderboard:updated', payload);
+  logger.debug('Real-time leaderboard update emitted', { rooms: rooms.size });
+
+  await publishTopDiffs(topBoards);
+  await publishRankChanges(scores);
+}
+
+/**
+ * Broadcast the scores a submission or batch recorded; replays and
+ * quarantined or failed items are skipped
+ * @param {Object[]} outcomes - { result } or { error } per submission
+ */
+async function broadcastOutcomes(outcomes) {
+  const scores = outcomes
+    .filter(({ result }) => result?.status === 'accepted' && !result.replayed)
+    .map(({ result }) => ({
+      userId: result.userId,
+      score: result.score,
+      gameMode: result.gameMode,
+      playedAt: new Date(result.submittedAt),
+    }));
+
+  try {
+    await broadcastScores(scores);
+  } catch (error) {
+    logger.error('Failed to broadcast scores', { error: error.message });
+  }
+}
+
+module.exports = {
+  ROOMS,
+  attachSocketServer,
+  broadcastScores,
+  broadcastOutcomes,
+  publishTopDiffs,
+};
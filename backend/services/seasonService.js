@@ -0,0 +1,347 @@
+const { getPrismaClient } = require('../config/database');
+const { invalidateLeaderboardCache } = require('../config/redis');
+const { addRankRecalculationJob, addSeasonJob } = require('../config/queues');
+const rankingService = require('./rankingService');
+const { archivePeriod } = require('./leaderboardService');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { SEASON_WINDOW } = require('../config/leaderboards');
+const { SEASON_REFRESH_SECONDS } = require('../config/seasons');
+const { resolveBoard } = require('../utils/boards');
+const { modeMatches } = require('../utils/scoreRules');
+const { setSeasonSchedule } = require('../utils/seasons');
+
+const prisma = getPrismaClient();
+
+let refreshTimer = null;
+
+function getStatus(season, now) {
+  if (season.archivedAt) return 'archived';
+  if (season.endsAt <= now) return 'ended';
+  if (season.startsAt <= now) return 'active';
+  return 'scheduled';
+}
+
+function formatSeason(season, now = new Date()) {
+  return {
+    id: season.id,
+    name: season.name,
+    status: getStatus(season, now),
+    startsAt: season.startsAt.toISOString(),
+    endsAt: season.endsAt.toISOString(),
+    carryOverPercent: season.carryOverPercent,
+    archivedAt: season.archivedAt?.toISOString() ?? null,
+    playerCount: season.playerCount,
+  };
+}
+
+/**
+ * Reload this process's copy of the season schedule
+ * @returns {Promise<number>} - Seasons known
+ */
+async function refreshSeasonSchedule() {
+  const seasons = await prisma.season.findMany({
+    select: { id: true, name: true, startsAt: true, endsAt: true },
+  });
+  setSeasonSchedule(seasons);
+  return seasons.length;
+}
+
+/**
+ * Load the schedule and keep reloading it, so seasons created or changed
+ * through another instance are picked up
+ */
+async function startSeasonRefresh() {
+  await refreshSeasonSchedule();
+
+  refreshTimer = setInterval(() => {
+    refreshSeasonSchedule().catch((error) => {
+      logger.error('Failed to refresh season schedule', { error: error.message });
+    });
+  }, SEASON_REFRESH_SECONDS * 1000);
+  refreshTimer.unref();
+}
+
+function stopSeasonRefresh() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+/**
+ * Serialize schedule changes for the rest of the transaction
+ * @param {Object} tx - Prisma transaction client
+ */
+async function lockSeasons(tx) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('seasons'))`;
+}
+
+async function assertNoOverlap(tx, startsAt, endsAt, seasonId) {
+  const overlapping = await tx.season.findFirst({
+    where: {
+      startsAt: { lt: endsAt },
+      endsAt: { gt: startsAt },
+      ...(seasonId && { id: { not: seasonId } }),
+    },
+    select: { name: true },
+  });
+  if (overlapping) {
+    throw new AppError(`Season overlaps ${overlapping.name}`, 409);
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} - Newest first
+ */
+async function listSeasons({ limit = 20 } = {}) {
+  const seasons = await prisma.season.findMany({
+    orderBy: { startsAt: 'desc' },
+    take: limit,
+  });
+  const now = new Date();
+  return seasons.map((season) => formatSeason(season, now));
+}
+
+/**
+ * @param {number} seasonId
+ * @returns {Promise<Object>}
+ */
+async function getSeason(seasonId) {
+  const season = await prisma.season.findUnique({ where: { id: seasonId } });
+  if (!season) {
+    throw new AppError('Season not found', 404);
+  }
+  return formatSeason(season);
+}
+
+/**
+ * @returns {Promise<Object>}
+ */
+async function getCurrentSeason() {
+  const now = new Date();
+  const season = await prisma.season.findFirst({
+    where: { startsAt: { lte: now }, endsAt: { gt: now } },
+  });
+  if (!season) {
+    throw new AppError('No season is running', 404);
+  }
+  return formatSeason(season, now);
+}
+
+/**
+ * Schedule a season; it starts right away when no start is given
+ * @param {Object} season - { name, startsAt, endsAt, carryOverPercent }
+ * @returns {Promise<Object>}
+ */
+async function createSeason({ name, startsAt, endsAt, carryOverPercent = 0 }) {
+  const now = new Date();
+  // Scores already submitted would be missing from a season starting in the past
+  if (startsAt && startsAt < now) {
+    throw new AppError('A season cannot start in the past', 400);
+  }
+  startsAt = startsAt ?? now;
+
+  const season = await prisma.$transaction(async (tx) => {
+    await lockSeasons(tx);
+    await assertNoOverlap(tx, startsAt, endsAt);
+    return tx.season.create({
+      data: { name, startsAt, endsAt, carryOverPercent },
+    });
+  });
+
+  await refreshSeasonSchedule();
+  if (season.startsAt <= new Date()) {
+    await addSeasonJob();
+  }
+
+  logger.info(`Created season ${season.id}`, { name, startsAt, endsAt, carryOverPercent });
+  return formatSeason(season);
+}
+
+/**
+ * Move a season's start or end to now
+ * @param {number} seasonId
+ * @param {string} edge - 'start' or 'end'
+ * @returns {Promise<Object>}
+ */
+async function moveSeasonEdge(seasonId, edge) {
+  const season = await prisma.$transaction(async (tx) => {
+    await lockSeasons(tx);
+    const now = new Date();
+
+    const current = await tx.season.findUnique({ where: { id: seasonId } });
+    if (!current) {
+      throw new AppError('Season not found', 404);
+    }
+
+    if (edge === 'start') {
+      if (current.startsAt <= now) {
+        throw new AppError('Season has already started', 409);
+      }
+      await assertNoOverlap(tx, now, current.endsAt, seasonId);
+      return tx.season.update({ where: { id: seasonId }, data: { startsAt: now } });
+    }
+
+    if (current.startsAt > now) {
+      throw new AppError('Season has not started', 409);
+    }
+    if (current.endsAt <= now) {
+      throw new AppError('Season has already ended', 409);
+    }
+    return tx.season.update({ where: { id: seasonId }, data: { endsAt: now } });
+  });
+
+  await refreshSeasonSchedule();
+  // Applies the soft reset or archives the season without waiting for the schedule
+  await addSeasonJob();
+
+  logger.info(`Season ${seasonId} ${edge === 'start' ? 'started' : 'ended'} early`);
+  return formatSeason(season);
+}
+
+/**
+ * @param {number} seasonId
+ * @returns {Promise<Object>}
+ */
+async function startSeason(seasonId) {
+  return moveSeasonEdge(seasonId, 'start');
+}
+
+/**
+ * @param {number} seasonId
+ * @returns {Promise<Object>}
+ */
+async function endSeason(seasonId) {
+  return moveSeasonEdge(seasonId, 'end');
+}
+
+/**
+ * Apply a started season's soft reset: every player starts with the season's
+ * carry-over percentage of their totals in the season before, added to
+ * anything they scored since it started. Only boards summing their sessions
+ * carry over; a best or an average is earned anew.
+ * @param {Object} season
+ * @returns {Promise<number|null>} - Rows carried over, or null when already applied
+ */
+async function openSeason(season) {
+  const previous = await prisma.season.findFirst({
+    where: { endsAt: { lte: season.startsAt } },
+    orderBy: { endsAt: 'desc' },
+  });
+
+  const carried = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.season.updateMany({
+      where: { id: season.id, startedAt: null },
+      data: { startedAt: new Date() },
+    });
+    if (count === 0) return null;
+    if (!previous || season.carryOverPercent === 0) return 0;
+
+    return tx.$executeRaw`
+      INSERT INTO leaderboards (user_id, game_mode, time_window, period_start, total_score, carried_score)
+      SELECT user_id, game_mode, time_window, ${season.startsAt}, carried, carried
+      FROM (
+        SELECT user_id, game_mode, time_window, FLOOR(total_score * ${season.carryOverPercent} / 100.0)::int AS carried
+        FROM leaderboards
+        WHERE time_window = ${SEASON_WINDOW}
+          AND period_start = ${previous.startsAt}
+          AND ${modeMatches('game_mode', (rule) => rule.aggregation === 'sum')}
+      ) AS previous
+      WHERE carried > 0
+      ON CONFLICT (user_id, game_mode, time_window, period_start)
+      DO UPDATE SET
+        total_score = leaderboards.total_score + EXCLUDED.carried_score,
+        carried_score = leaderboards.carried_score + EXCLUDED.carried_score
+    `;
+  }, {
+    timeout: 120000,
+  });
+
+  if (carried > 0) {
+    const modes = await prisma.leaderboards.findMany({
+      where: { timeWindow: SEASON_WINDOW, periodStart: season.startsAt },
+      distinct: ['gameMode'],
+      select: { gameMode: true },
+    });
+    for (const { gameMode } of modes) {
+      const board = resolveBoard({ mode: gameMode, window: SEASON_WINDOW, season: season.id });
+      if (rankingService.tracksBoard(board)) {
+        await rankingService.rebuildBoard(board);
+      }
+    }
+    await invalidateLeaderboardCache();
+    if (process.env.RANK_RECALCULATION_ENABLED === 'true') {
+      await addRankRecalculationJob({ fullRecalculation: true });
+    }
+  }
+
+  if (carried !== null) {
+    logger.info(`Season ${season.id} started`, { previousSeason: previous?.id ?? null, carried });
+  }
+  return carried;
+}
+
+/**
+ * Freeze an ended season's final ranks and mark it archived
+ * @param {Object} season
+ * @returns {Promise<Object>}
+ */
+async function closeSeason(season) {
+  // A run that archived the period but failed before marking the season resumes here
+  const period = await prisma.leaderboardPeriod.findUnique({
+    where: { timeWindow_periodStart: { timeWindow: SEASON_WINDOW, periodStart: season.startsAt } },
+  }) ?? await archivePeriod(SEASON_WINDOW, season.startsAt, season.endsAt);
+
+  const archived = await prisma.season.update({
+    where: { id: season.id },
+    data: { archivedAt: period.closedAt, playerCount: period.playerCount },
+  });
+
+  logger.info(`Season ${season.id} archived`, { playerCount: period.playerCount });
+  return archived;
+}
+
+/**
+ * Start seasons whose start has passed and archive the ones that ended
+ * @returns {Promise<Object>} - { started, archived } season ids
+ */
+async function advanceSeasons() {
+  await refreshSeasonSchedule();
+  const now = new Date();
+
+  // Started before archived, so a season that began and ended unnoticed still gets its soft reset
+  const starting = await prisma.season.findMany({
+    where: { startsAt: { lte: now }, startedAt: null },
+    orderBy: { startsAt: 'asc' },
+  });
+  const started = [];
+  for (const season of starting) {
+    if (await openSeason(season) !== null) started.push(season.id);
+  }
+
+  const ending = await prisma.season.findMany({
+    where: { endsAt: { lte: now }, archivedAt: null },
+    orderBy: { endsAt: 'asc' },
+  });
+  const archived = [];
+  for (const season of ending) {
+    await closeSeason(season);
+    archived.push(season.id);
+  }
+
+  return { started, archived };
+}
+
+module.exports = {
+  refreshSeasonSchedule,
+  startSeasonRefresh,
+  stopSeasonRefresh,
+  listSeasons,
+  getSeason,
+  getCurrentSeason,
+  createSeason,
+  startSeason,
+  endSeason,
+  advanceSeasons,
+};
@@ -0,0 +1,222 @@
+const { getPrismaClient } = require('../config/database');
+const rankingService = require('./rankingService');
+const profileService = require('./profileService');
+const logger = require('../config/logger');
+const {
+  RANK_SNAPSHOT_DEPTH,
+  RANK_SNAPSHOT_RETENTION_DAYS,
+  RANK_CHANGE_HORIZONS,
+} = require('../config/snapshots');
+const { getScoreRule } = require('../config/scoring');
+const { isCurrentBoard } = require('../utils/boards');
+const { standingOrder, rankOrder } = require('../utils/scoreRules');
+
+const prisma = getPrismaClient();
+
+// Which snapshots a board's changes are measured against is looked up at most
+// this often per process; snapshots are taken far less often
+const REFERENCE_TTL_MS = 60 * 1000;
+
+// Snapshots never change once taken, so their rank maps are kept per process
+const MAX_CACHED_SNAPSHOTS = 32;
+
+const referenceCache = new Map();
+const snapshotCache = new Map();
+
+/**
+ * Record the top of one board
+ * @param {Object} board
+ * @param {Date} takenAt
+ * @returns {Promise<Object|null>} - The snapshot, or null for an empty board
+ */
+async function takeSnapshot(board, takenAt) {
+  const rule = getScoreRule(board.mode);
+  const rows = await prisma.$queryRaw`
+    SELECT l.user_id, RANK() OVER (ORDER BY ${rankOrder(rule)}) AS rank
+    FROM leaderboards l
+    WHERE l.game_mode = ${board.mode}
+      AND l.time_window = ${board.window}
+      AND l.period_start = ${board.periodStart}
+    ORDER BY ${standingOrder(rule)}
+    LIMIT ${RANK_SNAPSHOT_DEPTH}
+  `;
+  if (rows.length === 0) return null;
+
+  const playerCount = await prisma.leaderboards.count({
+    where: { gameMode: board.mode, timeWindow: board.window, periodStart: board.periodStart },
+  });
+
+  return prisma.rankSnapshot.create({
+    data: {
+      gameMode: board.mode,
+      timeWindow: board.window,
+      periodStart: board.periodStart,
+      takenAt,
+      playerCount,
+      userIds: rows.map((row) => Number(row.user_id)),
+      ranks: rows.map((row) => Number(row.rank)),
+    },
+    select: { id: true },
+  });
+}
+
+/**
+ * Snapshot every current board and drop snapshots past their retention
+ * @returns {Promise<Object>} - { boards, pruned }
+ */
+async function takeSnapshots() {
+  const takenAt = new Date();
+  const boards = await rankingService.getActiveBoards();
+
+  let taken = 0;
+  for (const board of boards) {
+    if (await takeSnapshot(board, takenAt)) taken++;
+  }
+
+  const { count: pruned } = await prisma.rankSnapshot.deleteMany({
+    where: { takenAt: { lt: new Date(takenAt.getTime() - RANK_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000) } },
+  });
+
+  logger.info('Rank snapshots taken', { boards: taken, pruned });
+  return { boards: taken, pruned };
+}
+
+/**
+ * The snapshots of a board's current period that changes are measured
+ * against: the latest one and the latest one before each horizon
+ * @param {Object} board
+ * @returns {Promise<Object>} - Label ('latest' or a horizon) -> { id, takenAt }
+ */
+async function getReferenceSnapshots(board) {
+  const cached = referenceCache.get(board.key);
+  if (cached && cached.expiresAt > Date.now()) return cached.references;
+
+  const now = Date.now();
+  const labels = [['latest', now], ...Object.entries(RANK_CHANGE_HORIZONS).map(([label, ms]) => [label, now - ms])];
+
+  const found = await Promise.all(labels.map(([, before]) => prisma.rankSnapshot.findFirst({
+    where: {
+      gameMode: board.mode,
+      timeWindow: board.window,
+      periodStart: board.periodStart,
+      takenAt: { lte: new Date(before) },
+    },
+    orderBy: { takenAt: 'desc' },
+    select: { id: true, takenAt: true },
+  })));
+
+  const references = Object.fromEntries(labels.map(([label], index) => [label, found[index]]));
+  referenceCache.set(board.key, { references, expiresAt: now + REFERENCE_TTL_MS });
+  return references;
+}
+
+/**
+ * @param {number[]} ids
+ * @returns {Promise<Map<number, Map<number, number>>>} - Snapshot id -> (user id -> rank)
+ */
+async function loadSnapshots(ids) {
+  const missing = ids.filter((id) => !snapshotCache.has(id));
+
+  if (missing.length > 0) {
+    const snapshots = await prisma.rankSnapshot.findMany({
+      where: { id: { in: missing } },
+      select: { id: true, userIds: true, ranks: true },
+    });
+    for (const snapshot of snapshots) {
+      snapshotCache.set(snapshot.id, new Map(snapshot.userIds.map((userId, index) => [userId, snapshot.ranks[index]])));
+      if (snapshotCache.size > MAX_CACHED_SNAPSHOTS) {
+        snapshotCache.delete(snapshotCache.keys().next().value);
+      }
+    }
+  }
+
+  return new Map(ids.map((id) => [id, snapshotCache.get(id) ?? new Map()]));
+}
+
+function emptyRankChange() {
+  return Object.fromEntries(['sinceSnapshot', ...Object.keys(RANK_CHANGE_HORIZONS).map((label) => `since${label}`)]
+    .map((field) => [field, null]));
+}
+
+/**
+ * Add how far each entry's rank moved since the latest snapshot and since
+ * each horizon: positive when the player climbed, null when they were not in
+ * that snapshot's top or the board has no snapshot that old in this period.
+ * Archived boards get null changes; failures here never fail the read.
+ * @param {Object} board
+ * @param {Object[]} entries - Entries with userId and rank
+ * @returns {Promise<Object[]>}
+ */
+async function withRankChanges(board, entries) {
+  const unchanged = () => entries.map((entry) => ({ ...entry, rankChange: emptyRankChange() }));
+  if (entries.length === 0 || !isCurrentBoard(board)) return unchanged();
+
+  try {
+    const references = await getReferenceSnapshots(board);
+    const ids = [...new Set(Object.values(references).filter(Boolean).map((snapshot) => snapshot.id))];
+    if (ids.length === 0) return unchanged();
+
+    const snapshots = await loadSnapshots(ids);
+    const rankIn = (label, userId) => {
+      const reference = references[label];
+      return reference ? snapshots.get(reference.id).get(userId) : undefined;
+    };
+    const change = (label, entry) => {
+      const previous = rankIn(label, entry.userId);
+      return previous === undefined ? null : previous - entry.rank;
+    };
+
+    return entries.map((entry) => ({
+      ...entry,
+      rankChange: {
+        sinceSnapshot: change('latest', entry),
+        ...Object.fromEntries(Object.keys(RANK_CHANGE_HORIZONS).map((label) => [`since${label}`, change(label, entry)])),
+      },
+    }));
+
+  } catch (error) {
+    logger.warn('Could not compute rank changes', { board: board.key, error: error.message });
+    return unchanged();
+  }
+}
+
+/**
+ * Players of a current board that climbed the most between the snapshot
+ * before a horizon and the latest one
+ * @param {Object} board
+ * @param {string} horizon - Key of RANK_CHANGE_HORIZONS
+ * @param {number} limit
+ * @returns {Promise<Object>} - { from, to, entries }
+ */
+async function getTopClimbers(board, horizon, limit) {
+  const references = await getReferenceSnapshots(board);
+  const latest = references.latest;
+  const earlier = references[horizon];
+  if (!latest || !earlier || latest.id === earlier.id) {
+    return { from: null, to: latest?.takenAt.toISOString() ?? null, entries: [] };
+  }
+
+  const snapshots = await loadSnapshots([latest.id, earlier.id]);
+  const before = snapshots.get(earlier.id);
+
+  const climbers = [];
+  for (const [userId, rank] of snapshots.get(latest.id)) {
+    const previousRank = before.get(userId);
+    if (previousRank !== undefined && previousRank > rank) {
+      climbers.push({ userId, rank, previousRank, change: previousRank - rank });
+    }
+  }
+  climbers.sort((a, b) => b.change - a.change || a.rank - b.rank);
+
+  return {
+    from: earlier.takenAt.toISOString(),
+    to: latest.takenAt.toISOString(),
+    entries: await profileService.withProfiles(climbers.slice(0, limit)),
+  };
+}
+
+module.exports = {
+  takeSnapshots,
+  withRankChanges,
+  getTopClimbers,
+};
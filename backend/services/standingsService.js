@@ -0,0 +1,613 @@
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../config/database');
+const {
+  getRedisClient,
+  CACHE_KEYS,
+  invalidateLeaderboardCache,
+  invalidateUserCache,
+} = require('../config/redis');
+const rankingService = require('./rankingService');
+const logger = require('../config/logger');
+const { ALL_MODES } = require('../config/leaderboards');
+const {
+  DEFAULT_SCORE_RULE,
+  getScoreRule,
+  getModesWhere,
+  countsTowardCombined,
+  describeScoreRules,
+} = require('../config/scoring');
+const { rankOrder, modeMatches } = require('../utils/scoreRules');
+const { boardKey, getCurrentBoards } = require('../utils/boards');
+const { addRankRecalculationJob, addReconciliationJob } = require('../config/queues');
+
+const prisma = getPrismaClient();
+
+const RECONCILE_BATCH_SIZE = 1000;
+
+const LATEST = Prisma.sql`MAX(timestamp)`;
+const LATEST_CHANGE = Prisma.sql`MAX(timestamp) FILTER (WHERE score <> 0)`;
+
+/**
+ * Fold a new session into a player's row on every board it counts towards.
+ * Sums and bests take one upsert per submission: cost does not grow with the
+ * player's history, and concurrent submissions serialize on the row locks
+ * instead of overwriting. Averages and top-K sums are recomputed from the
+ * sessions, so the new session must already be written in the transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} userId
+ * @param {Object[]} boards
+ * @param {number} score
+ * @param {Date} playedAt
+ * @returns {Promise<Object>} - Standing per board key
+ */
+async function incrementStandings(tx, userId, boards, score, playedAt) {
+  // Modes without a rule share the default one, so usually one upsert covers every board
+  const byRule = new Map();
+  for (const board of boards) {
+    const rule = getScoreRule(board.mode);
+    byRule.set(rule, [...(byRule.get(rule) || []), board]);
+  }
+
+  const entries = {};
+  for (const [rule, ruleBoards] of byRule) {
+    const incremental = rule.aggregation === 'sum' || rule.aggregation === 'best';
+    Object.assign(entries, incremental
+      ? await upsertStandings(tx, userId, ruleBoards, score, playedAt, rule)
+      : await refreshStandings(tx, userId, ruleBoards));
+  }
+  return entries;
+}
+
+async function upsertStandings(tx, userId, boards, score, playedAt, rule) {
+  let merged = Prisma.sql`leaderboards.total_score + EXCLUDED.total_score`;
+  if (rule.aggregation === 'best') {
+    merged = Prisma.sql`${Prisma.raw(rule.lowerIsBetter ? 'LEAST' : 'GREATEST')}(leaderboards.total_score, EXCLUDED.total_score)`;
+  }
+
+  // A session that leaves the total as it was does not count as reaching it
+  const rows = await tx.$queryRaw`
+    INSERT INTO leaderboards (user_id, game_mode, time_window, period_start, total_score, achieved_at)
+    VALUES ${Prisma.join(boards.map((board) => (
+      Prisma.sql`(${userId}, ${board.mode}, ${board.window}, ${board.periodStart}, ${score}, ${playedAt})`
+    )))}
+    ON CONFLICT (user_id, game_mode, time_window, period_start)
+    DO UPDATE SET
+      total_score = ${merged},
+      achieved_at = CASE
+        WHEN ${merged} = leaderboards.total_score THEN leaderboards.achieved_at
+        ELSE EXCLUDED.achieved_at
+      END
+    RETURNING game_mode, time_window, total_score
+  `;
+
+  // A submission touches each (mode, window) pair exactly once
+  const totals = new Map(rows.map((row) => [`${row.game_mode}:${row.time_window}`, Number(row.total_score)]));
+
+  const entries = {};
+  for (const board of boards) {
+    entries[board.key] = { userId, totalScore: totals.get(`${board.mode}:${board.window}`) };
+  }
+  return entries;
+}
+
+/**
+ * The sessions a rule counts and how it combines them: top K and best (the
+ * top 1) take the best sessions, earliest first among equal scores; average
+ * takes the latest ones; sum takes them all. The standing was reached with the
+ * latest counted session, leaving out sessions that added nothing to a sum.
+ * @param {Object} rule
+ * @returns {Object} - { order, limit, total, reachedAt } SQL fragments
+ */
+function sessionPick(rule) {
+  const best = Prisma.raw(`score ${rule.lowerIsBetter ? 'ASC' : 'DESC'}, timestamp ASC, id ASC`);
+  switch (rule.aggregation) {
+    case 'best':
+      return { order: Prisma.sql`ORDER BY ${best}`, limit: Prisma.sql`LIMIT 1`, total: Prisma.sql`SUM(score)`, reachedAt: LATEST };
+    case 'top':
+      return { order: Prisma.sql`ORDER BY ${best}`, limit: Prisma.sql`LIMIT ${rule.count}`, total: Prisma.sql`SUM(score)`, reachedAt: LATEST };
+    case 'average':
+      return {
+        order: Prisma.sql`ORDER BY timestamp DESC, id DESC`,
+        limit: Prisma.sql`LIMIT ${rule.count}`,
+        total: Prisma.sql`ROUND(AVG(score))::int`,
+        reachedAt: LATEST,
+      };
+    default:
+      return { order: Prisma.empty, limit: Prisma.empty, total: Prisma.sql`SUM(score)`, reachedAt: LATEST_CHANGE };
+  }
+}
+
+/**
+ * Recompute a player's standing on one board from their sessions and store it.
+ * On a lower-is-better board a player left without sessions has no standing,
+ * as an empty total would rank first; their row is removed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} userId
+ * @param {Object} board
+ * @returns {Promise<Object|null>} - The stored row, or null when removed
+ */
+async function refreshStanding(tx, userId, board) {
+  const rule = getScoreRule(board.mode);
+  const pick = sessionPick(rule);
+
+  const boardEntry = {
+    userId,
+    gameMode: board.mode,
+    timeWindow: board.window,
+    periodStart: board.periodStart,
+  };
+
+  const [aggregate] = await tx.$queryRaw`
+    SELECT COUNT(*) AS sessions, ${pick.total} AS total_score, ${pick.reachedAt} AS achieved_at
+    FROM (
+      SELECT score, timestamp
+      FROM game_sessions
+      WHERE user_id = ${userId}
+        AND ${board.mode !== ALL_MODES
+          ? Prisma.sql`game_mode = ${board.mode}`
+          : modeMatches('game_mode', countsTowardCombined)}
+        ${board.window !== 'alltime'
+          ? Prisma.sql`AND timestamp >= ${board.periodStart} AND timestamp < ${board.periodEnd}`
+          : Prisma.empty}
+      ${pick.order}
+      ${pick.limit}
+    ) AS counted
+  `;
+  const current = await tx.leaderboards.findUnique({
+    where: { boardEntry },
+    select: { carriedScore: true, achievedAt: true },
+  });
+
+  // What a soft reset carried into the season is not in its sessions; only sums carry over
+  const carriedScore = rule.aggregation === 'sum' ? current?.carriedScore ?? 0 : 0;
+
+  if (rule.lowerIsBetter && Number(aggregate.sessions) === 0 && carriedScore === 0) {
+    await tx.leaderboards.deleteMany({ where: boardEntry });
+    return null;
+  }
+
+  const totalScore = Number(aggregate.total_score ?? 0) + carriedScore;
+  const achievedAt = aggregate.achieved_at ?? current?.achievedAt ?? new Date();
+
+  return tx.leaderboards.upsert({
+    where: { boardEntry },
+    update: {
+      totalScore,
+      achievedAt,
+    },
+    create: {
+      userId,
+      gameMode: board.mode,
+      timeWindow: board.window,
+      periodStart: board.periodStart,
+      totalScore,
+      achievedAt,
+    },
+  });
+}
+
+/**
+ * Recompute a player's totals on several boards from their sessions. The rows
+ * are locked first, so a submission committing meanwhile is either counted by
+ * the aggregate or applies its increment after this write, never lost.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} userId
+ * @param {Object[]} boards
+ * @returns {Promise<Object>} - Standing per board key; null where refreshStanding removed the row
+ */
+async function refreshStandings(tx, userId, boards) {
+  const tuples = boards.map((board) => (
+    Prisma.sql`(${userId}::int, ${board.mode}, ${board.window}, ${board.periodStart}::timestamp(3))`
+  ));
+
+  await tx.$executeRaw`
+    INSERT INTO leaderboards (user_id, game_mode, time_window, period_start, total_score)
+    SELECT user_id, game_mode, time_window, period_start, 0
+    FROM (VALUES ${Prisma.join(tuples)}) AS boards(user_id, game_mode, time_window, period_start)
+    ON CONFLICT (user_id, game_mode, time_window, period_start) DO NOTHING
+  `;
+  await tx.$queryRaw`
+    SELECT id FROM leaderboards
+    WHERE (user_id, game_mode, time_window, period_start) IN (${Prisma.join(tuples)})
+    FOR UPDATE
+  `;
+
+  const entries = {};
+  for (const board of boards) {
+    entries[board.key] = await refreshStanding(tx, userId, board);
+  }
+  return entries;
+}
+
+/**
+ * Mirror recomputed standings into the ranking sets and drop cached pages
+ * @param {number} userId
+ * @param {string} username
+ * @param {Object[]} boards
+ * @param {Object} entries - Standing per board key, from refreshStandings
+ */
+async function publishStandings(userId, username, boards, entries) {
+  const boardKeys = boards.map((board) => board.key);
+
+  try {
+    await rankingService.setStandings(
+      boards
+        .filter((board) => entries[board.key])
+        .map((board) => ({ board, totalScore: entries[board.key].totalScore })),
+      userId,
+      username
+    );
+  } catch (error) {
+    logger.error('Failed to update ranking sets', { userId, error: error.message });
+  }
+
+  await Promise.allSettled([
+    invalidateLeaderboardCache(boardKeys),
+    invalidateUserCache(userId),
+  ]);
+
+  await queueRankUpdate(userId);
+}
+
+/**
+ * Ask the rank worker to bring a player's stored ranks up to date
+ * @param {number} userId
+ */
+async function queueRankUpdate(userId) {
+  if (process.env.RANK_RECALCULATION_ENABLED !== 'true') return;
+
+  try {
+    await addRankRecalculationJob({ userId, incremental: true });
+  } catch (error) {
+    // The next submission or full recalculation catches the ranks up
+    logger.error('Failed to queue rank update', { userId, error: error.message });
+  }
+}
+
+/**
+ * Serialize every writer of the stored rank column for the rest of the transaction
+ * @param {Object} tx - Prisma transaction client
+ */
+async function lockRanks(tx) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('leaderboards.rank'))`;
+}
+
+/**
+ * Move one player's row on a board from the score it was last ranked at to its
+ * current total. Stored ranks are all relative to ranked_score, so only the
+ * rows whose ranked_score lies between the two scores shift by one place.
+ * Boards breaking ties by the earliest achievement are re-ranked whole, as
+ * ranked_score does not say when each tied total was reached.
+ * @param {number} leaderboardId
+ * @returns {Promise<boolean>} - Whether the row needed updating
+ */
+async function applyRankChange(leaderboardId) {
+  return prisma.$transaction(async (tx) => {
+    await lockRanks(tx);
+
+    const [row] = await tx.$queryRaw`
+      SELECT id, game_mode, time_window, period_start, total_score, ranked_score
+      FROM leaderboards
+      WHERE id = ${leaderboardId}
+    `;
+    if (!row || row.ranked_score === row.total_score) return false;
+
+    const rule = getScoreRule(row.game_mode);
+    if (rule.earliestFirst) {
+      await tx.$executeRaw`
+        UPDATE leaderboards
+        SET rank = ranked.rank, ranked_score = ranked.total_score
+        FROM (
+          SELECT l.id, l.total_score, RANK() OVER (ORDER BY ${rankOrder(rule)}) as rank
+          FROM leaderboards l
+          WHERE l.game_mode = ${row.game_mode}
+            AND l.time_window = ${row.time_window}
+            AND l.period_start = ${row.period_start}
+        ) AS ranked
+        WHERE leaderboards.id = ranked.id
+      `;
+      return true;
+    }
+
+    const newScore = Number(row.total_score);
+    const oldScore = row.ranked_score === null ? null : Number(row.ranked_score);
+    const board = Prisma.sql`
+      game_mode = ${row.game_mode}
+      AND time_window = ${row.time_window}
+      AND period_start = ${row.period_start}
+      AND id <> ${row.id}
+    `;
+    // Comparisons from the point of view of the board's order
+    const [beats, trails, atLeast] = (rule.lowerIsBetter ? ['<', '>', '<='] : ['>', '<', '>=']).map(Prisma.raw);
+    const improved = rule.lowerIsBetter ? newScore < oldScore : newScore > oldScore;
+
+    if (oldScore === null) {
+      // First time this row is ranked: everyone it beats drops a place
+      await tx.$executeRaw`
+        UPDATE leaderboards SET rank = rank + 1
+        WHERE ${board} AND ranked_score ${trails} ${newScore}
+      `;
+    } else if (improved) {
+      await tx.$executeRaw`
+        UPDATE leaderboards SET rank = rank + 1
+        WHERE ${board} AND ranked_score ${atLeast} ${oldScore} AND ranked_score ${trails} ${newScore}
+      `;
+    } else {
+      await tx.$executeRaw`
+        UPDATE leaderboards SET rank = rank - 1
+        WHERE ${board} AND ranked_score ${atLeast} ${newScore} AND ranked_score ${trails} ${oldScore}
+      `;
+    }
+
+    await tx.$executeRaw`
+      UPDATE leaderboards
+      SET ranked_score = ${newScore},
+        rank = 1 + (SELECT COUNT(*) FROM leaderboards WHERE ${board} AND ranked_score ${beats} ${newScore})
+      WHERE id = ${row.id}
+    `;
+    return true;
+  }, {
+    timeout: 30000,
+  });
+}
+
+/**
+ * Bring the stored ranks on a player's current boards in line with their totals.
+ * Each board commits separately so a submission waiting on one of the shifted
+ * rows never holds a lock this update needs next.
+ * @param {number} userId
+ * @returns {Promise<number>} - Number of boards updated
+ */
+async function updateStoredRanks(userId) {
+  // Closed periods keep the ranks frozen when they were archived
+  const currentPeriods = getCurrentBoards(ALL_MODES).map((board) => (
+    Prisma.sql`(${board.window}, ${board.periodStart}::timestamp(3))`
+  ));
+
+  const rows = await prisma.$queryRaw`
+    SELECT id FROM leaderboards
+    WHERE user_id = ${userId}
+      AND (time_window, period_start) IN (${Prisma.join(currentPeriods)})
+      AND ranked_score IS DISTINCT FROM total_score
+  `;
+
+  let updated = 0;
+  for (const row of rows) {
+    if (await applyRankChange(row.id)) updated++;
+  }
+  return updated;
+}
+
+/**
+ * What a rule makes of the sessions of one group of findDrift's expected totals
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function expectedTotal(rule) {
+  const best = rule.lowerIsBetter ? 'lowest' : 'highest';
+  switch (rule.aggregation) {
+    case 'best':
+      return Prisma.raw(rule.lowerIsBetter ? 'MIN(score)' : 'MAX(score)');
+    case 'top':
+      return Prisma.sql`SUM(score) FILTER (WHERE ${Prisma.raw(best)} <= ${rule.count})`;
+    case 'average':
+      return Prisma.sql`ROUND(AVG(score) FILTER (WHERE recency <= ${rule.count}))::int`;
+    default:
+      return Prisma.sql`SUM(score)`;
+  }
+}
+
+/**
+ * When the sessions of one group of findDrift reached the standing, as sessionPick has it
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function expectedReachedAt(rule) {
+  const best = Prisma.raw(rule.lowerIsBetter ? 'lowest' : 'highest');
+  switch (rule.aggregation) {
+    case 'best':
+      return Prisma.sql`MAX(timestamp) FILTER (WHERE ${best} = 1)`;
+    case 'top':
+      return Prisma.sql`MAX(timestamp) FILTER (WHERE ${best} <= ${rule.count})`;
+    case 'average':
+      return Prisma.sql`MAX(timestamp) FILTER (WHERE recency <= ${rule.count})`;
+    default:
+      return LATEST_CHANGE;
+  }
+}
+
+/**
+ * Stored totals on current boards that differ from a re-aggregation of the
+ * sessions under each mode's score rule, plus what a soft reset carried over,
+ * for players with ids in [firstUserId, lastUserId]. Where ties go to whoever
+ * got there first, a standing reached at another time than the sessions say drifted too.
+ * @returns {Promise<Array>}
+ */
+async function findDrift(boards, firstUserId, lastUserId) {
+  // All-time rows count every session; the end bound is unused for them
+  const windows = boards.map((board) => (
+    Prisma.sql`(${board.window}, ${board.periodStart}::timestamp(3), ${board.periodEnd ?? board.periodStart}::timestamp(3))`
+  ));
+
+  const rules = getModesWhere(() => true).map((mode) => [mode, getScoreRule(mode)]);
+  const total = rules.length === 0 ? expectedTotal(DEFAULT_SCORE_RULE) : Prisma.sql`
+    CASE game_mode
+      ${Prisma.join(rules.map(([mode, rule]) => Prisma.sql`WHEN ${mode} THEN ${expectedTotal(rule)}`), ' ')}
+      ELSE ${expectedTotal(DEFAULT_SCORE_RULE)}
+    END
+  `;
+  const earliest = rules.filter(([, rule]) => rule.earliestFirst);
+  const reachedAt = earliest.length === 0 ? Prisma.sql`NULL::timestamp(3)` : Prisma.sql`
+    CASE game_mode
+      ${Prisma.join(earliest.map(([mode, rule]) => Prisma.sql`WHEN ${mode} THEN ${expectedReachedAt(rule)}`), ' ')}
+    END
+  `;
+  // Positions of each session among the player's on the board, for the rules counting only some
+  const positions = rules.some(([, rule]) => rule.count || rule.earliestFirst) ? Prisma.sql`,
+    ROW_NUMBER() OVER (PARTITION BY s.user_id, modes.game_mode, w.time_window ORDER BY s.timestamp DESC, s.id DESC) as recency,
+    ROW_NUMBER() OVER (PARTITION BY s.user_id, modes.game_mode, w.time_window ORDER BY s.score DESC, s.timestamp, s.id) as highest,
+    ROW_NUMBER() OVER (PARTITION BY s.user_id, modes.game_mode, w.time_window ORDER BY s.score ASC, s.timestamp, s.id) as lowest
+  ` : Prisma.empty;
+
+  const rows = await prisma.$queryRaw`
+    WITH windows(time_window, period_start, period_end) AS (
+      VALUES ${Prisma.join(windows)}
+    ),
+    counted AS (
+      SELECT s.user_id, modes.game_mode, w.time_window, w.period_start, s.score, s.timestamp ${positions}
+      FROM game_sessions s
+      CROSS JOIN LATERAL (VALUES (s.game_mode), (${ALL_MODES})) AS modes(game_mode)
+      JOIN windows w
+        ON w.time_window = 'alltime'
+        OR (s.timestamp >= w.period_start AND s.timestamp < w.period_end)
+      WHERE s.user_id BETWEEN ${firstUserId} AND ${lastUserId}
+        AND (modes.game_mode <> ${ALL_MODES} OR ${modeMatches('s.game_mode', countsTowardCombined)})
+    ),
+    expected AS (
+      SELECT user_id, game_mode, time_window, period_start, ${total} as total_score, ${reachedAt} as achieved_at
+      FROM counted
+      GROUP BY user_id, game_mode, time_window, period_start
+    ),
+    stored AS (
+      SELECT
+        l.user_id, l.game_mode, l.time_window, l.period_start, l.total_score, l.achieved_at,
+        CASE WHEN ${modeMatches('l.game_mode', (rule) => rule.aggregation === 'sum')} THEN l.carried_score ELSE 0 END as carried_score
+      FROM leaderboards l
+      JOIN windows w ON w.time_window = l.time_window AND w.period_start = l.period_start
+      WHERE l.user_id BETWEEN ${firstUserId} AND ${lastUserId}
+    )
+    SELECT
+      COALESCE(e.user_id, st.user_id) as user_id,
+      COALESCE(e.game_mode, st.game_mode) as game_mode,
+      COALESCE(e.time_window, st.time_window) as time_window,
+      st.total_score as stored,
+      COALESCE(e.total_score, 0) + COALESCE(st.carried_score, 0) as expected,
+      st.achieved_at as stored_achieved_at,
+      e.achieved_at as expected_achieved_at
+    FROM expected e
+    FULL OUTER JOIN stored st
+      ON st.user_id = e.user_id
+      AND st.game_mode = e.game_mode
+      AND st.time_window = e.time_window
+      AND st.period_start = e.period_start
+    WHERE COALESCE(st.total_score, 0) <> COALESCE(e.total_score, 0) + COALESCE(st.carried_score, 0)
+      OR (e.achieved_at IS NOT NULL AND st.achieved_at IS DISTINCT FROM e.achieved_at)
+  `;
+
+  return rows.map((row) => ({
+    userId: Number(row.user_id),
+    gameMode: row.game_mode,
+    window: row.time_window,
+    stored: row.stored === null ? null : Number(row.stored),
+    expected: Number(row.expected),
+    ...(row.expected_achieved_at && {
+      storedAchievedAt: row.stored_achieved_at?.toISOString() ?? null,
+      expectedAchievedAt: row.expected_achieved_at.toISOString(),
+    }),
+  }));
+}
+
+async function repairPlayer(userId, drifted, windowBoards) {
+  // Reuse the periods the drift was measured in, even if one rolled over since
+  const boards = drifted.map(({ gameMode, window }) => {
+    const board = { ...windowBoards.find((candidate) => candidate.window === window), mode: gameMode };
+    return { ...board, key: boardKey(board) };
+  });
+
+  const entries = await prisma.$transaction(
+    (tx) => refreshStandings(tx, userId, boards),
+    { isolationLevel: 'ReadCommitted', timeout: 30000 }
+  );
+
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { username: true } });
+  await publishStandings(userId, user?.username ?? `user_${userId}`, boards, entries);
+}
+
+/**
+ * Compare every stored total on the current boards with a full re-aggregation
+ * of the sessions, and optionally rewrite the ones that drifted
+ * @param {Object} [options]
+ * @param {boolean} [options.repair]
+ * @returns {Promise<Object>} - { checkedPlayers, drifted, repaired, samples }
+ */
+async function reconcileTotals({ repair = false } = {}) {
+  const boards = getCurrentBoards(ALL_MODES);
+  const report = { checkedPlayers: 0, drifted: 0, repaired: 0, samples: [] };
+  let cursor = 0;
+
+  logger.info('Starting total reconciliation', { repair });
+
+  while (true) {
+    const users = await prisma.user.findMany({
+      where: { id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: RECONCILE_BATCH_SIZE,
+      select: { id: true },
+    });
+    if (users.length === 0) break;
+
+    const firstUserId = users[0].id;
+    const lastUserId = users[users.length - 1].id;
+    cursor = lastUserId;
+    report.checkedPlayers += users.length;
+
+    const drift = await findDrift(boards, firstUserId, lastUserId);
+    if (drift.length === 0) continue;
+
+    report.drifted += drift.length;
+    report.samples.push(...drift.slice(0, Math.max(0, 20 - report.samples.length)));
+
+    if (!repair) continue;
+
+    const byUser = new Map();
+    for (const row of drift) {
+      byUser.set(row.userId, [...(byUser.get(row.userId) || []), row]);
+    }
+    for (const [userId, rows] of byUser) {
+      try {
+        await repairPlayer(userId, rows, boards);
+        report.repaired += rows.length;
+      } catch (error) {
+        logger.error(`Failed to repair totals for user ${userId}`, { error: error.message });
+      }
+    }
+  }
+
+  const log = report.drifted > 0 ? logger.warn.bind(logger) : logger.info.bind(logger);
+  log('Total reconciliation completed', {
+    checkedPlayers: report.checkedPlayers,
+    drifted: report.drifted,
+    repaired: report.repaired,
+  });
+
+  return report;
+}
+
+/**
+ * Queue a repairing reconciliation when the score rules differ from those the
+ * stored standings were last reconciled under. Rows written before a change
+ * keep the old rule's totals and times until then.
+ * @returns {Promise<boolean>} - Whether a reconciliation was queued
+ */
+async function reconcileOnRuleChange() {
+  const redis = getRedisClient();
+  const rules = describeScoreRules();
+  const previous = await redis.get(CACHE_KEYS.SCORE_RULES);
+  if (previous === rules) return false;
+
+  logger.info('Score rules changed, reconciling current standings', { previous, rules });
+  await addReconciliationJob({ repair: true });
+  await redis.set(CACHE_KEYS.SCORE_RULES, rules);
+  return true;
+}
+
+module.exports = {
+  incrementStandings,
+  refreshStandings,
+  publishStandings,
+  queueRankUpdate,
+  lockRanks,
+  updateStoredRanks,
+  reconcileTotals,
+  reconcileOnRuleChange,
+};
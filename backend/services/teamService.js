@@ -0,0 +1,382 @@
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../config/database');
+const {
+  CACHE_KEYS,
+  CACHE_TTL,
+  getTeamBoardGeneration,
+  getOrLoad,
+  invalidateTeamCache,
+} = require('../config/redis');
+const profileService = require('./profileService');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { TEAM_MAX_MEMBERS, TEAM_SCORE_RULE, TEAM_TOP_K } = require('../config/teams');
+const { getScoreRule } = require('../config/scoring');
+const { resolveBoard } = require('../utils/boards');
+const { standingOrder, rankOrder, ranksAhead } = require('../utils/scoreRules');
+
+const prisma = getPrismaClient();
+
+function formatTeam(team) {
+  return {
+    teamId: team.id,
+    name: team.name,
+    createdAt: team.createdAt.toISOString(),
+  };
+}
+
+function formatStanding(row) {
+  return {
+    teamId: Number(row.team_id),
+    name: row.name,
+    teamScore: Number(row.team_score),
+    memberCount: Number(row.member_count),
+    rank: Number(row.rank),
+  };
+}
+
+/**
+ * Every member with their total on the board. Members without an entry score 0,
+ * except where lower standings rank first: 0 would beat everyone, so theirs is null.
+ * @param {Object} board
+ * @param {Object} rule - The board's score rule
+ * @returns {Object} - SQL selecting team_id, user_id, joined_at, ranked_user_id, total_score and achieved_at
+ */
+function memberStandings(board, rule) {
+  return Prisma.sql`
+    SELECT
+      m.team_id,
+      m.user_id,
+      m.joined_at,
+      l.user_id AS ranked_user_id,
+      ${rule.lowerIsBetter ? Prisma.sql`l.total_score` : Prisma.sql`COALESCE(l.total_score, 0)`} AS total_score,
+      l.achieved_at
+    FROM team_members m
+    LEFT JOIN leaderboards l
+      ON l.user_id = m.user_id
+      AND l.game_mode = ${board.mode}
+      AND l.time_window = ${board.window}
+      AND l.period_start = ${board.periodStart}
+  `;
+}
+
+/**
+ * Score of every team with at least one member on the board, ordered like
+ * player standings under the board's rule. Members without an entry count as 0,
+ * which only matters for the average, and are left out where lower ranks first.
+ * A team reached its score when the last member counted towards it reached theirs.
+ * @param {Object} board
+ * @param {Object} rule - The board's score rule
+ * @returns {Object} - SQL selecting team_id, total_score, achieved_at and member_count
+ */
+function teamScores(board, rule) {
+  const teamScore = {
+    sum: Prisma.sql`SUM(total_score)`,
+    average: Prisma.sql`ROUND(AVG(total_score), 2)`,
+    top: Prisma.sql`SUM(total_score) FILTER (WHERE position <= ${TEAM_TOP_K})`,
+  }[TEAM_SCORE_RULE];
+  const reachedAt = TEAM_SCORE_RULE === 'top'
+    ? Prisma.sql`MAX(achieved_at) FILTER (WHERE position <= ${TEAM_TOP_K})`
+    : Prisma.sql`MAX(achieved_at)`;
+
+  return Prisma.sql`
+    SELECT team_id, ${teamScore} AS total_score, ${reachedAt} AS achieved_at, COUNT(*) AS member_count
+    FROM (
+      SELECT
+        e.*,
+        ROW_NUMBER() OVER (PARTITION BY e.team_id ORDER BY ${standingOrder(rule, 'e')}) AS position
+      FROM (${memberStandings(board, rule)}) AS e
+      ${rule.lowerIsBetter ? Prisma.sql`WHERE e.total_score IS NOT NULL` : Prisma.empty}
+    ) AS members
+    GROUP BY team_id
+    HAVING COUNT(ranked_user_id) > 0
+  `;
+}
+
+/**
+ * @param {number} teamId
+ * @returns {Promise<Object>}
+ */
+async function findTeam(teamId) {
+  const team = await prisma.team.findUnique({ where: { id: teamId } });
+  if (!team) {
+    throw new AppError('Team not found', 404);
+  }
+  return team;
+}
+
+/**
+ * @param {Object} team - { name }
+ * @returns {Promise<Object>}
+ */
+async function createTeam({ name }) {
+  const [taken] = await prisma.$queryRaw`
+    SELECT id FROM teams WHERE LOWER(name) = LOWER(${name}) LIMIT 1
+  `;
+  if (taken) {
+    throw new AppError('Team name is already taken', 409);
+  }
+
+  let team;
+  try {
+    team = await prisma.team.create({ data: { name } });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new AppError('Team name is already taken', 409);
+    }
+    throw error;
+  }
+
+  logger.info(`Created team ${team.id}`, { name });
+  return { ...formatTeam(team), memberCount: 0 };
+}
+
+/**
+ * Add a player to a team. Joining the team the player is already in is a no-op.
+ * @param {number} teamId
+ * @param {number} userId
+ * @returns {Promise<Object>} - { teamId, userId, joinedAt, joined }
+ */
+async function joinTeam(teamId, userId) {
+  let membership;
+  try {
+    membership = await prisma.$transaction(async (tx) => {
+      // Serializes joins to the team so the size limit holds
+      const [team] = await tx.$queryRaw`SELECT id FROM teams WHERE id = ${teamId} FOR UPDATE`;
+      if (!team) {
+        throw new AppError('Team not found', 404);
+      }
+      if (!await tx.user.findUnique({ where: { id: userId }, select: { id: true } })) {
+        throw new AppError('Player not found', 404);
+      }
+
+      const current = await tx.teamMember.findUnique({ where: { userId } });
+      if (current?.teamId === teamId) {
+        return { ...current, joined: false };
+      }
+      if (current) {
+        throw new AppError('Player is already in another team; leave it first', 409);
+      }
+
+      const size = await tx.teamMember.count({ where: { teamId } });
+      if (size >= TEAM_MAX_MEMBERS) {
+        throw new AppError(`Team is full (${TEAM_MAX_MEMBERS} members)`, 409);
+      }
+
+      const created = await tx.teamMember.create({ data: { teamId, userId } });
+      return { ...created, joined: true };
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new AppError('Player is already in another team; leave it first', 409);
+    }
+    throw error;
+  }
+
+  if (membership.joined) {
+    await invalidateTeamCache();
+    logger.info(`Player ${userId} joined team ${teamId}`);
+  }
+
+  return {
+    teamId,
+    userId,
+    joinedAt: membership.joinedAt.toISOString(),
+    joined: membership.joined,
+  };
+}
+
+/**
+ * @param {number} teamId
+ * @param {number} userId
+ */
+async function leaveTeam(teamId, userId) {
+  const { count } = await prisma.teamMember.deleteMany({ where: { teamId, userId } });
+  if (count === 0) {
+    await findTeam(teamId);
+    throw new AppError('Player is not a member of this team', 404);
+  }
+
+  await invalidateTeamCache();
+  logger.info(`Player ${userId} left team ${teamId}`);
+}
+
+/**
+ * One page of the team standings on a board
+ * @param {Object} [board] - Board from resolveBoard
+ * @param {Object} [page]
+ * @param {number} [page.limit]
+ * @param {number} [page.offset]
+ * @returns {Promise<Object>} - { entries, pagination }
+ */
+async function getTeamLeaderboardPage(board = resolveBoard(), { limit = 10, offset = 0 } = {}) {
+  try {
+    const cacheKey = CACHE_KEYS.TEAM_PAGE(
+      board.key,
+      await getTeamBoardGeneration(board.key),
+      `${TEAM_SCORE_RULE}:${offset}:${limit}`
+    );
+
+    const rule = getScoreRule(board.mode);
+    const rows = await getOrLoad('teams', cacheKey, CACHE_TTL.LEADERBOARD, async () => {
+      const standings = await prisma.$queryRaw`
+        WITH standings AS (${teamScores(board, rule)})
+        SELECT
+          s.team_id,
+          t.name,
+          s.total_score AS team_score,
+          s.member_count,
+          RANK() OVER (ORDER BY ${rankOrder(rule, 's')}) AS rank
+        FROM standings s
+        INNER JOIN teams t ON t.id = s.team_id
+        ORDER BY ${rankOrder(rule, 's')}, s.team_id ASC
+        LIMIT ${limit + 1}
+        OFFSET ${offset}
+      `;
+
+      logger.info('Retrieved team leaderboard page from database', { board: board.key, offset, limit });
+      return standings.map(formatStanding);
+    });
+
+    return {
+      entries: rows.slice(0, limit),
+      pagination: { limit, offset, hasMore: rows.length > limit },
+    };
+
+  } catch (error) {
+    logger.error('Failed to get team leaderboard page', { error: error.message });
+    throw new AppError('Failed to retrieve team leaderboards', 500);
+  }
+}
+
+/**
+ * @param {number} teamId
+ * @param {Object} board
+ * @returns {Promise<Object|null>} - null when no member is on the board
+ */
+async function getStanding(teamId, board) {
+  try {
+    const cacheKey = CACHE_KEYS.TEAM_RANK(teamId, board.key, await getTeamBoardGeneration(board.key));
+    const rule = getScoreRule(board.mode);
+    return await getOrLoad('teamRank', cacheKey, CACHE_TTL.RANK, async () => {
+      const [row] = await prisma.$queryRaw`
+        WITH standings AS (${teamScores(board, rule)})
+        SELECT
+          s.total_score AS team_score,
+          s.member_count,
+          (
+            SELECT COUNT(*) + 1 FROM standings o
+            WHERE ${ranksAhead(rule, 'o', { totalScore: Prisma.raw('s.total_score'), achievedAt: Prisma.raw('s.achieved_at') })}
+          ) AS rank,
+          (SELECT COUNT(*) FROM standings) AS total_teams
+        FROM standings s
+        WHERE s.team_id = ${teamId}
+      `;
+      if (!row) return null;
+      return {
+        teamScore: Number(row.team_score),
+        memberCount: Number(row.member_count),
+        rank: Number(row.rank),
+        totalTeams: Number(row.total_teams),
+      };
+    });
+  } catch (error) {
+    logger.error(`Failed to get rank for team ${teamId}`, { error: error.message });
+    throw new AppError('Failed to retrieve team rank', 500);
+  }
+}
+
+/**
+ * @param {number} teamId
+ * @param {Object} [board] - Board from resolveBoard
+ * @returns {Promise<Object>}
+ */
+async function getTeamRank(teamId, board = resolveBoard()) {
+  const team = await findTeam(teamId);
+
+  const standing = await getStanding(teamId, board);
+  if (!standing) {
+    throw new AppError('Team not found in leaderboards', 404);
+  }
+
+  return {
+    teamId,
+    name: team.name,
+    ...standing,
+    gameMode: board.mode,
+    window: board.window,
+    rule: TEAM_SCORE_RULE,
+  };
+}
+
+/**
+ * How many of a member's points count towards the team score under the rule
+ * @param {number} totalScore
+ * @param {number} position - 1-based, best member first
+ * @param {number} memberCount
+ * @returns {number}
+ */
+function contributionOf(totalScore, position, memberCount) {
+  if (TEAM_SCORE_RULE === 'average') {
+    return Math.round((totalScore / memberCount) * 100) / 100;
+  }
+  if (TEAM_SCORE_RULE === 'top' && position > TEAM_TOP_K) {
+    return 0;
+  }
+  return totalScore;
+}
+
+/**
+ * A team with its standing on a board and each member's contribution to it
+ * @param {number} teamId
+ * @param {Object} [board] - Board from resolveBoard
+ * @returns {Promise<Object>}
+ */
+async function getTeamDetail(teamId, board = resolveBoard()) {
+  const team = await findTeam(teamId);
+
+  const rule = getScoreRule(board.mode);
+  const [rows, standing] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT e.user_id, e.joined_at, e.total_score
+      FROM (${memberStandings(board, rule)}) AS e
+      WHERE e.team_id = ${teamId}
+      ORDER BY ${standingOrder(rule, 'e')}
+    `,
+    getStanding(teamId, board),
+  ]);
+
+  // Members without a score sort last where lower ranks first, and count for nothing
+  const counted = rows.filter((row) => row.total_score !== null).length;
+  const members = await profileService.withProfiles(rows.map((row, index) => {
+    const totalScore = row.total_score === null ? null : Number(row.total_score);
+    return {
+      userId: Number(row.user_id),
+      joinedAt: row.joined_at.toISOString(),
+      totalScore,
+      contribution: totalScore === null ? 0 : contributionOf(totalScore, index + 1, counted),
+    };
+  }));
+
+  return {
+    ...formatTeam(team),
+    memberCount: members.length,
+    rule: TEAM_SCORE_RULE,
+    ...(TEAM_SCORE_RULE === 'top' && { topK: TEAM_TOP_K }),
+    standing: standing && {
+      teamScore: standing.teamScore,
+      rank: standing.rank,
+      totalTeams: standing.totalTeams,
+    },
+    members,
+  };
+}
+
+module.exports = {
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  getTeamLeaderboardPage,
+  getTeamRank,
+  getTeamDetail,
+};
@@ -0,0 +1,31 @@
+/**
+ * One API instance's socket layer, run as a child process by the cluster test:
+ * reports its port once listening and broadcasts scores when asked to.
+ */
+const http = require('http');
+const { createSocketServer, disconnectSocketAdapter } = require('../../config/socket');
+const { disconnectRedis } = require('../../config/redis');
+const { attachSocketServer, broadcastScores } = require('../../services/realtimeService');
+
+const server = http.createServer();
+const io = createSocketServer(server);
+attachSocketServer(io);
+
+server.listen(0, () => {
+  process.send({ type: 'listening', port: server.address().port });
+});
+
+process.on('message', async (message) => {
+  if (message.type === 'broadcast') {
+    const scores = message.scores.map((score) => ({ ...score, playedAt: new Date(score.playedAt) }));
+    await broadcastScores(scores);
+    process.send({ type: 'broadcasted' });
+  }
+
+  if (message.type === 'stop') {
+    io.close();
+    await disconnectSocketAdapter();
+    await disconnectRedis();
+    process.exit(0);
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Period boundaries of the daily, weekly and monthly boards, in UTC and in a
+ * timezone with daylight saving time.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  ALLTIME_PERIOD_START,
+  getPeriodStart,
+  getPeriodEnd,
+  getPeriodStartForDate,
+  getPreviousPeriodStart,
+} = require('../utils/periods');
+
+const STOCKHOLM = 'Europe/Stockholm';
+
+function iso(date) {
+  return date.toISOString();
+}
+
+describe('getPeriodStart', () => {
+  const wednesday = new Date('2026-10-21T15:30:00Z');
+
+  test('starts days at midnight', () => {
+    assert.strictEqual(iso(getPeriodStart('daily', wednesday, 'UTC')), '2026-10-21T00:00:00.000Z');
+  });
+
+  test('starts weeks on Monday', () => {
+    assert.strictEqual(iso(getPeriodStart('weekly', wednesday, 'UTC')), '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(iso(getPeriodStart('weekly', new Date('2026-10-19T00:00:00Z'), 'UTC')), '2026-10-19T00:00:00.000Z');
+  });
+
+  test('starts weeks crossing a month in the previous month', () => {
+    assert.strictEqual(iso(getPeriodStart('weekly', new Date('2026-11-01T12:00:00Z'), 'UTC')), '2026-10-26T00:00:00.000Z');
+  });
+
+  test('starts months on the first', () => {
+    assert.strictEqual(iso(getPeriodStart('monthly', wednesday, 'UTC')), '2026-10-01T00:00:00.000Z');
+  });
+
+  test('follows local midnight in the leaderboard timezone', () => {
+    // 00:30 in Stockholm (UTC+2 in summer time) is still the previous day in UTC
+    const at = new Date('2026-10-20T22:30:00Z');
+    assert.strictEqual(iso(getPeriodStart('daily', at, STOCKHOLM)), '2026-10-20T22:00:00.000Z');
+    assert.strictEqual(iso(getPeriodStart('daily', at, 'UTC')), '2026-10-20T00:00:00.000Z');
+  });
+
+  test('puts every all-time score in one period', () => {
+    assert.strictEqual(getPeriodStart('alltime', wednesday), ALLTIME_PERIOD_START);
+  });
+
+  test('rejects unknown windows', () => {
+    assert.throws(() => getPeriodStart('yearly', wednesday, 'UTC'), /Unknown time window/);
+  });
+});
+
+describe('getPeriodEnd', () => {
+  test('ends a period where the next one starts', () => {
+    for (const window of ['daily', 'weekly', 'monthly']) {
+      const start = getPeriodStart(window, new Date('2026-10-21T15:30:00Z'), 'UTC');
+      const end = getPeriodEnd(window, start, 'UTC');
+      assert.strictEqual(iso(getPeriodStart(window, end, 'UTC')), iso(end));
+      assert.strictEqual(iso(getPeriodStart(window, new Date(end.getTime() - 1), 'UTC')), iso(start));
+    }
+  });
+
+  test('rolls December over into the next year', () => {
+    const start = new Date('2026-12-01T00:00:00Z');
+    assert.strictEqual(iso(getPeriodEnd('monthly', start, 'UTC')), '2027-01-01T00:00:00.000Z');
+  });
+
+  test('gives the day daylight saving time ends 25 hours', () => {
+    const start = getPeriodStart('daily', new Date('2026-10-25T12:00:00Z'), STOCKHOLM);
+    const end = getPeriodEnd('daily', start, STOCKHOLM);
+    assert.strictEqual(iso(start), '2026-10-24T22:00:00.000Z');
+    assert.strictEqual(iso(end), '2026-10-25T23:00:00.000Z');
+  });
+
+  test('gives the day daylight saving time starts 23 hours', () => {
+    const start = getPeriodStart('daily', new Date('2026-03-29T12:00:00Z'), STOCKHOLM);
+    const end = getPeriodEnd('daily', start, STOCKHOLM);
+    assert.strictEqual(iso(start), '2026-03-28T23:00:00.000Z');
+    assert.strictEqual(iso(end), '2026-03-29T22:00:00.000Z');
+  });
+
+  test('never ends the all-time board', () => {
+    assert.strictEqual(getPeriodEnd('alltime', ALLTIME_PERIOD_START), null);
+  });
+});
+
+describe('getPeriodStartForDate', () => {
+  test('finds the period containing a calendar date', () => {
+    assert.strictEqual(iso(getPeriodStartForDate('daily', '2026-10-21', 'UTC')), '2026-10-21T00:00:00.000Z');
+    assert.strictEqual(iso(getPeriodStartForDate('weekly', '2026-10-25', 'UTC')), '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(iso(getPeriodStartForDate('monthly', '2026-10-31', 'UTC')), '2026-10-01T00:00:00.000Z');
+  });
+
+  test('reads the date in the leaderboard timezone', () => {
+    assert.strictEqual(iso(getPeriodStartForDate('daily', '2026-10-21', STOCKHOLM)), '2026-10-20T22:00:00.000Z');
+  });
+});
+
+describe('getPreviousPeriodStart', () => {
+  test('steps back one period', () => {
+    const start = getPeriodStart('monthly', new Date('2026-03-10T00:00:00Z'));
+    assert.strictEqual(iso(getPreviousPeriodStart('monthly', start)), iso(getPeriodStart('monthly', new Date('2026-02-10T00:00:00Z'))));
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Score rules and the SQL ordering boards by them. The SQL helpers build on
+ * the generated Prisma client; without it (npm run prisma:generate) they are
+ * skipped.
+ */
+process.env.LEADERBOARD_SCORE_RULES = 'speedrun:best:lower:earliest,ranked:average:20,arena:top';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SCORE_RULE, getScoreRule, getModesWhere, countsTowardCombined } = require('../config/scoring');
+
+let scoreRules = null;
+try {
+  scoreRules = require('../utils/scoreRules');
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND') throw error;
+}
+const skip = !scoreRules && 'The Prisma client has not been generated';
+
+const SPEEDRUN = getScoreRule('speedrun');
+
+describe('getScoreRule', () => {
+  test('parses aggregation, count and flags', () => {
+    assert.deepStrictEqual({ ...SPEEDRUN }, { aggregation: 'best', count: null, lowerIsBetter: true, earliestFirst: true });
+    assert.deepStrictEqual({ ...getScoreRule('ranked') }, { ...DEFAULT_SCORE_RULE, aggregation: 'average', count: 20 });
+  });
+
+  test('counts the default number of sessions when a rule names none', () => {
+    assert.strictEqual(getScoreRule('arena').count, 10);
+  });
+
+  test('sums every session of modes without a rule', () => {
+    assert.strictEqual(getScoreRule('solo'), DEFAULT_SCORE_RULE);
+    assert.strictEqual(getScoreRule('all'), DEFAULT_SCORE_RULE);
+  });
+
+  test('lists the configured modes matching a predicate', () => {
+    assert.deepStrictEqual(getModesWhere((rule) => rule.count !== null).sort(), ['arena', 'ranked']);
+  });
+
+  test('keeps lower-is-better modes out of the combined board', () => {
+    assert.strictEqual(countsTowardCombined(SPEEDRUN), false);
+    assert.strictEqual(countsTowardCombined(getScoreRule('ranked')), true);
+  });
+});
+
+describe('board order', { skip }, () => {
+  test('lists higher totals first by default, ties by user id', () => {
+    assert.strictEqual(scoreRules.standingOrder(DEFAULT_SCORE_RULE).text, 'l.total_score DESC, l.user_id ASC');
+    assert.strictEqual(scoreRules.rankOrder(DEFAULT_SCORE_RULE, 's').text, 's.total_score DESC');
+  });
+
+  test('lists lower totals first and breaks ties by achievement time', () => {
+    assert.strictEqual(scoreRules.standingOrder(SPEEDRUN).text, 'l.total_score ASC, l.achieved_at ASC, l.user_id ASC');
+    assert.strictEqual(scoreRules.rankOrder(SPEEDRUN).text, 'l.total_score ASC, l.achieved_at ASC');
+  });
+
+  test('reverses every term', () => {
+    assert.strictEqual(
+      scoreRules.standingOrder(SPEEDRUN, 'l', { reverse: true }).text,
+      'l.total_score DESC, l.achieved_at DESC, l.user_id DESC'
+    );
+  });
+
+  test('sorts entries like the SQL order', () => {
+    const entries = [
+      { userId: 3, totalScore: 90, achievedAt: '2026-10-19T10:00:00.000Z' },
+      { userId: 1, totalScore: 90, achievedAt: '2026-10-19T09:00:00.000Z' },
+      { userId: 2, totalScore: 80, achievedAt: '2026-10-19T11:00:00.000Z' },
+      { userId: 4, totalScore: 90, achievedAt: '2026-10-19T09:00:00.000Z' },
+    ];
+    const order = (rule) => [...entries].sort(scoreRules.compareStandings(rule)).map(({ userId }) => userId);
+
+    assert.deepStrictEqual(order(DEFAULT_SCORE_RULE), [1, 3, 4, 2]);
+    assert.deepStrictEqual(order(SPEEDRUN), [2, 1, 4, 3]);
+  });
+});
+
+describe('board comparisons', { skip }, () => {
+  const at = '2026-10-19T09:00:00.000Z';
+
+  test('ranks ahead on the total alone by default', () => {
+    const ahead = scoreRules.ranksAhead(DEFAULT_SCORE_RULE, 'l2', { totalScore: 500, achievedAt: at });
+    assert.strictEqual(ahead.text, 'l2.total_score > $1');
+    assert.deepStrictEqual(ahead.values, [500]);
+  });
+
+  test('ranks ahead on an equal total reached earlier', () => {
+    const ahead = scoreRules.ranksAhead(SPEEDRUN, 'l2', { totalScore: 500, achievedAt: at });
+    assert.strictEqual(ahead.text, '(l2.total_score < $1 OR (l2.total_score = $2 AND l2.achieved_at < $3))');
+    assert.deepStrictEqual(ahead.values, [500, 500, new Date(at)]);
+  });
+
+  test('places rows around an entry down to the user id', () => {
+    const entry = { totalScore: 500, userId: 7 };
+    assert.strictEqual(
+      scoreRules.placedAhead(DEFAULT_SCORE_RULE, 'l', entry).text,
+      '(l.total_score > $1 OR (l.total_score = $2 AND l.user_id < $3))'
+    );
+    assert.strictEqual(
+      scoreRules.placedBehind(DEFAULT_SCORE_RULE, 'l', entry).text,
+      '(l.total_score < $1 OR (l.total_score = $2 AND l.user_id > $3))'
+    );
+  });
+
+  test('bounds totals in the direction of the rule', () => {
+    assert.strictEqual(scoreRules.notBehindScore(DEFAULT_SCORE_RULE, 'l', 500).text, 'l.total_score >= $1');
+    assert.strictEqual(scoreRules.notBehindScore(SPEEDRUN, 'l', 500).text, 'l.total_score <= $1');
+  });
+});
+
+describe('modeMatches', { skip }, () => {
+  test('lists the matching modes', () => {
+    const lower = scoreRules.modeMatches('game_mode', (rule) => rule.lowerIsBetter);
+    assert.strictEqual(lower.text, 'game_mode IN ($1)');
+    assert.deepStrictEqual(lower.values, ['speedrun']);
+  });
+
+  test('excludes the others when the default rule matches', () => {
+    const combined = scoreRules.modeMatches('s.game_mode', countsTowardCombined);
+    assert.strictEqual(combined.text, 's.game_mode NOT IN ($1)');
+    assert.deepStrictEqual(combined.values, ['speedrun']);
+  });
+
+  test('matches nothing or everything when no configured mode differs', () => {
+    assert.strictEqual(scoreRules.modeMatches('game_mode', (rule) => rule.aggregation === 'median').text, 'FALSE');
+    assert.strictEqual(scoreRules.modeMatches('game_mode', () => true).text, 'TRUE');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * HMAC signatures of requests from game servers.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { signRequest, verifySignature } = require('../utils/signatures');
+
+const SECRET = 'game-server-secret';
+
+const request = {
+  timestamp: '1792400000',
+  nonce: '3f2b9c1e',
+  method: 'post',
+  path: '/api/leaderboard/submit?async=1',
+  body: '{"user_id":12345,"score":5000}',
+};
+
+describe('signRequest', () => {
+  test('signs timestamp, nonce, method, path and body joined by newlines', () => {
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update('1792400000\n3f2b9c1e\nPOST\n/api/leaderboard/submit?async=1\n{"user_id":12345,"score":5000}')
+      .digest('hex');
+    assert.strictEqual(signRequest(SECRET, request), expected);
+  });
+
+  test('ignores the case of the method', () => {
+    assert.strictEqual(signRequest(SECRET, request), signRequest(SECRET, { ...request, method: 'POST' }));
+  });
+});
+
+describe('verifySignature', () => {
+  const signature = signRequest(SECRET, request);
+
+  test('accepts the signature of the same request', () => {
+    assert.strictEqual(verifySignature(SECRET, request, signature), true);
+  });
+
+  test('rejects a changed request', () => {
+    for (const field of ['timestamp', 'nonce', 'path', 'body']) {
+      assert.strictEqual(verifySignature(SECRET, { ...request, [field]: `${request[field]}x` }, signature), false, field);
+    }
+    assert.strictEqual(verifySignature(SECRET, { ...request, method: 'PUT' }, signature), false);
+  });
+
+  test('rejects another secret', () => {
+    assert.strictEqual(verifySignature('another-secret', request, signature), false);
+  });
+
+  test('rejects signatures of the wrong length without throwing', () => {
+    assert.strictEqual(verifySignature(SECRET, request, signature.slice(0, -2)), false);
+    assert.strictEqual(verifySignature(SECRET, request, ''), false);
+    assert.strictEqual(verifySignature(SECRET, request, 'not hex'), false);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Starts two socket instances sharing one Redis and checks that a broadcast on
+ * one reaches clients connected to the other, over websocket and polling.
+ * Needs the Redis from REDIS_URL or REDIS_HOST/REDIS_PORT; skipped without it.
+ */
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { fork } = require('child_process');
+const Redis = require('ioredis');
+const { io: connect } = require('socket.io-client');
+
+const EVENT_TIMEOUT_MS = 5000;
+
+const redisOptions = {
+  lazyConnect: true,
+  maxRetriesPerRequest: 0,
+  retryStrategy: () => null,
+};
+
+async function isRedisAvailable() {
+  const client = process.env.REDIS_URL
+    ? new Redis(process.env.REDIS_URL, redisOptions)
+    : new Redis({
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+        password: process.env.REDIS_PASSWORD || undefined,
+        ...redisOptions,
+      });
+  client.on('error', () => {});
+
+  try {
+    await client.connect();
+    await client.ping();
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    client.disconnect();
+  }
+}
+
+function waitFor(emitter, event, predicate = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), EVENT_TIMEOUT_MS);
+    const listener = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolve(payload);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+async function startInstance() {
+  const child = fork(path.join(__dirname, 'fixtures', 'socketInstance.js'), {
+    env: {
+      ...process.env,
+      // Keep test broadcasts off the channels of a server sharing this Redis
+      SOCKET_ADAPTER_KEY: `socket.io-test-${process.pid}`,
+      JWT_SECRET: process.env.JWT_SECRET || 'socket-cluster-test-secret',
+    },
+    // Instance logs are noise here; errors still show
+    stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+  });
+  const { port } = await waitFor(child, 'message', (message) => message.type === 'listening');
+
+  return {
+    url: `http://localhost:${port}`,
+    async broadcast(scores) {
+      const done = waitFor(child, 'message', (message) => message.type === 'broadcasted');
+      child.send({ type: 'broadcast', scores });
+      await done;
+    },
+    async stop() {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.send({ type: 'stop' });
+      await exited;
+    },
+  };
+}
+
+async function connectClient(url, transports) {
+  const client = connect(url, { transports, reconnection: false });
+  await waitFor(client, 'connect');
+  return client;
+}
+
+function subscribe(client, subscription) {
+  return new Promise((resolve) => client.emit('subscribe', subscription, resolve));
+}
+
+describe('socket broadcasts across instances', async () => {
+  const redisAvailable = await isRedisAvailable();
+  const instances = [];
+  const clients = [];
+
+  before(async () => {
+    if (!redisAvailable) return;
+    instances.push(await startInstance(), await startInstance());
+  });
+
+  after(async () => {
+    clients.forEach((client) => client.disconnect());
+    await Promise.all(instances.map((instance) => instance.stop()));
+  });
+
+  for (const transports of [['websocket'], ['polling']]) {
+    test(`reaches ${transports[0]} clients of the other instance`, { skip: !redisAvailable && 'Redis is not reachable' }, async () => {
+      const [first, second] = instances;
+      const client = await connectClient(second.url, transports);
+      clients.push(client);
+
+      const ack = await subscribe(client, { type: 'board', mode: 'solo', window: 'alltime' });
+      assert.strictEqual(ack.success, true);
+
+      const received = waitFor(client, 'leaderboard:updated');
+      await first.broadcast([{ userId: 4242, score: 150, gameMode: 'solo', playedAt: new Date().toISOString() }]);
+
+      const update = await received;
+      assert.strictEqual(update.userId, 4242);
+      assert.strictEqual(update.score, 150);
+    });
+  }
+
+  test('skips clients subscribed to other rooms', { skip: !redisAvailable && 'Redis is not reachable' }, async () => {
+    const [first, second] = instances;
+    const subscribed = await connectClient(first.url, ['websocket']);
+    const other = await connectClient(first.url, ['websocket']);
+    clients.push(subscribed, other);
+
+    await subscribe(subscribed, { type: 'board', mode: 'team', window: 'alltime' });
+    await subscribe(other, { type: 'board', mode: 'solo', window: 'alltime' });
+
+    let leaked = null;
+    other.on('leaderboard:updated', (update) => {
+      leaked = update;
+    });
+
+    const received = waitFor(subscribed, 'leaderboard:updated');
+    await second.broadcast([{ userId: 4343, score: 80, gameMode: 'team', playedAt: new Date().toISOString() }]);
+    await received;
+    // Both sockets are on the same instance, so a leaked event would be close behind
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    assert.strictEqual(leaked, null);
+  });
+});
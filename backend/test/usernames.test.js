@@ -0,0 +1,57 @@
+/**
+ * Username screening: folding, the blocklist and reserved generated names.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { foldUsername, containsBlockedWord, isGeneratedUsername } = require('../utils/usernames');
+
+describe('foldUsername', () => {
+  test('lowercases and drops separators', () => {
+    assert.strictEqual(foldUsername('Night_Owl.x'), 'nightowlx');
+  });
+
+  test('reads look-alike digits as letters and keeps the others', () => {
+    assert.strictEqual(foldUsername('N1ght0wl'), 'nightowl');
+    assert.strictEqual(foldUsername('b3457'), 'beast');
+    assert.strictEqual(foldUsername('ace269'), 'ace269');
+  });
+});
+
+describe('containsBlockedWord', () => {
+  test('passes ordinary names', () => {
+    for (const name of ['NightOwl', 'speedy_42', 'Sir.Lancelot']) {
+      assert.strictEqual(containsBlockedWord(name), false, name);
+    }
+  });
+
+  test('passes words that only contain a blocked one', () => {
+    for (const name of ['Scunthorpe', 'Bash_It', 'BashIt', 'shitake', 'mishit', 'FlameRetardant']) {
+      assert.strictEqual(containsBlockedWord(name), false, name);
+    }
+  });
+
+  test('finds blocked words through case, digits and separators', () => {
+    for (const name of ['SHIT', 'xx_sh1t_xx', 'Sh1tLord', 'f.u.c.k', 'fUcK', 'Wh0r3']) {
+      assert.strictEqual(containsBlockedWord(name), true, name);
+    }
+  });
+
+  test('finds compounds starting or ending with a blocked word', () => {
+    for (const name of ['shithead', 'BullShit', 'bullshit99']) {
+      assert.strictEqual(containsBlockedWord(name), true, name);
+    }
+  });
+});
+
+describe('isGeneratedUsername', () => {
+  test('matches the names given to implicitly created players', () => {
+    assert.strictEqual(isGeneratedUsername('user_12345'), true);
+    assert.strictEqual(isGeneratedUsername('USER_7'), true);
+  });
+
+  test('leaves other names alone', () => {
+    for (const name of ['user_', 'user_12a', 'my_user_12', 'user12']) {
+      assert.strictEqual(isGeneratedUsername(name), false, name);
+    }
+  });
+});
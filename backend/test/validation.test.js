@@ -0,0 +1,186 @@
+/**
+ * Request validation: what each schema accepts, rejects and normalizes.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  submitScoreSchema,
+  submitScoreBatchSchema,
+  userIdParamSchema,
+  boardQuerySchema,
+  rankQuerySchema,
+  leaderboardPageQuerySchema,
+  playerHistoryQuerySchema,
+  createProfileSchema,
+  updateProfileSchema,
+  socketSubscriptionSchema,
+} = require('../utils/validation');
+const { getDefaultWindow } = require('../utils/boards');
+const { encodeCursor } = require('../utils/cursors');
+
+function issues(schema, input) {
+  const result = schema.safeParse(input);
+  assert.strictEqual(result.success, false, 'expected the input to be rejected');
+  return result.error.errors.map((error) => ({ field: error.path.join('.'), message: error.message }));
+}
+
+function fields(schema, input) {
+  return issues(schema, input).map(({ field }) => field);
+}
+
+describe('submitScoreSchema', () => {
+  test('defaults the game mode to solo', () => {
+    assert.deepStrictEqual(submitScoreSchema.parse({ user_id: 1, score: 500 }), { user_id: 1, score: 500, game_mode: 'solo' });
+  });
+
+  test('rejects out-of-range scores and user ids', () => {
+    assert.deepStrictEqual(fields(submitScoreSchema, { user_id: 1, score: 1000001 }), ['score']);
+    assert.deepStrictEqual(fields(submitScoreSchema, { user_id: 1, score: -1 }), ['score']);
+    assert.deepStrictEqual(fields(submitScoreSchema, { user_id: 0, score: 5 }), ['user_id']);
+    assert.deepStrictEqual(fields(submitScoreSchema, { user_id: 1.5, score: 5 }), ['user_id']);
+  });
+
+  test('keeps scores off the combined board', () => {
+    assert.deepStrictEqual(issues(submitScoreSchema, { user_id: 1, score: 5, game_mode: 'all' }), [
+      { field: 'game_mode', message: "game_mode cannot be 'all'" },
+    ]);
+  });
+});
+
+describe('userIdParamSchema', () => {
+  test('turns the path segment into a number', () => {
+    assert.deepStrictEqual(userIdParamSchema.parse({ userId: '42' }), { userId: 42 });
+    assert.deepStrictEqual(fields(userIdParamSchema, { userId: '4x' }), ['userId']);
+  });
+});
+
+describe('leaderboardPageQuerySchema', () => {
+  test('parses limits and cursors', () => {
+    const cursor = encodeCursor({ totalScore: 500, userId: 7 }, 'next');
+    const query = leaderboardPageQuerySchema.parse({ limit: '25', cursor });
+    assert.strictEqual(query.limit, 25);
+    assert.deepStrictEqual(query.cursor, { totalScore: 500, userId: 7, direction: 'next' });
+  });
+
+  test('rejects oversized pages and forged cursors', () => {
+    assert.deepStrictEqual(fields(leaderboardPageQuerySchema, { limit: '101' }), ['limit']);
+    assert.deepStrictEqual(issues(leaderboardPageQuerySchema, { cursor: 'bm90IGEgY3Vyc29y' }), [
+      { field: 'cursor', message: 'cursor is invalid' },
+    ]);
+  });
+});
+
+describe('submitScoreBatchSchema', () => {
+  test('accepts one match for several players', () => {
+    const { scores } = submitScoreBatchSchema.parse({
+      scores: [
+        { user_id: 1, score: 5, match_id: 'm1' },
+        { user_id: 2, score: 7, match_id: 'm1' },
+      ],
+    });
+    assert.strictEqual(scores.length, 2);
+  });
+
+  test('points at a match repeated for the same player', () => {
+    assert.deepStrictEqual(fields(submitScoreBatchSchema, {
+      scores: [
+        { user_id: 1, score: 5, match_id: 'm1' },
+        { user_id: 1, score: 5 },
+        { user_id: 1, score: 6, match_id: 'm1' },
+      ],
+    }), ['scores.2.match_id']);
+  });
+
+  test('rejects empty batches', () => {
+    assert.deepStrictEqual(fields(submitScoreBatchSchema, { scores: [] }), ['scores']);
+  });
+});
+
+describe('socketSubscriptionSchema', () => {
+  test('fills in board defaults', () => {
+    const subscription = socketSubscriptionSchema.parse({ type: 'top' });
+    assert.strictEqual(subscription.mode, 'all');
+    assert.strictEqual(subscription.window, getDefaultWindow());
+    assert.strictEqual(typeof subscription.limit, 'number');
+  });
+
+  test('needs a player id for player rooms', () => {
+    assert.deepStrictEqual(fields(socketSubscriptionSchema, { type: 'player' }), ['userId']);
+    assert.deepStrictEqual(socketSubscriptionSchema.parse({ type: 'player', userId: 5 }), { type: 'player', userId: 5 });
+  });
+
+  test('rejects unknown subscription types', () => {
+    assert.deepStrictEqual(fields(socketSubscriptionSchema, { type: 'team' }), ['type']);
+  });
+});
+
+describe('profile schemas', () => {
+  test('trim names and upper-case countries', () => {
+    const profile = createProfileSchema.parse({ user_id: 1, username: '  NightOwl ', country: 'se' });
+    assert.strictEqual(profile.username, 'NightOwl');
+    assert.strictEqual(profile.country, 'SE');
+  });
+
+  test('reject reserved, blocked and malformed names', () => {
+    const message = (username) => issues(createProfileSchema, { user_id: 1, username })[0].message;
+    assert.strictEqual(message('user_99'), "usernames of the form 'user_<number>' are reserved");
+    assert.strictEqual(message('Sh1tLord'), 'username is not allowed');
+    assert.match(message('.owl'), /must start and end/);
+    assert.match(message('ab'), /at least 3/);
+  });
+
+  test('require an https avatar and a join date in the past', () => {
+    assert.deepStrictEqual(fields(createProfileSchema, { user_id: 1, username: 'NightOwl', avatar_url: 'http://cdn.example.com/a.png' }), ['avatar_url']);
+    assert.deepStrictEqual(fields(createProfileSchema, { user_id: 1, username: 'NightOwl', join_date: '2999-01-01T00:00:00Z' }), ['join_date']);
+  });
+
+  test('let updates clear the avatar and country but not be empty', () => {
+    assert.deepStrictEqual(updateProfileSchema.parse({ avatar_url: null, country: null }), { avatar_url: null, country: null });
+    assert.deepStrictEqual(issues(updateProfileSchema, {}), [
+      { field: '', message: 'Provide at least one of username, avatar_url or country' },
+    ]);
+  });
+});
+
+describe('playerHistoryQuerySchema', () => {
+  test('accepts dates and timestamps', () => {
+    const query = playerHistoryQuerySchema.parse({ from: '2026-10-01', to: '2026-10-19T12:00:00+02:00' });
+    assert.strictEqual(query.from.toISOString(), '2026-10-01T00:00:00.000Z');
+    assert.strictEqual(query.to.toISOString(), '2026-10-19T10:00:00.000Z');
+    assert.strictEqual(query.limit, 50);
+  });
+
+  test('rejects ranges that end before they start', () => {
+    assert.deepStrictEqual(fields(playerHistoryQuerySchema, { from: '2026-10-19', to: '2026-10-01' }), ['from']);
+    assert.deepStrictEqual(fields(playerHistoryQuerySchema, { from: 'yesterday' }), ['from']);
+  });
+});
+
+describe('board queries', () => {
+  test('default to the combined board in the default window', () => {
+    const query = boardQuerySchema.parse({});
+    assert.strictEqual(query.mode, 'all');
+    assert.strictEqual(query.window, getDefaultWindow());
+  });
+
+  test('read a season id as the season window', () => {
+    assert.strictEqual(boardQuerySchema.parse({ season: '3' }).window, 'season');
+    assert.strictEqual(boardQuerySchema.parse({ season: '3' }).season, 3);
+  });
+
+  test('reject a season with another window, or with a period', () => {
+    assert.deepStrictEqual(fields(boardQuerySchema, { season: '3', window: 'daily' }), ['season']);
+    assert.deepStrictEqual(fields(boardQuerySchema, { window: 'season', period: '2026-10-01' }), ['period']);
+  });
+
+  test('reject malformed periods', () => {
+    assert.deepStrictEqual(fields(boardQuerySchema, { window: 'daily', period: '19-10-2026' }), ['period']);
+  });
+});
+
+describe('rankQuerySchema', () => {
+  test('normalizes regions to upper case', () => {
+    assert.strictEqual(rankQuerySchema.parse({ region: 'se' }).region, 'SE');
+    assert.deepStrictEqual(fields(rankQuerySchema, { region: 'swe' }), ['region']);
+  });
+});
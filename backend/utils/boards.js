@@ -0,0 +1,126 @@
+const {
+  ALL_MODES,
+  TIME_WINDOWS,
+  DEFAULT_TIME_WINDOW,
+  SEASON_WINDOW,
+} = require('../config/leaderboards');
+const { getScoreRule, countsTowardCombined } = require('../config/scoring');
+const { AppError } = require('../middleware/errorHandler');
+const { getPeriodStart, getPeriodEnd, getPeriodStartForDate } = require('./periods');
+const { getSeasonAt, getScheduledSeason } = require('./seasons');
+
+/**
+ * Stable identifier of a board, used for cache keys and log context
+ * @param {Object} board
+ * @returns {string}
+ */
+function boardKey({ mode, window, periodStart }) {
+  if (window === 'alltime') {
+    return `${mode}:alltime`;
+  }
+  return `${mode}:${window}:${periodStart.toISOString()}`;
+}
+
+function calendarBoard(mode, window, periodStart) {
+  const board = {
+    mode,
+    window,
+    periodStart,
+    periodEnd: getPeriodEnd(window, periodStart),
+  };
+  return { ...board, key: boardKey(board) };
+}
+
+function seasonBoard(mode, season) {
+  const board = {
+    mode,
+    window: SEASON_WINDOW,
+    periodStart: season.startsAt,
+    periodEnd: season.endsAt,
+    season: { id: season.id, name: season.name },
+  };
+  return { ...board, key: boardKey(board) };
+}
+
+/**
+ * Window a request reads when it names none: the running season, if any
+ * @returns {string}
+ */
+function getDefaultWindow() {
+  return getSeasonAt() ? SEASON_WINDOW : DEFAULT_TIME_WINDOW;
+}
+
+/**
+ * Describe a single board: one game mode within one period of a time window
+ * @param {Object} [query]
+ * @param {string} [query.mode]
+ * @param {string} [query.window]
+ * @param {string} [query.period] - YYYY-MM-DD inside a past period; current period when omitted
+ * @param {number} [query.season] - Past season of the season window; the running one when omitted
+ * @returns {Object}
+ */
+function resolveBoard({ mode = ALL_MODES, window = DEFAULT_TIME_WINDOW, period, season } = {}) {
+  if (window === SEASON_WINDOW) {
+    const found = season !== undefined ? getScheduledSeason(season) : getSeasonAt();
+    if (!found) {
+      throw new AppError(season !== undefined ? 'Season not found' : 'No season is running', 404);
+    }
+    return seasonBoard(mode, found);
+  }
+
+  const periodStart = period
+    ? getPeriodStartForDate(window, period)
+    : getPeriodStart(window);
+
+  return calendarBoard(mode, window, periodStart);
+}
+
+/**
+ * The boards of one mode that a session played at the given instant counts
+ * towards: the current period of every window, and the season if one runs
+ * @param {string} mode
+ * @param {Date} [at]
+ * @returns {Object[]}
+ */
+function getCurrentBoards(mode, at = new Date()) {
+  const boards = TIME_WINDOWS.map((window) => calendarBoard(mode, window, getPeriodStart(window, at)));
+
+  const season = getSeasonAt(at);
+  if (season) {
+    boards.push(seasonBoard(mode, season));
+  }
+  return boards;
+}
+
+/**
+ * Every board a session played at the given instant contributes to: its mode's
+ * and, unless lower standings rank first in that mode, the combined boards
+ * @param {string} gameMode
+ * @param {Date} [at]
+ * @returns {Object[]}
+ */
+function getSubmissionBoards(gameMode, at = new Date()) {
+  const modes = countsTowardCombined(getScoreRule(gameMode)) ? [gameMode, ALL_MODES] : [gameMode];
+  return modes.flatMap((mode) => getCurrentBoards(mode, at));
+}
+
+/**
+ * @param {Object} board
+ * @returns {boolean} - Whether the board is the running period of its window
+ */
+function isCurrentBoard(board) {
+  if (board.window === SEASON_WINDOW) {
+    const season = getSeasonAt();
+    return season !== null && season.startsAt.getTime() === board.periodStart.getTime();
+  }
+  return board.key === resolveBoard({ mode: board.mode, window: board.window }).key;
+}
+
+module.exports = {
+  boardKey,
+  getDefaultWindow,
+  resolveBoard,
+  getCurrentBoards,
+  getSubmissionBoards,
+  isCurrentBoard,
+};
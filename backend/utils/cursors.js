@@ -0,0 +1,78 @@
+/**
+ * Opaque keyset cursors over a board's order: total_score in the direction of
+ * the mode's score rule, then achieved_at on boards breaking ties by it, then
+ * user_id ASC. A cursor names the boundary entry and the direction to read away from it.
+ */
+
+/**
+ * @param {Object} entry - Entry with userId, totalScore and, where the board has it, achievedAt
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string}
+ */
+function encodeCursor(entry, direction) {
+  const payload = JSON.stringify({
+    s: entry.totalScore,
+    u: entry.userId,
+    d: direction,
+    ...(entry.achievedAt && { a: Date.parse(entry.achievedAt) }),
+  });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {Object|null} - { totalScore, userId, direction } plus achievedAt
+ *   when the entry had one, or null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { s, u, d, a } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(s) || !Number.isInteger(u) || !['next', 'prev'].includes(d)) {
+      return null;
+    }
+    if (a !== undefined && !Number.isInteger(a)) {
+      return null;
+    }
+    return {
+      totalScore: s,
+      userId: u,
+      direction: d,
+      ...(a !== undefined && { achievedAt: new Date(a) }),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Cursor into a player's session history, ordered by (timestamp DESC, id DESC)
+ * @param {Object} session - Session with id and playedAt
+ * @returns {string}
+ */
+function encodeSessionCursor(session) {
+  const payload = JSON.stringify({ t: new Date(session.playedAt).getTime(), i: session.id });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {Object|null} - { playedAt, id }, or null when malformed
+ */
+function decodeSessionCursor(cursor) {
+  try {
+    const { t, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(t) || !Number.isInteger(i)) {
+      return null;
+    }
+    return { playedAt: new Date(t), id: i };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeSessionCursor,
+  decodeSessionCursor,
+};
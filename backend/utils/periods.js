@@ -0,0 +1,163 @@
+const { TIME_WINDOWS, LEADERBOARD_TIMEZONE } = require('../config/leaderboards');
+
+// Period start shared by every row of the never-resetting all-time board
+const ALLTIME_PERIOD_START = new Date(0);
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock calendar fields of an instant in the given timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function getZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of local midnight on a calendar day; out-of-range days and months roll over
+ * @param {number} year
+ * @param {number} month - 1-based
+ * @param {number} day
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function getZonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const offset = getZoneOffset(new Date(guess), timeZone);
+  const candidate = guess - offset;
+
+  // Re-check once in case a DST transition sits between the guess and the result
+  const correctedOffset = getZoneOffset(new Date(candidate), timeZone);
+  return new Date(correctedOffset === offset ? candidate : guess - correctedOffset);
+}
+
+/**
+ * Start of the period of a time window containing the given instant
+ * @param {string} window - One of TIME_WINDOWS
+ * @param {Date} [date]
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function getPeriodStart(window, date = new Date(), timeZone = LEADERBOARD_TIMEZONE) {
+  if (window === 'alltime') {
+    return ALLTIME_PERIOD_START;
+  }
+
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+
+  switch (window) {
+    case 'daily':
+      return getZonedMidnight(year, month, day, timeZone);
+    case 'weekly':
+      return getZonedMidnight(year, month, day - weekday, timeZone);
+    case 'monthly':
+      return getZonedMidnight(year, month, 1, timeZone);
+    default:
+      throw new Error(`Unknown time window: ${window}`);
+  }
+}
+
+/**
+ * End (exclusive) of a period, or null for the all-time board
+ * @param {string} window
+ * @param {Date} periodStart
+ * @param {string} [timeZone]
+ * @returns {Date|null}
+ */
+function getPeriodEnd(window, periodStart, timeZone = LEADERBOARD_TIMEZONE) {
+  if (window === 'alltime') {
+    return null;
+  }
+
+  const { year, month, day } = getZonedParts(periodStart, timeZone);
+
+  switch (window) {
+    case 'daily':
+      return getZonedMidnight(year, month, day + 1, timeZone);
+    case 'weekly':
+      return getZonedMidnight(year, month, day + 7, timeZone);
+    case 'monthly':
+      return getZonedMidnight(year, month + 1, 1, timeZone);
+    default:
+      throw new Error(`Unknown time window: ${window}`);
+  }
+}
+
+/**
+ * Start of the period containing a calendar date given as YYYY-MM-DD
+ * @param {string} window
+ * @param {string} isoDate
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function getPeriodStartForDate(window, isoDate, timeZone = LEADERBOARD_TIMEZONE) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return getPeriodStart(window, getZonedMidnight(year, month, day, timeZone), timeZone);
+}
+
+/**
+ * @param {string} window
+ * @param {Date} periodStart
+ * @returns {Date}
+ */
+function getPreviousPeriodStart(window, periodStart) {
+  return getPeriodStart(window, new Date(periodStart.getTime() - 1));
+}
+
+/**
+ * Windows that keep periodic standings (everything except all-time)
+ * @returns {string[]}
+ */
+function getPeriodicWindows() {
+  return TIME_WINDOWS.filter((window) => window !== 'alltime');
+}
+
+module.exports = {
+  ALLTIME_PERIOD_START,
+  getZonedParts,
+  getPeriodStart,
+  getPeriodEnd,
+  getPeriodStartForDate,
+  getPreviousPeriodStart,
+  getPeriodicWindows,
+};
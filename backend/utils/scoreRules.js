@@ -0,0 +1,158 @@
+const { Prisma } = require('@prisma/client');
+const { DEFAULT_SCORE_RULE, getModesWhere } = require('../config/scoring');
+
+/**
+ * SQL for ordering and comparing the rows of a board under its mode's score
+ * rule. Fragments name the leaderboards columns through the given table alias.
+ */
+
+function column(alias, name) {
+  return Prisma.raw(`${alias}.${name}`);
+}
+
+// Entries carry achievedAt as an ISO string; SQL fragments pass through
+function toTimestamp(value) {
+  return typeof value === 'string' ? new Date(value) : value;
+}
+
+/**
+ * ORDER BY terms listing a board best first with ties by user id, or last first
+ * @param {Object} rule
+ * @param {string} [alias]
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse]
+ * @returns {Object}
+ */
+function standingOrder(rule, alias = 'l', { reverse = false } = {}) {
+  const later = reverse ? 'DESC' : 'ASC';
+  const terms = [`${alias}.total_score ${rule.lowerIsBetter === reverse ? 'DESC' : 'ASC'}`];
+  if (rule.earliestFirst) {
+    terms.push(`${alias}.achieved_at ${later}`);
+  }
+  terms.push(`${alias}.user_id ${later}`);
+  return Prisma.raw(terms.join(', '));
+}
+
+/**
+ * ORDER BY of RANK(): like standingOrder without the user id, so players only
+ * share a rank when the rule cannot separate them
+ * @param {Object} rule
+ * @param {string} [alias]
+ * @returns {Object}
+ */
+function rankOrder(rule, alias = 'l') {
+  const terms = [`${alias}.total_score ${rule.lowerIsBetter ? 'ASC' : 'DESC'}`];
+  if (rule.earliestFirst) {
+    terms.push(`${alias}.achieved_at ASC`);
+  }
+  return Prisma.raw(terms.join(', '));
+}
+
+/**
+ * Condition: the row ranks strictly ahead of a standing
+ * @param {Object} rule
+ * @param {string} alias
+ * @param {Object} standing - { totalScore, achievedAt }, as values or SQL fragments
+ * @returns {Object}
+ */
+function ranksAhead(rule, alias, { totalScore, achievedAt }) {
+  const score = column(alias, 'total_score');
+  const beats = Prisma.sql`${score} ${Prisma.raw(rule.lowerIsBetter ? '<' : '>')} ${totalScore}`;
+  if (!rule.earliestFirst) return beats;
+
+  return Prisma.sql`(${beats} OR (${score} = ${totalScore} AND ${column(alias, 'achieved_at')} < ${toTimestamp(achievedAt)}))`;
+}
+
+/**
+ * Condition: the row comes before or after an entry in board order
+ * @param {Object} rule
+ * @param {string} alias
+ * @param {Object} entry - { totalScore, achievedAt, userId }
+ * @param {boolean} ahead
+ * @returns {Object}
+ */
+function placed(rule, alias, { totalScore, achievedAt, userId }, ahead) {
+  const score = column(alias, 'total_score');
+  const user = column(alias, 'user_id');
+  const scoreOp = Prisma.raw(rule.lowerIsBetter === ahead ? '<' : '>');
+  const tieOp = Prisma.raw(ahead ? '<' : '>');
+
+  let tied = Prisma.sql`${user} ${tieOp} ${userId}`;
+  if (rule.earliestFirst) {
+    const at = column(alias, 'achieved_at');
+    const reachedAt = toTimestamp(achievedAt);
+    tied = Prisma.sql`(${at} ${tieOp} ${reachedAt} OR (${at} = ${reachedAt} AND ${tied}))`;
+  }
+  return Prisma.sql`(${score} ${scoreOp} ${totalScore} OR (${score} = ${totalScore} AND ${tied}))`;
+}
+
+function placedAhead(rule, alias, entry) {
+  return placed(rule, alias, entry, true);
+}
+
+function placedBehind(rule, alias, entry) {
+  return placed(rule, alias, entry, false);
+}
+
+/**
+ * Condition: the row's total is at least as good as a score, a range bound
+ * the board index can serve
+ * @param {Object} rule
+ * @param {string} alias
+ * @param {number} totalScore
+ * @returns {Object}
+ */
+function notBehindScore(rule, alias, totalScore) {
+  return Prisma.sql`${column(alias, 'total_score')} ${Prisma.raw(rule.lowerIsBetter ? '<=' : '>=')} ${totalScore}`;
+}
+
+/**
+ * Comparator putting entries in board order
+ * @param {Object} rule
+ * @returns {Function}
+ */
+function compareStandings(rule) {
+  return (a, b) => (rule.lowerIsBetter ? a.totalScore - b.totalScore : b.totalScore - a.totalScore)
+    || (rule.earliestFirst ? Date.parse(a.achievedAt) - Date.parse(b.achievedAt) : 0)
+    || a.userId - b.userId;
+}
+
+/**
+ * Condition on a game mode column: whether the mode's rule matches
+ * @param {string} modeColumn
+ * @param {Function} predicate
+ * @returns {Object}
+ */
+function modeMatches(modeColumn, predicate) {
+  const mode = Prisma.raw(modeColumn);
+
+  if (predicate(DEFAULT_SCORE_RULE)) {
+    const others = getModesWhere((rule) => !predicate(rule));
+    return others.length > 0 ? Prisma.sql`${mode} NOT IN (${Prisma.join(others)})` : Prisma.sql`TRUE`;
+  }
+  const matching = getModesWhere(predicate);
+  return matching.length > 0 ? Prisma.sql`${mode} IN (${Prisma.join(matching)})` : Prisma.sql`FALSE`;
+}
+
+/**
+ * ORDER BY of RANK() over the unaliased rows of several modes, each by its own rule
+ * @returns {Object}
+ */
+function rankOrderByMode() {
+  return Prisma.sql`
+    CASE WHEN ${modeMatches('game_mode', (rule) => rule.lowerIsBetter)} THEN -total_score ELSE total_score END DESC,
+    CASE WHEN ${modeMatches('game_mode', (rule) => rule.earliestFirst)} THEN achieved_at END ASC
+  `;
+}
+
+module.exports = {
+  standingOrder,
+  rankOrder,
+  ranksAhead,
+  placedAhead,
+  placedBehind,
+  notBehindScore,
+  compareStandings,
+  modeMatches,
+  rankOrderByMode,
+};
@@ -0,0 +1,36 @@
+/**
+ * The season schedule as last loaded from Postgres. Boards are resolved on every
+ * request and submission, so they read it from memory; seasonService reloads it.
+ */
+let schedule = [];
+
+/**
+ * @param {Object[]} seasons - { id, name, startsAt, endsAt }
+ */
+function setSeasonSchedule(seasons) {
+  schedule = seasons
+    .map(({ id, name, startsAt, endsAt }) => ({ id, name, startsAt, endsAt }))
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+/**
+ * @param {Date} [at]
+ * @returns {Object|null} - The season running at the instant
+ */
+function getSeasonAt(at = new Date()) {
+  return schedule.find((season) => season.startsAt <= at && at < season.endsAt) ?? null;
+}
+
+/**
+ * @param {number} seasonId
+ * @returns {Object|null}
+ */
+function getScheduledSeason(seasonId) {
+  return schedule.find((season) => season.id === seasonId) ?? null;
+}
+
+module.exports = {
+  setSeasonSchedule,
+  getSeasonAt,
+  getScheduledSeason,
+};
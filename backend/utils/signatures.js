@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * Canonical form of a request signed by a game server
+ * @param {Object} request
+ * @param {string} request.timestamp - Unix seconds, as sent in X-Timestamp
+ * @param {string} request.nonce - Unique per request, as sent in X-Nonce
+ * @param {string} request.method
+ * @param {string} request.path - Path and query string
+ * @param {string} request.body - Raw request body, empty when there is none
+ * @returns {string}
+ */
+function signingPayload({ timestamp, nonce, method, path, body }) {
+  return [timestamp, nonce, method.toUpperCase(), path, body].join('\n');
+}
+
+/**
+ * @param {string} secret
+ * @param {Object} request - See signingPayload
+ * @returns {string} - Hex HMAC-SHA256, sent in X-Signature
+ */
+function signRequest(secret, request) {
+  return crypto.createHmac('sha256', secret).update(signingPayload(request)).digest('hex');
+}
+
+/**
+ * @param {string} secret
+ * @param {Object} request - See signingPayload
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function verifySignature(secret, request, signature) {
+  const expected = Buffer.from(signRequest(secret, request), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  signRequest,
+  verifySignature,
+};
@@ -0,0 +1,83 @@
+/**
+ * Username screening. Names are split into words and each word is folded
+ * before matching, so that case and digits standing in for letters do not
+ * get a blocked word through.
+ */
+const { USERNAME_BLOCKLIST, USERNAME_ALLOWLIST, GENERATED_USERNAME_PATTERN } = require('../config/profiles');
+
+const LOOKALIKES = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+};
+
+/**
+ * @param {string} word
+ * @returns {string} - Lowercase letters and the digits that do not stand in for one
+ */
+function foldUsername(word) {
+  return word
+    .toLowerCase()
+    .replace(/[0-9]/g, (digit) => LOOKALIKES[digit] ?? digit)
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Words of a name, split at separators and where the case changes
+ * (NightOwl, XXLord). Letters spelled out one or two at a time, as in
+ * f_u_c_k or fUcK, are joined back into one word.
+ * @param {string} name
+ * @returns {string[]} - Folded words
+ */
+function splitWords(name) {
+  const parts = name
+    .split(/[^A-Za-z0-9]+/)
+    .flatMap((part) => part.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/))
+    .filter(Boolean);
+
+  const words = [];
+  let spelled = '';
+  for (const part of parts) {
+    if (part.length <= 2) {
+      spelled += part;
+      continue;
+    }
+    if (spelled) words.push(spelled);
+    spelled = '';
+    words.push(part);
+  }
+  if (spelled) words.push(spelled);
+
+  return words.map(foldUsername);
+}
+
+/**
+ * @param {string} username
+ * @returns {boolean}
+ */
+function containsBlockedWord(username) {
+  return splitWords(username).some((folded) => {
+    // Digits left after folding stand for no letter, so they cannot hide the word's ends
+    const word = folded.replace(/^[0-9]+|[0-9]+$/g, '');
+    return !USERNAME_ALLOWLIST.includes(word)
+      && USERNAME_BLOCKLIST.some((blocked) => word.startsWith(blocked) || word.endsWith(blocked));
+  });
+}
+
+/**
+ * @param {string} username
+ * @returns {boolean} - Whether it is a name given to implicitly created players
+ */
+function isGeneratedUsername(username) {
+  return GENERATED_USERNAME_PATTERN.test(username);
+}
+
+module.exports = {
+  foldUsername,
+  containsBlockedWord,
+  isGeneratedUsername,
+};
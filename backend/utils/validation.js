@@ -1,4 +1,27 @@
 const { z } = require('zod');
+const {
+  ALL_MODES,
+  SEASON_WINDOW,
+  BOARD_WINDOWS,
+  TOP_SUBSCRIPTION_SIZES,
+} = require('../config/leaderboards');
+const {
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+  USERNAME_PATTERN,
+  COUNTRY_PATTERN,
+  AVATAR_URL_MAX_LENGTH,
+} = require('../config/profiles');
+const { RANK_CHANGE_HORIZONS } = require('../config/snapshots');
+const { SEASON_NAME_MAX_LENGTH } = require('../config/seasons');
+const {
+  TEAM_NAME_MIN_LENGTH,
+  TEAM_NAME_MAX_LENGTH,
+  TEAM_NAME_PATTERN,
+} = require('../config/teams');
+const { getDefaultWindow } = require('./boards');
+const { decodeCursor, decodeSessionCursor } = require('./cursors');
+const { containsBlockedWord, isGeneratedUsername } = require('./usernames');
 
 
 const submitScoreSchema = z.object({
@@ -8,7 +31,41 @@ const submitScoreSchema = z.object({
   score: z.number().int().min(0).max(1000000, {
     message: 'score must be between 0 and 1,000,000'
   }),
-  game_mode: z.string().min(1).max(50).optional().default('solo')
+  game_mode: z.string().min(1).max(50).refine((mode) => mode !== ALL_MODES, {
+    message: `game_mode cannot be '${ALL_MODES}'`
+  }).optional().default('solo'),
+  match_id: z.string().min(1).max(128).optional()
+});
+
+
+// Largest batch accepted by POST /submit/batch
+const MAX_BATCH_SIZE = 5000;
+
+const submitScoreBatchSchema = z.object({
+  scores: z.array(submitScoreSchema).min(1).max(MAX_BATCH_SIZE, {
+    message: `scores may contain at most ${MAX_BATCH_SIZE} items`
+  })
+}).superRefine(({ scores }, ctx) => {
+  const seen = new Set();
+  scores.forEach((item, index) => {
+    if (!item.match_id) return;
+    const key = `${item.user_id}:${item.match_id}`;
+    if (seen.has(key)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['scores', index, 'match_id'],
+        message: 'match_id is repeated for this user_id'
+      });
+    }
+    seen.add(key);
+  });
+});
+
+
+const playerTokenSchema = z.object({
+  user_id: z.number().int().positive({
+    message: 'user_id must be a positive integer'
+  })
 });
 
 
@@ -19,6 +76,97 @@ const userIdParamSchema = z.object({
 });
 
 
+const trackingIdParamSchema = z.object({
+  trackingId: z.string().uuid({
+    message: 'trackingId must be a UUID'
+  })
+});
+
+
+const seasonIdSchema = z.string().regex(/^\d+$/, {
+  message: 'season must be a season id'
+}).transform(Number);
+
+
+const boardFieldsSchema = z.object({
+  mode: z.string().min(1).max(50).optional().default(ALL_MODES),
+  window: z.enum(BOARD_WINDOWS).optional(),
+  period: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, {
+    message: 'period must be a date in YYYY-MM-DD format'
+  }).optional(),
+  season: seasonIdSchema.optional()
+}).passthrough();
+
+/**
+ * Past seasons are picked by id rather than by date; naming one implies the
+ * season window. Without a window the running season, if any, is read.
+ */
+function withBoardWindow(schema) {
+  return schema.superRefine((query, ctx) => {
+    const isSeason = query.window === SEASON_WINDOW || query.season !== undefined;
+    if (query.season !== undefined && query.window && query.window !== SEASON_WINDOW) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['season'],
+        message: `season only applies to the ${SEASON_WINDOW} window`
+      });
+    }
+    if (isSeason && query.period) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['period'],
+        message: 'pick a past season with season instead of period'
+      });
+    }
+  }).transform((query) => ({
+    ...query,
+    window: query.season !== undefined ? SEASON_WINDOW : query.window ?? getDefaultWindow()
+  }));
+}
+
+
+const boardQuerySchema = withBoardWindow(boardFieldsSchema);
+
+
+// Regional boards are per country
+const regionSchema = z.string().transform((region) => region.toUpperCase()).pipe(
+  z.string().regex(COUNTRY_PATTERN, {
+    message: 'region must be an ISO 3166-1 alpha-2 country code'
+  })
+);
+
+
+const rankQuerySchema = withBoardWindow(boardFieldsSchema.extend({
+  region: regionSchema.optional()
+}));
+
+
+const aroundQuerySchema = withBoardWindow(boardFieldsSchema.extend({
+  radius: z.string().optional().default('5').transform(Number).pipe(
+    z.number().int().min(1).max(25)
+  )
+}));
+
+
+// Climbers are measured on the current period, so no period may be picked
+const climbersQuerySchema = z.object({
+  mode: z.string().min(1).max(50).optional().default(ALL_MODES),
+  window: z.enum(BOARD_WINDOWS).optional().default(getDefaultWindow),
+  since: z.enum(Object.keys(RANK_CHANGE_HORIZONS)).optional().default('7d'),
+  limit: z.string().optional().default('10').transform(Number).pipe(
+    z.number().int().min(1).max(100)
+  )
+});
+
+
+const periodsQuerySchema = z.object({
+  window: z.enum(BOARD_WINDOWS.filter((window) => window !== 'alltime')),
+  limit: z.string().optional().default('30').transform(Number).pipe(
+    z.number().int().min(1).max(365)
+  )
+});
+
+
 const paginationSchema = z.object({
   limit: z.string().optional().default('10').transform(Number).pipe(
     z.number().int().min(1).max(100)
@@ -29,6 +177,253 @@ const paginationSchema = z.object({
 });
 
 
+const leaderboardPageQuerySchema = withBoardWindow(boardFieldsSchema.merge(paginationSchema).extend({
+  region: regionSchema.optional(),
+  cursor: z.string().max(256).transform((value, ctx) => {
+    const cursor = decodeCursor(value);
+    if (!cursor) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'cursor is invalid'
+      });
+      return z.NEVER;
+    }
+    return cursor;
+  }).optional()
+}));
+
+
+// A calendar date, read as UTC midnight, or an ISO 8601 timestamp
+const instantSchema = z.string().refine((value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) || z.string().datetime({ offset: true }).safeParse(value).success
+), {
+  message: 'must be a date (YYYY-MM-DD) or an ISO 8601 timestamp'
+}).transform((value) => new Date(value)).refine((date) => !Number.isNaN(date.getTime()), {
+  message: 'must be a valid date'
+});
+
+
+const playerHistoryQuerySchema = z.object({
+  mode: z.string().min(1).max(50).optional(),
+  from: instantSchema.optional(),
+  to: instantSchema.optional(),
+  limit: z.string().optional().default('50').transform(Number).pipe(
+    z.number().int().min(1).max(200)
+  ),
+  cursor: z.string().max(256).transform((value, ctx) => {
+    const cursor = decodeSessionCursor(value);
+    if (!cursor) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'cursor is invalid'
+      });
+      return z.NEVER;
+    }
+    return cursor;
+  }).optional()
+}).refine(({ from, to }) => !from || !to || from < to, {
+  message: 'from must be before to',
+  path: ['from']
+});
+
+
+const playerStatsQuerySchema = z.object({
+  mode: z.string().min(1).max(50).optional().default(ALL_MODES),
+  window: z.enum(BOARD_WINDOWS.filter((window) => window !== 'alltime')).optional().default('daily'),
+  periods: z.string().optional().default('30').transform(Number).pipe(
+    z.number().int().min(1).max(365)
+  )
+});
+
+
+const reconcileTotalsSchema = z.object({
+  repair: z.boolean().optional().default(false)
+});
+
+
+const FLAGGED_SCORE_STATUSES = ['pending', 'approved', 'rejected'];
+
+const flaggedScoresQuerySchema = paginationSchema.extend({
+  status: z.enum(FLAGGED_SCORE_STATUSES).optional()
+});
+
+
+const flaggedScoreIdParamSchema = z.object({
+  id: z.string().regex(/^\d+$/, {
+    message: 'id must be a valid number'
+  }).transform(Number)
+});
+
+
+const reviewFlaggedScoreSchema = z.object({
+  note: z.string().max(500).optional()
+});
+
+
+const notificationsQuerySchema = z.object({
+  unread: z.enum(['true', 'false']).optional().default('false').transform((value) => value === 'true'),
+  limit: z.string().optional().default('20').transform(Number).pipe(
+    z.number().int().min(1).max(100)
+  ),
+  before: z.string().regex(/^\d+$/, {
+    message: 'before must be a notification id'
+  }).transform(Number).optional()
+});
+
+
+const markNotificationsReadSchema = z.object({
+  ids: z.array(z.number().int().positive()).min(1).max(100).optional()
+});
+
+
+const usernameSchema = z.string().trim()
+  .min(USERNAME_MIN_LENGTH, {
+    message: `username must be at least ${USERNAME_MIN_LENGTH} characters`
+  })
+  .max(USERNAME_MAX_LENGTH, {
+    message: `username must be at most ${USERNAME_MAX_LENGTH} characters`
+  })
+  .regex(USERNAME_PATTERN, {
+    message: "username may contain letters, digits, '_', '.' and '-', and must start and end with a letter, digit or '_'"
+  })
+  .refine((username) => !isGeneratedUsername(username), {
+    message: "usernames of the form 'user_<number>' are reserved"
+  })
+  .refine((username) => !containsBlockedWord(username), {
+    message: 'username is not allowed'
+  });
+
+const avatarUrlSchema = z.string().max(AVATAR_URL_MAX_LENGTH).url().refine((url) => url.startsWith('https://'), {
+  message: 'avatar_url must be an https URL'
+});
+
+const countrySchema = z.string().transform((country) => country.toUpperCase()).pipe(
+  z.string().regex(COUNTRY_PATTERN, {
+    message: 'country must be an ISO 3166-1 alpha-2 code'
+  })
+);
+
+
+const createProfileSchema = z.object({
+  user_id: z.number().int().positive({
+    message: 'user_id must be a positive integer'
+  }),
+  username: usernameSchema,
+  avatar_url: avatarUrlSchema.optional(),
+  country: countrySchema.optional(),
+  join_date: z.string().datetime({ offset: true }).transform((value) => new Date(value)).refine(
+    (date) => date <= new Date(), {
+      message: 'join_date cannot be in the future'
+    }
+  ).optional()
+});
+
+
+const updateProfileSchema = z.object({
+  username: usernameSchema.optional(),
+  avatar_url: avatarUrlSchema.nullable().optional(),
+  country: countrySchema.nullable().optional()
+}).refine((changes) => Object.values(changes).some((value) => value !== undefined), {
+  message: 'Provide at least one of username, avatar_url or country'
+});
+
+
+const seasonIdParamSchema = z.object({
+  seasonId: z.string().regex(/^\d+$/, {
+    message: 'seasonId must be a valid number'
+  }).transform(Number)
+});
+
+
+const seasonsQuerySchema = z.object({
+  limit: z.string().optional().default('20').transform(Number).pipe(
+    z.number().int().min(1).max(100)
+  )
+});
+
+
+const createSeasonSchema = z.object({
+  name: z.string().trim().min(1).max(SEASON_NAME_MAX_LENGTH),
+  starts_at: z.string().datetime({ offset: true }).transform((value) => new Date(value)).optional(),
+  ends_at: z.string().datetime({ offset: true }).transform((value) => new Date(value)),
+  carry_over_percent: z.number().int().min(0).max(100).optional().default(0)
+}).refine((season) => season.ends_at > (season.starts_at ?? new Date()), {
+  message: 'ends_at must be after starts_at',
+  path: ['ends_at']
+});
+
+
+const followParamSchema = userIdParamSchema.extend({
+  targetId: z.string().regex(/^\d+$/, {
+    message: 'targetId must be a valid number'
+  }).transform(Number)
+});
+
+
+const friendsQuerySchema = withBoardWindow(boardFieldsSchema.extend({
+  mutual: z.enum(['true', 'false']).optional().default('false').transform((value) => value === 'true')
+}));
+
+
+const teamIdParamSchema = z.object({
+  teamId: z.string().regex(/^\d+$/, {
+    message: 'teamId must be a valid number'
+  }).transform(Number)
+});
+
+
+const teamMemberParamSchema = teamIdParamSchema.merge(userIdParamSchema);
+
+
+const createTeamSchema = z.object({
+  name: z.string().trim()
+    .min(TEAM_NAME_MIN_LENGTH, {
+      message: `name must be at least ${TEAM_NAME_MIN_LENGTH} characters`
+    })
+    .max(TEAM_NAME_MAX_LENGTH, {
+      message: `name must be at most ${TEAM_NAME_MAX_LENGTH} characters`
+    })
+    .regex(TEAM_NAME_PATTERN, {
+      message: "name may contain letters, digits, spaces, '_', '.' and '-', and must start and end with a letter or digit"
+    })
+    .refine((name) => !containsBlockedWord(name), {
+      message: 'name is not allowed'
+    })
+});
+
+
+const teamLeaderboardQuerySchema = withBoardWindow(boardFieldsSchema.merge(paginationSchema));
+
+
+const subscriptionBoardSchema = z.object({
+  mode: z.string().min(1).max(50).optional().default(ALL_MODES),
+  window: z.enum(BOARD_WINDOWS).optional().default(getDefaultWindow)
+});
+
+// Payload of the socket leaderboard:snapshot event
+const topSnapshotSchema = subscriptionBoardSchema.extend({
+  limit: z.number().int().refine((limit) => TOP_SUBSCRIPTION_SIZES.includes(limit), {
+    message: `limit must be one of ${TOP_SUBSCRIPTION_SIZES.join(', ')}`
+  }).optional().default(TOP_SUBSCRIPTION_SIZES[0])
+});
+
+// Payload of the socket subscribe and unsubscribe events
+const socketSubscriptionSchema = z.discriminatedUnion('type', [
+  subscriptionBoardSchema.extend({
+    type: z.literal('board')
+  }),
+  topSnapshotSchema.extend({
+    type: z.literal('top')
+  }),
+  z.object({
+    type: z.literal('player'),
+    userId: z.number().int().positive({
+      message: 'userId must be a positive integer'
+    })
+  })
+]);
+
+
 function validateRequest(schema, source = 'body') {
   return async (req, res, next) => {
     try {
@@ -61,7 +456,37 @@ function validateRequest(schema, source = 'body') {
 
 module.exports = {
   submitScoreSchema,
+  submitScoreBatchSchema,
+  playerTokenSchema,
   userIdParamSchema,
+  trackingIdParamSchema,
+  boardQuerySchema,
+  rankQuerySchema,
+  aroundQuerySchema,
+  climbersQuerySchema,
+  periodsQuerySchema,
   paginationSchema,
+  leaderboardPageQuerySchema,
+  playerHistoryQuerySchema,
+  playerStatsQuerySchema,
+  reconcileTotalsSchema,
+  flaggedScoresQuerySchema,
+  flaggedScoreIdParamSchema,
+  reviewFlaggedScoreSchema,
+  notificationsQuerySchema,
+  markNotificationsReadSchema,
+  createProfileSchema,
+  updateProfileSchema,
+  seasonIdParamSchema,
+  seasonsQuerySchema,
+  createSeasonSchema,
+  followParamSchema,
+  friendsQuerySchema,
+  teamIdParamSchema,
+  teamMemberParamSchema,
+  createTeamSchema,
+  teamLeaderboardQuerySchema,
+  topSnapshotSchema,
+  socketSubscriptionSchema,
   validateRequest,
 };
@@ -1,25 +1,80 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import LeaderboardTable from './components/LeaderboardTable';
 import PlayerRankSearch from './components/PlayerRankSearch';
 import LiveIndicator from './components/LiveIndicator';
-import { getTopPlayers } from './services/api';
+import Toasts from './components/Toasts';
+import ProfileEditor from './components/ProfileEditor';
+import PlayerDetail from './components/PlayerDetail';
+import FriendsLeaderboard from './components/FriendsLeaderboard';
+import {
+  getTopPlayers,
+  getPlayerId,
+  loadPlayerToken,
+  onPlayerChange,
+  getNotifications,
+  markNotificationsRead,
+  getCurrentSeason,
+} from './services/api';
 import socketService from './services/socket';
 import './App.css';
 
+const GAME_MODES = [
+  { value: 'all', label: 'All Modes' },
+  { value: 'solo', label: 'Solo' },
+  { value: 'team', label: 'Team' },
+];
+
+const PAGE_SIZE = 10;
+
+// Toasts on screen at once; older ones give way
+const MAX_TOASTS = 4;
+
+// The friends board needs a signed-in player
+const VIEWS = [
+  { value: 'top', label: `Top ${PAGE_SIZE}` },
+  { value: 'friends', label: 'Friends' },
+];
+
+const TIME_WINDOWS = [
+  { value: 'alltime', label: 'All-Time' },
+  { value: 'daily', label: 'Today' },
+  { value: 'weekly', label: 'This Week' },
+  { value: 'monthly', label: 'This Month' },
+];
+
 function App() {
   const [players, setPlayers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(null);
-  const [updateNotification, setUpdateNotification] = useState(null);
+  const [toasts, setToasts] = useState([]);
+  const [mode, setMode] = useState('all');
+  const [timeWindow, setTimeWindow] = useState('alltime');
+  const [periodEnd, setPeriodEnd] = useState(null);
+  const [season, setSeason] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [selectedPlayerId, setSelectedPlayerId] = useState(null);
+  const [view, setView] = useState('top');
+  const [playerId, setPlayerId] = useState(getPlayerId);
+  const modeRef = useRef(mode);
+  const timeWindowRef = useRef(timeWindow);
+  const pageCursorRef = useRef(null);
 
   const fetchLeaderboard = async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await getTopPlayers(10);
+      const response = await getTopPlayers(
+        PAGE_SIZE,
+        modeRef.current,
+        timeWindowRef.current,
+        pageCursorRef.current
+      );
       setPlayers(response.data);
+      setPagination(response.pagination);
+      setPeriodEnd(response.periodEnd);
       setLastUpdate(new Date().toISOString());
     } catch (err) {
       console.error('Failed to fetch leaderboard:', err);
@@ -40,15 +95,23 @@ function App() {
     const connectionInterval = setInterval(checkConnection, 1000);
     socketService.onLeaderboardUpdate((data) => {
       console.log('Leaderboard update received:', data);
-      
-      setUpdateNotification(`Player ${data.userId} scored ${data.score} points!`);
-      setTimeout(() => setUpdateNotification(null), 3000);
-      
-      fetchLeaderboard();
+
+      // The first page follows the live top through diffs; later pages reload
+      if (pageCursorRef.current) {
+        fetchLeaderboard();
+      }
+    });
+
+    socketService.onRankChanged((notification) => {
+      setToasts((current) => [
+        ...current.filter((toast) => toast.id !== notification.id),
+        notification,
+      ].slice(-MAX_TOASTS));
     });
 
     socketService.onLeaderboardData((data) => {
       console.log('Leaderboard data received:', data);
+      if (pageCursorRef.current) return;
       setPlayers(data);
       setLastUpdate(new Date().toISOString());
     });
@@ -63,10 +126,112 @@ function App() {
     };
   }, []);
 
+  useEffect(() => {
+    const subscription = { type: 'board', mode, window: timeWindow };
+    socketService.subscribe(subscription);
+    const stopWatching = socketService.watchTop({ mode, window: timeWindow, limit: PAGE_SIZE }, (entries) => {
+      if (pageCursorRef.current) return;
+      setPlayers(entries);
+      setLastUpdate(new Date().toISOString());
+    });
+
+    return () => {
+      stopWatching();
+      socketService.unsubscribe(subscription);
+    };
+  }, [mode, timeWindow]);
+
+  useEffect(() => {
+    getCurrentSeason()
+      .then((response) => {
+        setSeason(response.data);
+        // Open on the season, as the API does, unless another window was picked meanwhile
+        if (timeWindowRef.current === 'alltime') {
+          handleTimeWindowChange('season');
+        }
+      })
+      .catch((err) => {
+        if (err.status !== 404) console.error('Failed to load season:', err);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadPlayerToken().then(setPlayerId);
+    return onPlayerChange((nextPlayerId) => {
+      setPlayerId(nextPlayerId);
+      if (!nextPlayerId) setView('top');
+      // The socket authenticated with the previous token, if any
+      socketService.reauthenticate();
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!playerId) return undefined;
+
+    const subscription = { type: 'player', userId: playerId };
+    socketService.subscribe(subscription);
+
+    // Catch up on what happened while the page was closed
+    getNotifications({ unread: true, limit: MAX_TOASTS })
+      .then((response) => setToasts(response.data.reverse()))
+      .catch((err) => console.error('Failed to load notifications:', err));
+
+    return () => socketService.unsubscribe(subscription);
+  }, [playerId]);
+
+  const handleDismissToast = (id) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+    markNotificationsRead([id]).catch((err) => {
+      console.error('Failed to mark notification read:', err);
+    });
+  };
+
   const handleRefresh = () => {
     fetchLeaderboard();
   };
 
+  const resetPage = () => {
+    pageCursorRef.current = null;
+    setPage(1);
+    setPagination(null);
+  };
+
+  const handleModeChange = (nextMode) => {
+    if (nextMode === modeRef.current) return;
+    modeRef.current = nextMode;
+    setMode(nextMode);
+    setPlayers([]);
+    resetPage();
+    fetchLeaderboard();
+  };
+
+  const handleTimeWindowChange = (nextWindow) => {
+    if (nextWindow === timeWindowRef.current) return;
+    timeWindowRef.current = nextWindow;
+    setTimeWindow(nextWindow);
+    setPlayers([]);
+    resetPage();
+    fetchLeaderboard();
+  };
+
+  const handleNextPage = () => {
+    if (!pagination?.nextCursor) return;
+    pageCursorRef.current = pagination.nextCursor;
+    setPage((current) => current + 1);
+    fetchLeaderboard();
+  };
+
+  const handlePrevPage = () => {
+    if (!pagination?.prevCursor) return;
+    if (page <= 2) {
+      resetPage();
+    } else {
+      pageCursorRef.current = pagination.prevCursor;
+      setPage((current) => current - 1);
+    }
+    fetchLeaderboard();
+  };
+
   return (
     <div className="app">
       <header className="app-header">
@@ -83,15 +248,7 @@ function App() {
         </div>
       </header>
 
-      {updateNotification && (
-        <div className="update-notification">
-          <div className="notification-content">
-            <span className="notification-icon">⚡</span>
-            <span className="notification-text">{updateNotification}</span>
-            <span className="notification-pulse"></span>
-          </div>
-        </div>
-      )}
+      <Toasts notifications={toasts} onDismiss={handleDismissToast} />
 
       <main className="app-main">
         <div className="main-container">
@@ -105,9 +262,24 @@ function App() {
                   <p className="search-description">Search for any player by their ID to see their current ranking</p>
                 </div>
                 <div className="search-card-body">
-                  <PlayerRankSearch />
+                  <PlayerRankSearch
+                    mode={mode}
+                    timeWindow={timeWindow}
+                    onSelectPlayer={setSelectedPlayerId}
+                  />
                 </div>
               </div>
+              {playerId && (
+                <div className="search-card">
+                  <div className="search-card-header">
+                    <h2 className="search-title">Your Profile</h2>
+                    <p className="search-description">Choose the name, avatar and country shown on the leaderboards</p>
+                  </div>
+                  <div className="search-card-body">
+                    <ProfileEditor userId={playerId} />
+                  </div>
+                </div>
+              )}
             </section>
 
             <section className="leaderboard-section">
@@ -115,32 +287,105 @@ function App() {
                 <div className="leaderboard-header">
                   <div className="leaderboard-title-container">
                     <h2 className="leaderboard-title">
-                      Top 10 Players
+                      {view === 'friends' ? 'You and Your Friends'
+                        : page === 1 ? `Top ${PAGE_SIZE} Players` : `Leaderboard · Page ${page}`}
                     </h2>
+                    {playerId && (
+                      <div className="mode-tabs">
+                        {VIEWS.map(({ value, label }) => (
+                          <button
+                            key={value}
+                            type="button"
+                            className={`mode-tab ${view === value ? 'active' : ''}`}
+                            onClick={() => setView(value)}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <div className="mode-tabs">
+                      {GAME_MODES.map(({ value, label }) => (
+                        <button
+                          key={value}
+                          type="button"
+                          className={`mode-tab ${mode === value ? 'active' : ''}`}
+                          onClick={() => handleModeChange(value)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="mode-tabs">
+                      {(season ? [{ value: 'season', label: season.name }, ...TIME_WINDOWS] : TIME_WINDOWS).map(({ value, label }) => (
+                        <button
+                          key={value}
+                          type="button"
+                          className={`mode-tab ${timeWindow === value ? 'active' : ''}`}
+                          onClick={() => handleTimeWindowChange(value)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
                     <div className="last-update">
                       Last updated: {lastUpdate ? new Date(lastUpdate).toLocaleTimeString() : 'Loading...'}
                     </div>
+                    {periodEnd && (
+                      <div className="last-update">
+                        {timeWindow === 'season' ? 'Season ends' : 'Resets'}: {new Date(periodEnd).toLocaleString()}
+                      </div>
+                    )}
                   </div>
-                  <button 
-                    onClick={handleRefresh} 
-                    className="refresh-button"
-                    disabled={loading}
-                  >
-                    <span className="refresh-icon">
-                      {loading ? '⏳' : '🔄'}
-                    </span>
-                    <span className="refresh-text">
-                      {loading ? 'Refreshing...' : 'Refresh'}
-                    </span>
-                  </button>
+                  {view === 'top' && (
+                    <button 
+                      onClick={handleRefresh} 
+                      className="refresh-button"
+                      disabled={loading}
+                    >
+                      <span className="refresh-icon">
+                        {loading ? '⏳' : '🔄'}
+                      </span>
+                      <span className="refresh-text">
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                      </span>
+                    </button>
+                  )}
                 </div>
-                <LeaderboardTable players={players} loading={loading} error={error} />
+                {view === 'friends' ? (
+                  <FriendsLeaderboard
+                    userId={playerId}
+                    mode={mode}
+                    timeWindow={timeWindow}
+                    onSelectPlayer={setSelectedPlayerId}
+                  />
+                ) : (
+                  <LeaderboardTable
+                    players={players}
+                    loading={loading}
+                    error={error}
+                    page={page}
+                    hasNextPage={Boolean(pagination?.nextCursor)}
+                    hasPrevPage={Boolean(pagination?.prevCursor)}
+                    onNextPage={handleNextPage}
+                    onPrevPage={handlePrevPage}
+                    onSelectPlayer={setSelectedPlayerId}
+                  />
+                )}
               </div>
             </section>
           </div>
         </div>
       </main>
 
+      {selectedPlayerId && (
+        <PlayerDetail
+          userId={selectedPlayerId}
+          mode={mode}
+          onClose={() => setSelectedPlayerId(null)}
+        />
+      )}
+
       <footer className="app-footer">
         <div className="footer-content">
           <div className="footer-built-by">
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { getFriendsLeaderboard } from '../services/api';
+import PlayerAvatar, { countryFlag } from './PlayerAvatar';
+
+const FRIEND_FILTERS = [
+  { value: false, label: 'Following' },
+  { value: true, label: 'Mutual' },
+];
+
+/**
+ * The signed-in player ranked against the players they follow, with
+ * everyone's global rank beside their place in the group
+ */
+const FriendsLeaderboard = ({ userId, mode = 'all', timeWindow = 'alltime', onSelectPlayer }) => {
+  const [friends, setFriends] = useState(null);
+  const [mutual, setMutual] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getFriendsLeaderboard(userId, mode, timeWindow, mutual)
+      .then((response) => {
+        if (!cancelled) setFriends(response.data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setFriends(null);
+        setError(err.status === 404
+          ? 'Play a game on this board to compare yourself with your friends'
+          : err.message || 'Failed to load friends leaderboard');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, mode, timeWindow, mutual]);
+
+  const filters = (
+    <div className="mode-tabs">
+      {FRIEND_FILTERS.map(({ value, label }) => (
+        <button
+          key={label}
+          type="button"
+          className={`mode-tab ${mutual === value ? 'active' : ''}`}
+          onClick={() => setMutual(value)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (error) {
+    return (
+      <>
+        {filters}
+        <div className="error-message">
+          <div className="error-icon">⚠️</div>
+          <p>{error}</p>
+        </div>
+      </>
+    );
+  }
+
+  if (loading && !friends) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading friends...</p>
+      </div>
+    );
+  }
+
+  const { player, entries, unranked } = friends;
+
+  return (
+    <div className="leaderboard-table-container">
+      {filters}
+      <div className="last-update">
+        You are #{player.relativeRank} of {player.groupSize} · #{player.rank.toLocaleString()} of{' '}
+        {player.totalPlayers.toLocaleString()} overall
+        {unranked > 0 && ` · ${unranked} followed ${unranked === 1 ? 'player has' : 'players have'} no score here yet`}
+      </div>
+      {entries.length === 1 ? (
+        <div className="empty-state">
+          <p>{mutual ? 'No mutual friends on this board yet' : 'Follow players to see how you compare'}</p>
+        </div>
+      ) : (
+        <table className="leaderboard-table">
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Player</th>
+              <th>Global Rank</th>
+              <th>Total Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr
+                key={entry.userId}
+                className={`${entry.isCurrentPlayer ? 'current-player' : ''} ${onSelectPlayer ? 'selectable' : ''}`}
+                onClick={onSelectPlayer && (() => onSelectPlayer(entry.userId))}
+                onKeyDown={onSelectPlayer && ((e) => {
+                  if (e.key === 'Enter') onSelectPlayer(entry.userId);
+                })}
+                tabIndex={onSelectPlayer ? 0 : undefined}
+              >
+                <td className="rank-cell">
+                  <span className="rank-number">#{entry.relativeRank}</span>
+                </td>
+                <td className="player-cell">
+                  <div className="player-info">
+                    <PlayerAvatar player={entry} />
+                    <span className="player-name">{entry.username}</span>
+                    {countryFlag(entry.country) && (
+                      <span className="player-flag" title={entry.country}>
+                        {countryFlag(entry.country)}
+                      </span>
+                    )}
+                  </div>
+                </td>
+                <td className="rank-cell">
+                  {entry.rank === null || entry.rank === undefined ? '–' : `#${entry.rank.toLocaleString()}`}
+                </td>
+                <td className="score-cell">
+                  <span className="score-value">
+                    {entry.totalScore.toLocaleString()}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default FriendsLeaderboard;
@@ -1,6 +1,112 @@
-import React from 'react';
+import React, { useLayoutEffect, useRef } from 'react';
+import PlayerAvatar, { countryFlag } from './PlayerAvatar';
+
+const MOVE_DURATION_MS = 600;
+
+const CHANGE_CLASSES = ['rank-up', 'rank-down', 'rank-entered'];
+
+/**
+ * Slide rows from where they were drawn last time to where they are now
+ * and flag the ones whose rank changed. Only rows of the same page animate.
+ */
+function useRankAnimation(players, page) {
+  const rows = useRef(new Map());
+  const previous = useRef({ page, tops: new Map(), ranks: new Map() });
+
+  useLayoutEffect(() => {
+    const tops = new Map();
+    rows.current.forEach((row, userId) => tops.set(userId, row.getBoundingClientRect().top));
+    const ranks = new Map((players || []).map((player) => [player.userId, player.rank]));
+    const last = previous.current;
+    previous.current = { page, tops, ranks };
+
+    if (last.page !== page || last.ranks.size === 0) return;
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+    rows.current.forEach((row, userId) => {
+      const oldRank = last.ranks.get(userId);
+      const rank = ranks.get(userId);
+      const change = oldRank === undefined ? 'rank-entered'
+        : rank < oldRank ? 'rank-up'
+        : rank > oldRank ? 'rank-down'
+        : null;
+
+      const oldTop = last.tops.get(userId);
+      if (!reduceMotion && oldTop !== undefined && oldTop !== tops.get(userId)) {
+        row.style.transition = 'none';
+        row.style.transform = `translateY(${oldTop - tops.get(userId)}px)`;
+        // Commit the start position before transitioning away from it
+        row.getBoundingClientRect();
+        row.style.transition = `transform ${MOVE_DURATION_MS}ms ease`;
+        row.style.transform = '';
+      }
+
+      if (change) {
+        row.classList.remove(...CHANGE_CLASSES);
+        // Restart the animation when the same change happens twice in a row
+        void row.offsetWidth;
+        row.classList.add(change);
+      }
+    });
+  }, [players, page]);
+
+  return (userId) => (row) => {
+    if (row) {
+      rows.current.set(userId, row);
+    } else {
+      rows.current.delete(userId);
+    }
+  };
+}
+
+const TREND_LABELS = {
+  sinceSnapshot: 'since the last snapshot',
+  since24h: 'in 24h',
+  since7d: 'in 7 days',
+};
+
+function describeChange(change) {
+  if (change === null || change === undefined) return 'unknown';
+  if (change === 0) return 'no change';
+  return `${change > 0 ? 'up' : 'down'} ${Math.abs(change)}`;
+}
+
+/**
+ * ▲/▼ with the places moved since the last snapshot; the longer look-backs
+ * are in the tooltip. Nothing is shown while there is no earlier rank.
+ */
+const RankTrend = ({ rankChange }) => {
+  const change = rankChange?.sinceSnapshot;
+  if (change === null || change === undefined) return null;
+
+  const title = Object.entries(TREND_LABELS)
+    .map(([since, label]) => `${describeChange(rankChange[since])} ${label}`)
+    .join(', ');
+
+  if (change === 0) {
+    return <span className="rank-trend rank-trend-same" title={title}>–</span>;
+  }
+
+  return (
+    <span className={`rank-trend ${change > 0 ? 'rank-trend-up' : 'rank-trend-down'}`} title={title}>
+      {change > 0 ? '▲' : '▼'}{Math.abs(change)}
+    </span>
+  );
+};
+
+const LeaderboardTable = ({
+  players,
+  loading,
+  error,
+  page = 1,
+  hasNextPage = false,
+  hasPrevPage = false,
+  onNextPage,
+  onPrevPage,
+  onSelectPlayer,
+}) => {
+  const rowRef = useRankAnimation(players, page);
 
-const LeaderboardTable = ({ players, loading, error }) => {
   if (error) {
     return (
       <div className="error-message">
@@ -41,7 +147,13 @@ const LeaderboardTable = ({ players, loading, error }) => {
           {players.map((player, index) => (
             <tr 
               key={player.userId} 
-              className={`rank-${player.rank}`}
+              ref={rowRef(player.userId)}
+              className={`rank-${player.rank} ${onSelectPlayer ? 'selectable' : ''}`}
+              onClick={onSelectPlayer && (() => onSelectPlayer(player.userId))}
+              onKeyDown={onSelectPlayer && ((e) => {
+                if (e.key === 'Enter') onSelectPlayer(player.userId);
+              })}
+              tabIndex={onSelectPlayer ? 0 : undefined}
             >
               <td className="rank-cell">
                 {player.rank <= 3 ? (
@@ -51,13 +163,17 @@ const LeaderboardTable = ({ players, loading, error }) => {
                 ) : (
                   <span className="rank-number">#{player.rank}</span>
                 )}
+                <RankTrend rankChange={player.rankChange} />
               </td>
               <td className="player-cell">
                 <div className="player-info">
-                  <div className="player-avatar">
-                    {player.username.charAt(player.username.length - 1)}
-                  </div>
+                  <PlayerAvatar player={player} />
                   <span className="player-name">{player.username}</span>
+                  {countryFlag(player.country) && (
+                    <span className="player-flag" title={player.country}>
+                      {countryFlag(player.country)}
+                    </span>
+                  )}
                 </div>
               </td>
               <td className="score-cell">
@@ -69,6 +185,27 @@ const LeaderboardTable = ({ players, loading, error }) => {
           ))}
         </tbody>
       </table>
+      {(hasPrevPage || hasNextPage) && (
+        <div className="pagination">
+          <button
+            type="button"
+            className="pagination-button"
+            onClick={onPrevPage}
+            disabled={loading || !hasPrevPage}
+          >
+            ← Previous
+          </button>
+          <span className="pagination-page">Page {page}</span>
+          <button
+            type="button"
+            className="pagination-button"
+            onClick={onNextPage}
+            disabled={loading || !hasNextPage}
+          >
+            Next →
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+
+/**
+ * Flag emoji for an ISO 3166-1 alpha-2 country code
+ * @param {string|null} country
+ * @returns {string|null}
+ */
+export function countryFlag(country) {
+  if (!country || !/^[A-Z]{2}$/.test(country)) return null;
+  return String.fromCodePoint(...[...country].map((letter) => 0x1f1e6 + letter.charCodeAt(0) - 65));
+}
+
+/**
+ * The player's avatar image, or the first letter of their name when they
+ * have none or it fails to load
+ */
+const PlayerAvatar = ({ player, large = false }) => {
+  const [failedUrl, setFailedUrl] = useState(null);
+  const className = large ? 'player-avatar-large' : 'player-avatar';
+
+  if (player.avatarUrl && player.avatarUrl !== failedUrl) {
+    return (
+      <img
+        className={`${className} player-avatar-image`}
+        src={player.avatarUrl}
+        alt=""
+        loading="lazy"
+        referrerPolicy="no-referrer"
+        onError={() => setFailedUrl(player.avatarUrl)}
+      />
+    );
+  }
+
+  return (
+    <div className={className}>
+      {player.username.charAt(0).toUpperCase()}
+    </div>
+  );
+};
+
+export default PlayerAvatar;
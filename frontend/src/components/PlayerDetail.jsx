@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from 'react';
+import { getProfile, getPlayerStats, getScoreHistory } from '../services/api';
+import PlayerAvatar, { countryFlag } from './PlayerAvatar';
+import ScoreChart from './ScoreChart';
+
+// Sessions drawn in the score chart
+const HISTORY_SIZE = 100;
+
+const RANK_WINDOWS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+];
+
+/**
+ * A player's profile, statistics, recent scores and rank over past periods,
+ * shown over the page until closed
+ */
+const PlayerDetail = ({ userId, mode = 'all', onClose }) => {
+  const [profile, setProfile] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [rankWindow, setRankWindow] = useState('daily');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    Promise.all([
+      getProfile(userId),
+      getPlayerStats(userId, { mode, window: rankWindow }),
+      getScoreHistory(userId, { mode, limit: HISTORY_SIZE }),
+    ])
+      .then(([profileResponse, statsResponse, historyResponse]) => {
+        if (cancelled) return;
+        setProfile(profileResponse.data);
+        setStats(statsResponse.data);
+        setHistory(historyResponse.data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.status === 401
+          ? 'Sign in to view player details'
+          : err.message || 'Failed to load player details');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, mode, rankWindow]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const modeLabel = mode === 'all' ? 'all modes' : mode;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        className="modal player-detail"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Player details"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button type="button" className="modal-close" onClick={onClose} aria-label="Close">
+          ×
+        </button>
+
+        {loading && !stats && (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading player...</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="rank-error">
+            <span className="error-icon">⚠️</span>
+            <span>{error}</span>
+          </div>
+        )}
+
+        {profile && stats && !error && (
+          <>
+            <div className="rank-header">
+              <PlayerAvatar player={profile} large />
+              <div className="player-details">
+                <h3>
+                  {profile.username}
+                  {countryFlag(profile.country) && (
+                    <span className="player-flag" title={profile.country}>
+                      {countryFlag(profile.country)}
+                    </span>
+                  )}
+                </h3>
+                <p className="user-id">
+                  ID: {profile.userId} · Joined {new Date(profile.joinDate).toLocaleDateString()}
+                </p>
+              </div>
+            </div>
+
+            <div className="rank-stats">
+              <div className="stat-item">
+                <div className="stat-label">Best Score</div>
+                <div className="stat-value">{stats.overall?.bestScore.toLocaleString() ?? '–'}</div>
+              </div>
+              <div className="stat-item">
+                <div className="stat-label">Average</div>
+                <div className="stat-value">{stats.overall?.averageScore.toLocaleString() ?? '–'}</div>
+              </div>
+              <div className="stat-item">
+                <div className="stat-label">Streak</div>
+                <div className="stat-value" title={`Longest: ${stats.streaks.longest} days`}>
+                  {stats.streaks.current} {stats.streaks.current === 1 ? 'day' : 'days'}
+                </div>
+              </div>
+            </div>
+
+            {stats.modes.length > 0 && (
+              <table className="mode-stats">
+                <thead>
+                  <tr>
+                    <th>Mode</th>
+                    <th>Games</th>
+                    <th>Best</th>
+                    <th>Average</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.modes.map((row) => (
+                    <tr key={row.gameMode}>
+                      <td>{row.gameMode}</td>
+                      <td>{row.gamesPlayed.toLocaleString()}</td>
+                      <td>{row.bestScore.toLocaleString()}</td>
+                      <td>{row.averageScore.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <div className="chart-section">
+              <div className="stat-label">Scores over time ({modeLabel}, last {HISTORY_SIZE} games)</div>
+              <ScoreChart
+                label="Score per game over time"
+                points={history.map((session) => ({ time: session.playedAt, value: session.score }))}
+              />
+            </div>
+
+            <div className="chart-section">
+              <div className="chart-header">
+                <div className="stat-label">Final rank per period ({modeLabel})</div>
+                <div className="mode-tabs">
+                  {RANK_WINDOWS.map(({ value, label }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      className={`mode-tab ${rankWindow === value ? 'active' : ''}`}
+                      onClick={() => setRankWindow(value)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <ScoreChart
+                label="Final rank per period"
+                invert
+                format={(rank) => `#${rank}`}
+                points={stats.rankHistory.entries
+                  .filter((entry) => entry.rank !== null)
+                  .map((entry) => ({ time: entry.periodStart, value: entry.rank }))}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlayerDetail;
@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
-import { getPlayerRank } from '../services/api';
+import { getPlayersAround } from '../services/api';
+import PlayerAvatar, { countryFlag } from './PlayerAvatar';
 
-const PlayerRankSearch = () => {
+const PlayerRankSearch = ({ mode = 'all', timeWindow = 'alltime', onSelectPlayer }) => {
   const [userId, setUserId] = useState('');
   const [rankData, setRankData] = useState(null);
+  const [neighbors, setNeighbors] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -24,13 +26,17 @@ const PlayerRankSearch = () => {
     setLoading(true);
     setError(null);
     setRankData(null);
+    setNeighbors([]);
 
     try {
-      const response = await getPlayerRank(userIdNum);
-      setRankData(response.data);
+      const response = await getPlayersAround(userIdNum, 3, mode, timeWindow);
+      setRankData(response.data.player);
+      setNeighbors(response.data.entries);
       setError(null);
     } catch (err) {
-      setError(err.message || 'Failed to fetch player rank');
+      setError(err.status === 401
+        ? 'Sign in to look up player ranks'
+        : err.message || 'Failed to fetch player rank');
       setRankData(null);
     } finally {
       setLoading(false);
@@ -40,6 +46,7 @@ const PlayerRankSearch = () => {
   const handleClear = () => {
     setUserId('');
     setRankData(null);
+    setNeighbors([]);
     setError(null);
   };
 
@@ -87,12 +94,22 @@ const PlayerRankSearch = () => {
         <div className="rank-result">
           <div className="rank-card">
             <div className="rank-header">
-              <div className="player-avatar-large">
-                {rankData.username.charAt(rankData.username.length - 1)}
-              </div>
+              <PlayerAvatar player={rankData} large />
               <div className="player-details">
-                <h3>{rankData.username}</h3>
+                <h3>
+                  {rankData.username}
+                  {countryFlag(rankData.country) && (
+                    <span className="player-flag" title={rankData.country}>
+                      {countryFlag(rankData.country)}
+                    </span>
+                  )}
+                </h3>
                 <p className="user-id">ID: {rankData.userId}</p>
+                {rankData.joinDate && (
+                  <p className="user-id">
+                    Joined {new Date(rankData.joinDate).toLocaleDateString()}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -128,8 +145,36 @@ const PlayerRankSearch = () => {
             <div className="rank-footer">
               <span className="total-players">
                 Out of {rankData.totalPlayers.toLocaleString()} players
+                {rankData.gameMode && rankData.gameMode !== 'all' && ` in ${rankData.gameMode}`}
               </span>
+              {onSelectPlayer && (
+                <button
+                  type="button"
+                  className="clear-button"
+                  onClick={() => onSelectPlayer(rankData.userId)}
+                >
+                  View details
+                </button>
+              )}
             </div>
+
+            {neighbors.length > 1 && (
+              <div className="neighbors">
+                <div className="stat-label">Players near you</div>
+                <ul className="neighbors-list">
+                  {neighbors.map((entry) => (
+                    <li
+                      key={entry.userId}
+                      className={`neighbor-row ${entry.isCurrentPlayer ? 'current' : ''}`}
+                    >
+                      <span className="rank-number">#{entry.rank}</span>
+                      <span className="player-name">{entry.username}</span>
+                      <span className="score-value">{entry.totalScore.toLocaleString()}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { getProfile, updateProfile } from '../services/api';
+import PlayerAvatar from './PlayerAvatar';
+
+const toForm = (profile) => ({
+  username: profile.username,
+  avatarUrl: profile.avatarUrl ?? '',
+  country: profile.country ?? '',
+});
+
+/**
+ * The signed-in player's name, avatar and country
+ */
+const ProfileEditor = ({ userId }) => {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    getProfile(userId)
+      .then((response) => {
+        setProfile(response.data);
+        setForm(toForm(response.data));
+      })
+      .catch((err) => {
+        // Players get a profile with their first score
+        if (err.status !== 404) setError(err.message || 'Failed to load your profile');
+      });
+  }, [userId]);
+
+  if (!profile) {
+    return error ? <div className="rank-error">{error}</div> : null;
+  }
+
+  const handleChange = (field) => (e) => {
+    setForm((current) => ({ ...current, [field]: e.target.value }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Only send what changed; empty fields clear the avatar and country
+    const changes = {};
+    if (form.username.trim() !== profile.username) changes.username = form.username.trim();
+    if (form.avatarUrl.trim() !== (profile.avatarUrl ?? '')) changes.avatar_url = form.avatarUrl.trim() || null;
+    if (form.country.trim().toUpperCase() !== (profile.country ?? '')) changes.country = form.country.trim() || null;
+    if (Object.keys(changes).length === 0) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await updateProfile(userId, changes);
+      setProfile(response.data);
+      setForm(toForm(response.data));
+      setSaved(true);
+    } catch (err) {
+      setError(err.details?.[0]?.message || err.message || 'Failed to update your profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="profile-form">
+      <div className="rank-header">
+        <PlayerAvatar player={profile} large />
+        <div className="player-details">
+          <h3>{profile.username}</h3>
+          <p className="user-id">
+            ID: {profile.userId} · Joined {new Date(profile.joinDate).toLocaleDateString()}
+          </p>
+        </div>
+      </div>
+
+      <label className="profile-field">
+        <span className="stat-label">Username</span>
+        <input
+          className="search-input"
+          value={form.username}
+          onChange={handleChange('username')}
+          minLength={3}
+          maxLength={24}
+          required
+        />
+      </label>
+      <label className="profile-field">
+        <span className="stat-label">Avatar URL</span>
+        <input
+          className="search-input"
+          type="url"
+          placeholder="https://"
+          value={form.avatarUrl}
+          onChange={handleChange('avatarUrl')}
+        />
+      </label>
+      <label className="profile-field">
+        <span className="stat-label">Country</span>
+        <input
+          className="search-input"
+          placeholder="e.g. DE"
+          value={form.country}
+          onChange={handleChange('country')}
+          maxLength={2}
+        />
+      </label>
+
+      {error && (
+        <div className="rank-error">
+          <span className="error-icon">⚠️</span>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="input-group">
+        <button type="submit" className="search-button" disabled={saving}>
+          {saving ? 'Saving...' : 'Save profile'}
+        </button>
+        {saved && <span className="profile-saved">Saved</span>}
+      </div>
+    </form>
+  );
+};
+
+export default ProfileEditor;
@@ -0,0 +1,76 @@
+import React from 'react';
+
+const WIDTH = 560;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 48 };
+
+/**
+ * Line chart of values over time, drawn as a plain SVG
+ * @param {Object[]} points - { time: Date|string, value: number }, in any order
+ * @param {boolean} [invert] - Draw lower values higher, e.g. for ranks
+ * @param {Function} [format] - Axis and tooltip label of a value
+ */
+const ScoreChart = ({ points, invert = false, format = (value) => value.toLocaleString(), label }) => {
+  if (points.length === 0) {
+    return <p className="chart-empty">No data yet</p>;
+  }
+
+  const sorted = points
+    .map((point) => ({ time: new Date(point.time).getTime(), value: point.value }))
+    .sort((a, b) => a.time - b.time);
+
+  const times = sorted.map((point) => point.time);
+  const values = sorted.map((point) => point.value);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  // A single point or a flat line sits in the middle instead of dividing by zero
+  const x = (time) => PADDING.left + (maxTime === minTime ? innerWidth / 2 : ((time - minTime) / (maxTime - minTime)) * innerWidth);
+  const y = (value) => {
+    const share = maxValue === minValue ? 0.5 : (value - minValue) / (maxValue - minValue);
+    return PADDING.top + (invert ? share : 1 - share) * innerHeight;
+  };
+
+  const path = sorted
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`)
+    .join(' ');
+
+  const top = invert ? minValue : maxValue;
+  const bottom = invert ? maxValue : minValue;
+
+  return (
+    <svg className="score-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={label}>
+      <line
+        className="chart-axis"
+        x1={PADDING.left}
+        y1={HEIGHT - PADDING.bottom}
+        x2={WIDTH - PADDING.right}
+        y2={HEIGHT - PADDING.bottom}
+      />
+      <text className="chart-label" x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end">
+        {format(top)}
+      </text>
+      <text className="chart-label" x={PADDING.left - 6} y={HEIGHT - PADDING.bottom} textAnchor="end">
+        {format(bottom)}
+      </text>
+      <text className="chart-label" x={PADDING.left} y={HEIGHT - 6}>
+        {new Date(minTime).toLocaleDateString()}
+      </text>
+      <text className="chart-label" x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">
+        {new Date(maxTime).toLocaleDateString()}
+      </text>
+      <path className="chart-line" d={path} />
+      {sorted.map((point, index) => (
+        <circle key={index} className="chart-point" cx={x(point.time)} cy={y(point.value)} r={3}>
+          <title>{`${new Date(point.time).toLocaleString()}: ${format(point.value)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default ScoreChart;
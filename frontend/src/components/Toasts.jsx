@@ -0,0 +1,58 @@
+import React, { useEffect } from 'react';
+
+const TOAST_DURATION_MS = 6000;
+
+function boardLabel({ mode, window }) {
+  const scope = mode === 'all' ? 'overall' : `in ${mode}`;
+  return window === 'alltime' ? scope : `${scope} (${window})`;
+}
+
+/**
+ * @param {Object} notification - rank:changed payload or inbox entry
+ * @returns {string}
+ */
+function describeNotification(notification) {
+  if (notification.type === 'entered_top') {
+    return `You entered the top ${notification.top} ${boardLabel(notification)} at #${notification.rank}!`;
+  }
+  if (notification.type === 'passed') {
+    return `${notification.passedBy.username} passed you ${boardLabel(notification)}. You are now #${notification.rank}.`;
+  }
+  return 'Your rank changed';
+}
+
+const Toast = ({ notification, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(notification.id), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [notification.id]);
+
+  return (
+    <div className={`toast toast-${notification.type}`} role="status">
+      <span className="toast-icon">{notification.type === 'entered_top' ? '🏆' : '⚔️'}</span>
+      <span className="toast-text">{describeNotification(notification)}</span>
+      <button
+        type="button"
+        className="toast-close"
+        onClick={() => onDismiss(notification.id)}
+        aria-label="Dismiss notification"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+const Toasts = ({ notifications, onDismiss }) => {
+  if (notifications.length === 0) return null;
+
+  return (
+    <div className="toast-stack" aria-live="polite">
+      {notifications.map((notification) => (
+        <Toast key={notification.id} notification={notification} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+};
+
+export default Toasts;
@@ -2,6 +2,12 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8000/api/leaderboard';
 
+// Notifications, profiles, seasons and tokens live next to the leaderboard API rather than under it
+const NOTIFICATIONS_URL = API_BASE_URL.replace(/\/leaderboard\/?$/, '/notifications');
+const USERS_URL = API_BASE_URL.replace(/\/leaderboard\/?$/, '/users');
+const SEASONS_URL = API_BASE_URL.replace(/\/leaderboard\/?$/, '/seasons');
+const AUTH_URL = API_BASE_URL.replace(/\/leaderboard\/?$/, '/auth');
+
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
@@ -10,8 +16,139 @@ const apiClient = axios.create({
   },
 });
 
+// Endpoint of the site hosting the dashboard that answers, like POST /api/auth/token,
+// with a read token for its signed-in player: { data: { token } }. It is called
+// with the site's cookies, so the game server can tell who is signed in.
+const PLAYER_TOKEN_URL = import.meta.env.VITE_PLAYER_TOKEN_URL || null;
+
+// Tokens are renewed this long before they expire
+const TOKEN_RENEWAL_MARGIN_MS = 60 * 1000;
+
+// Without PLAYER_TOKEN_URL, a token pasted into the build for local development
+let playerToken = import.meta.env.VITE_PLAYER_TOKEN || null;
+let renewalTimer = null;
+let renewal = null;
+const tokenListeners = new Set();
+
+function readClaims(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isExpired(token) {
+  const exp = readClaims(token)?.exp;
+  return !exp || exp * 1000 <= Date.now();
+}
+
+/**
+ * @param {string|null} token 
+ */
+export function setPlayerToken(token) {
+  const previousPlayerId = getPlayerId();
+  playerToken = token;
+
+  clearTimeout(renewalTimer);
+  const exp = token && readClaims(token)?.exp;
+  if (exp) {
+    const delay = Math.max(exp * 1000 - Date.now() - TOKEN_RENEWAL_MARGIN_MS, 0);
+    renewalTimer = setTimeout(() => {
+      renewPlayerToken().catch((err) => console.error('Failed to renew player token:', err));
+    }, delay);
+  }
+
+  if (getPlayerId() !== previousPlayerId) {
+    tokenListeners.forEach((listener) => listener(getPlayerId()));
+  }
+}
+
+export function getPlayerToken() {
+  return playerToken;
+}
+
+/**
+ * Id of the player the token was issued for, read from its claims
+ * @returns {number|null}
+ */
+export function getPlayerId() {
+  if (!playerToken) return null;
+  const userId = Number(readClaims(playerToken)?.sub);
+  return Number.isInteger(userId) ? userId : null;
+}
+
+/**
+ * @param {Function} listener - Called with the new player id, or null once signed out
+ * @returns {Function} Stops listening
+ */
+export function onPlayerChange(listener) {
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+}
+
+async function fetchPlayerToken() {
+  if (playerToken && !isExpired(playerToken)) {
+    try {
+      const response = await axios.post(`${AUTH_URL}/token/refresh`, null, {
+        headers: { Authorization: `Bearer ${playerToken}` },
+        timeout: 10000,
+      });
+      return response.data.data.token;
+    } catch (err) {
+      // The session outlived JWT_SESSION_SECONDS; the game server can start a new one
+      if (err.response?.status !== 401 || !PLAYER_TOKEN_URL) throw err;
+    }
+  }
+  if (!PLAYER_TOKEN_URL) return null;
+
+  const response = await axios.get(PLAYER_TOKEN_URL, { withCredentials: true, timeout: 10000 });
+  return response.data.data.token;
+}
+
+/**
+ * Replace the player token before it expires, or after the API refused it.
+ * Concurrent callers share one renewal.
+ * @returns {Promise<string|null>} The new token; null when the player is signed out
+ */
+export function renewPlayerToken() {
+  if (!renewal) {
+    renewal = fetchPlayerToken()
+      .then((token) => {
+        setPlayerToken(token);
+        return token;
+      }, (err) => {
+        // Not signed in on the hosting site, or the token cannot be renewed
+        if (err.response?.status === 401 || isExpired(playerToken)) setPlayerToken(null);
+        throw err;
+      })
+      .finally(() => {
+        renewal = null;
+      });
+  }
+  return renewal;
+}
+
+/**
+ * Get a token for the signed-in player when the dashboard opens
+ * @returns {Promise<number|null>} The player id; null when nobody is signed in
+ */
+export async function loadPlayerToken() {
+  if (playerToken && !isExpired(playerToken)) {
+    // Only schedules its renewal
+    setPlayerToken(playerToken);
+  } else {
+    await renewPlayerToken().catch((err) => console.error('Failed to load player token:', err));
+  }
+  return getPlayerId();
+}
+
 apiClient.interceptors.request.use(
   (config) => {
+    if (playerToken) {
+      config.headers.Authorization = `Bearer ${playerToken}`;
+    }
     console.log(`[API Request] ${config.method.toUpperCase()} ${config.url}`);
     return config;
   },
@@ -26,8 +163,21 @@ apiClient.interceptors.response.use(
     console.log(`[API Response] ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status}`);
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('[API Response Error]', error);
+
+    // An expired token: renew it once and repeat the request
+    const { config } = error;
+    if (error.response?.status === 401 && config?.headers?.Authorization && !config.retriedWithNewToken) {
+      const token = await renewPlayerToken().catch((err) => {
+        console.error('Failed to renew player token:', err);
+        return null;
+      });
+      if (token) {
+        config.retriedWithNewToken = true;
+        return apiClient(config);
+      }
+    }
     
     const message = error.response?.data?.error || error.message || 'An error occurred';
     
@@ -40,46 +190,168 @@ apiClient.interceptors.response.use(
 );
 
 /**
- * @param {number} userId 
- * @param {number} score 
- * @param {string} gameMode 
- */
-export async function submitScore(userId, score, gameMode = 'solo') {
-  const response = await apiClient.post('/submit', {
-    user_id: userId,
-    score,
-    game_mode: gameMode,
+ * @param {number} limit 
+ * @param {string} mode 
+ * @param {string} window - alltime, daily, weekly, monthly or season
+ * @param {string} cursor - nextCursor or prevCursor from a previous page
+ */
+export async function getTopPlayers(limit = 10, mode = 'all', window = 'alltime', cursor = null) {
+  const response = await apiClient.get('/top', {
+    params: { limit, mode, window, ...(cursor && { cursor }) },
   });
   return response.data;
 }
 
 /**
- * @param {number} limit 
+ * @param {number} userId 
+ * @param {string} mode 
+ * @param {string} window - alltime, daily, weekly, monthly or season
  */
-export async function getTopPlayers(limit = 10) {
-  const response = await apiClient.get('/top', {
-    params: { limit },
+export async function getPlayerRank(userId, mode = 'all', window = 'alltime') {
+  const response = await apiClient.get(`/rank/${userId}`, {
+    params: { mode, window },
   });
   return response.data;
 }
 
 /**
  * @param {number} userId 
+ * @param {number} radius - Players to include above and below
+ * @param {string} mode 
+ * @param {string} window 
+ */
+export async function getPlayersAround(userId, radius = 3, mode = 'all', window = 'alltime') {
+  const response = await apiClient.get(`/rank/${userId}/around`, {
+    params: { radius, mode, window },
+  });
+  return response.data;
+}
+
+/**
+ * A player ranked against the players they follow
+ * @param {number} userId
+ * @param {string} mode
+ * @param {string} window
+ * @param {boolean} mutual - Only players who follow back
+ */
+export async function getFriendsLeaderboard(userId, mode = 'all', window = 'alltime', mutual = false) {
+  const response = await apiClient.get(`/friends/${userId}`, {
+    params: { mode, window, mutual },
+  });
+  return response.data;
+}
+
+/**
+ * A player's sessions, newest first
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {string} [options.mode] - One game mode; every mode when omitted
+ * @param {string} [options.from] - Date or ISO timestamp
+ * @param {string} [options.to] - Date or ISO timestamp
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] - nextCursor from a previous page
+ */
+export async function getScoreHistory(userId, { mode, from, to, limit = 50, cursor } = {}) {
+  const response = await apiClient.get(`/players/${userId}/history`, {
+    params: {
+      limit,
+      ...(mode && mode !== 'all' && { mode }),
+      ...(from && { from }),
+      ...(to && { to }),
+      ...(cursor && { cursor }),
+    },
+  });
+  return response.data;
+}
+
+/**
+ * Best and average scores, games per mode, streaks and rank over recent periods
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Board of the rank history
+ * @param {string} [options.window] - daily, weekly or monthly
+ */
+export async function getPlayerStats(userId, { mode = 'all', window = 'daily' } = {}) {
+  const response = await apiClient.get(`/players/${userId}/stats`, {
+    params: { mode, window },
+  });
+  return response.data;
+}
+
+/**
+ * @param {string} mode 
+ */
+export async function getStats(mode = 'all') {
+  const response = await apiClient.get('/stats', {
+    params: { mode },
+  });
+  return response.data;
+}
+
+/**
+ * The signed-in player's notification inbox, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.unread] - Only unread notifications
+ * @param {number} [options.limit]
+ */
+export async function getNotifications({ unread = false, limit = 20 } = {}) {
+  const response = await apiClient.get(NOTIFICATIONS_URL, {
+    params: { unread, limit },
+  });
+  return response.data;
+}
+
+/**
+ * @param {number[]} [ids] - Every unread notification when omitted
+ */
+export async function markNotificationsRead(ids) {
+  const response = await apiClient.post(`${NOTIFICATIONS_URL}/read`, ids ? { ids } : {});
+  return response.data;
+}
+
+/**
+ * @param {number} userId
  */
-export async function getPlayerRank(userId) {
-  const response = await apiClient.get(`/rank/${userId}`);
+export async function getProfile(userId) {
+  const response = await apiClient.get(`${USERS_URL}/${userId}`);
   return response.data;
 }
 
+/**
+ * Change the signed-in player's profile
+ * @param {number} userId
+ * @param {Object} changes - Any of username, avatar_url, country; null clears the last two
+ */
+export async function updateProfile(userId, changes) {
+  const response = await apiClient.patch(`${USERS_URL}/${userId}`, changes);
+  return response.data;
+}
 
-export async function getStats() {
-  const response = await apiClient.get('/stats');
+/**
+ * The running season; rejects with status 404 between seasons
+ */
+export async function getCurrentSeason() {
+  const response = await apiClient.get(`${SEASONS_URL}/current`);
   return response.data;
 }
 
 export default {
-  submitScore,
+  setPlayerToken,
+  getPlayerToken,
+  getPlayerId,
+  onPlayerChange,
+  renewPlayerToken,
+  loadPlayerToken,
   getTopPlayers,
   getPlayerRank,
+  getPlayersAround,
+  getFriendsLeaderboard,
+  getScoreHistory,
+  getPlayerStats,
   getStats,
+  getNotifications,
+  markNotificationsRead,
+  getProfile,
+  updateProfile,
+  getCurrentSeason,
 };
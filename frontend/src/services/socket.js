@@ -1,11 +1,51 @@
 import { io } from 'socket.io-client';
+import { getPlayerToken } from './api';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:8000';
 
+/**
+ * Rank changes are measured against fixed earlier ranks, so a move shifts each
+ * known one by the places gained
+ */
+function shiftRankChange(rankChange, places) {
+  if (!rankChange || !places) return rankChange;
+  return Object.fromEntries(Object.entries(rankChange).map(([since, change]) => [
+    since,
+    change === null ? null : change + places,
+  ]));
+}
+
+/**
+ * Apply a leaderboard:diff to the entries of the version it follows
+ * @param {Array} entries
+ * @param {Object} diff - { entered, left, moved, scores }
+ * @returns {Array} New entries, best first
+ */
+export function applyTopDiff(entries, { entered, left, moved, scores }) {
+  const removed = new Set(left);
+  const ranks = new Map(moved.map(({ userId, to }) => [userId, to]));
+  const shifts = new Map(moved.map(({ userId, from, to }) => [userId, from - to]));
+  const totals = new Map(scores.map(({ userId, totalScore }) => [userId, totalScore]));
+
+  return entries
+    .filter((entry) => !removed.has(entry.userId))
+    .map((entry) => ({
+      ...entry,
+      rank: ranks.get(entry.userId) ?? entry.rank,
+      totalScore: totals.get(entry.userId) ?? entry.totalScore,
+      rankChange: shiftRankChange(entry.rankChange, shifts.get(entry.userId)),
+    }))
+    .concat(entered)
+    .sort((a, b) => a.rank - b.rank);
+}
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.listeners = new Map();
+    // Rooms to (re)join on every connect, keyed by their serialized payload
+    this.subscriptions = new Map();
+    this.topWatchers = new Set();
   }
 
 
@@ -23,10 +63,21 @@ class SocketService {
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       reconnectionAttempts: 5,
+      // Sends the sticky-session cookie that pins polling requests to one API instance
+      withCredentials: true,
+      auth: (cb) => cb(getPlayerToken() ? { token: getPlayerToken() } : {}),
     });
 
     this.socket.on('connect', () => {
       console.log('[Socket] Connected with ID:', this.socket.id);
+      // Rooms do not survive a reconnect
+      this.subscriptions.forEach((subscription) => this.emitSubscription('subscribe', subscription));
+      // Diffs sent while disconnected are lost, so start again from a snapshot
+      this.topWatchers.forEach((watcher) => this.loadTopSnapshot(watcher));
+    });
+
+    this.socket.on('leaderboard:diff', (diff) => {
+      this.topWatchers.forEach((watcher) => this.handleTopDiff(watcher, diff));
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -51,13 +102,123 @@ class SocketService {
   }
 
 
+  /**
+   * Reconnect so the server sees the current player token; rooms are rejoined
+   */
+  reauthenticate() {
+    if (!this.socket) return;
+    this.socket.disconnect().connect();
+  }
+
+
   disconnect() {
     if (this.socket) {
       console.log('[Socket] Disconnecting...');
       this.socket.disconnect();
       this.socket = null;
       this.listeners.clear();
+      this.subscriptions.clear();
+      this.topWatchers.clear();
+    }
+  }
+
+  /**
+   * Join a room: { type: 'board', mode, window }, { type: 'top', mode, window, limit }
+   * or { type: 'player', userId }. Kept across reconnects until unsubscribed.
+   * @param {Object} subscription
+   */
+  subscribe(subscription) {
+    this.subscriptions.set(JSON.stringify(subscription), subscription);
+    if (this.socket?.connected) {
+      this.emitSubscription('subscribe', subscription);
+    }
+  }
+
+  /**
+   * @param {Object} subscription - Same payload that was passed to subscribe
+   */
+  unsubscribe(subscription) {
+    this.subscriptions.delete(JSON.stringify(subscription));
+    if (this.socket?.connected) {
+      this.emitSubscription('unsubscribe', subscription);
+    }
+  }
+
+  emitSubscription(event, subscription) {
+    this.socket.emit(event, subscription, (response) => {
+      if (!response?.success) {
+        console.error(`[Socket] ${event} failed:`, response?.error);
+      }
+    });
+  }
+
+  /**
+   * Follow a live top-N: join its room, load a snapshot and apply the diffs
+   * pushed after it, loading a new snapshot whenever one is missed
+   * @param {Object} top - { mode, window, limit }
+   * @param {Function} onChange - Called with the entries after every snapshot and diff
+   * @returns {Function} Stops following
+   */
+  watchTop(top, onChange) {
+    const subscription = { type: 'top', ...top };
+    const watcher = { top, onChange, version: null, entries: [], loading: false, pending: [] };
+
+    this.topWatchers.add(watcher);
+    this.subscribe(subscription);
+    this.loadTopSnapshot(watcher);
+
+    return () => {
+      this.topWatchers.delete(watcher);
+      this.unsubscribe(subscription);
+    };
+  }
+
+  loadTopSnapshot(watcher) {
+    if (!this.socket?.connected || watcher.loading) return;
+
+    watcher.loading = true;
+    this.socket.emit('leaderboard:snapshot', watcher.top, (response) => {
+      watcher.loading = false;
+      if (!this.topWatchers.has(watcher)) return;
+      if (!response?.success) {
+        console.error('[Socket] Snapshot failed:', response?.error);
+        return;
+      }
+
+      watcher.version = response.data.version;
+      watcher.entries = response.data.entries;
+      watcher.onChange(watcher.entries);
+
+      // Diffs that arrived while loading may be newer than the snapshot
+      const pending = watcher.pending;
+      watcher.pending = [];
+      pending.forEach((diff) => this.handleTopDiff(watcher, diff));
+    });
+  }
+
+  handleTopDiff(watcher, diff) {
+    const { mode, window, limit } = watcher.top;
+    if (diff.mode !== mode || diff.window !== window || diff.limit !== limit) return;
+
+    if (watcher.loading) {
+      watcher.pending.push(diff);
+      return;
     }
+    if (!watcher.version) return;
+
+    const { epoch, seq } = diff.version;
+    const sameEpoch = epoch === watcher.version.epoch;
+    if (sameEpoch && seq <= watcher.version.seq) return;
+
+    if (!sameEpoch || seq !== watcher.version.seq + 1) {
+      console.log('[Socket] Missed a leaderboard diff, reloading snapshot');
+      this.loadTopSnapshot(watcher);
+      return;
+    }
+
+    watcher.version = diff.version;
+    watcher.entries = applyTopDiff(watcher.entries, diff);
+    watcher.onChange(watcher.entries);
   }
 
   /**
@@ -77,6 +238,21 @@ class SocketService {
   }
 
 
+  /**
+   * Rank changes of the players whose rooms this socket joined
+   * @param {Function} callback - Called with the notification
+   */
+  onRankChanged(callback) {
+    if (!this.socket) {
+      console.error('[Socket] Not connected');
+      return;
+    }
+
+    this.socket.on('rank:changed', callback);
+    this.listeners.set('rank:changed', callback);
+  }
+
+
   requestLeaderboard() {
     if (!this.socket) {
       console.error('[Socket] Not connected');